@@ -1,5 +1,8 @@
 require("dotenv").config(); // Load environment variables
 
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
 const express = require("express");
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
@@ -10,6 +13,8 @@ const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const cors = require("cors");
 const morgan = require("morgan");
+const multer = require("multer");
+const sharp = require("sharp");
 
 const app = express();
 
@@ -33,14 +38,56 @@ const limiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 100, // limit each IP to 100 requests per windowMs
   message: "Too many requests from this IP, please try again after 15 minutes.",
+  skip: (req) => req.path.startsWith("/uploads/"), // A page of product images would use up the limit
 });
 app.use(limiter);
 
+// Recording searches feeds the popular searches every shopper sees
+const searchHistoryLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 20, // limit each IP to 20 recorded searches per windowMs
+  message: "Too many searches from this IP, please try again in a minute.",
+});
+
 // Environment Variables
 const PORT = process.env.PORT || 3001;
 const JWT_SECRET = process.env.JWT_SECRET || "your_jwt_secret"; // Use a strong secret in production
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || "fake";
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 30; // Idle guest carts are deleted after this
+const WAREHOUSE_ZIP = process.env.WAREHOUSE_ZIP || "48201"; // Where orders ship from
+const WAREHOUSE_CUTOFF_HOUR = Number(process.env.WAREHOUSE_CUTOFF_HOUR || 14); // Orders after this hour ship next business day
+if (
+  !Number.isInteger(WAREHOUSE_CUTOFF_HOUR) ||
+  WAREHOUSE_CUTOFF_HOUR < 0 ||
+  WAREHOUSE_CUTOFF_HOUR > 23
+) {
+  throw new Error("WAREHOUSE_CUTOFF_HOUR must be a whole hour from 0 to 23.");
+}
+const EXTRA_HOLIDAYS = (process.env.SHIPPING_HOLIDAYS || "")
+  .split(",")
+  .map((date) => date.trim())
+  .filter(Boolean); // Extra non-shipping days, as YYYY-MM-DD
+const TAX_ROUNDING = process.env.TAX_ROUNDING || "order"; // "order" rounds the total tax once, "line" rounds each line
+const FREE_SHIPPING_THRESHOLD =
+  Number(process.env.FREE_SHIPPING_THRESHOLD) || 75; // Standard shipping is free at or above this subtotal
+// Units of each size given to products listed before stock was tracked, so the
+// existing catalog stays on sale until admins enter real counts (see backfillLegacyStock)
+const LEGACY_STOCK = Number(process.env.LEGACY_STOCK || 100);
+if (!Number.isInteger(LEGACY_STOCK) || LEGACY_STOCK < 0) {
+  throw new Error("LEGACY_STOCK must be a whole number of units, 0 or more.");
+}
 const MONGODB_URI =
   process.env.MONGODB_URI || "mongodb://localhost:27017/shopDB";
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`; // How browsers reach this server
+const STORAGE_PROVIDER = process.env.STORAGE_PROVIDER || "local";
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, "uploads"); // Where the local storage provider keeps files
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB) || 5; // Largest image file accepted
+
+// Indexes are built and checked by ensureIndexes() once connected, rather
+// than in the background as each model is compiled
+mongoose.set("autoIndex", false);
 
 // Connect to MongoDB
 mongoose
@@ -48,7 +95,19 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => console.log("Connected to MongoDB"))
+  .then(() => {
+    console.log("Connected to MongoDB");
+    return checkReplicaSet()
+      .then(ensureIndexes)
+      .then(migrateLegacyPaymentInfo)
+      .then(backfillLegacyStock)
+      .then(migrateProductVariants)
+      .then(backfillProductPriceRanges)
+      .then(seedSizeCharts)
+      .then(assignSizeCharts)
+      .then(migrateProductImages)
+      .then(backfillProductRatings);
+  })
   .catch((err) => console.error("Connection error", err));
 
 // Schemas and Models
@@ -58,12 +117,6 @@ const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  savedPaymentInfo: {
-    cardNumber: { type: String, required: true },
-    cardHolderName: { type: String, required: true },
-    expiryDate: { type: String, required: true }, // Format: MM/YY
-    cvv: { type: String, required: true },
-  },
   shippingInfo: {
     address: { type: String, required: true },
     state: { type: String, required: true },
@@ -71,53 +124,256 @@ const userSchema = new mongoose.Schema({
     city: { type: String, required: true },
   },
   isAdmin: { type: Boolean, default: false }, // Admin flag
+  recentSearches: { type: [String], default: [] }, // Newest first, see RECENT_SEARCH_LIMIT
 });
 const User = mongoose.model("User", userSchema);
 
+// Size Chart Schema
+// The sizes a product can be sold in, smallest first, with the measurements
+// behind each. Every product is assigned one and its Size option must use
+// the chart's labels.
+const sizeChartRowSchema = new mongoose.Schema(
+  {
+    label: { type: String, required: true }, // e.g. "M", "32x30", "US 9"
+    measurements: [String], // One entry per column of the chart
+  },
+  { _id: false }
+);
+const sizeChartSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  columns: [String], // Measurement headings, e.g. ["Chest (in)", "Waist (in)"]
+  sizes: { type: [sizeChartRowSchema], required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+const SizeChart = mongoose.model("SizeChart", sizeChartSchema);
+
+// Charts created when the database has none; admins manage them from then on
+const DEFAULT_SIZE_CHARTS = [
+  {
+    name: "Apparel",
+    columns: ["Chest (in)", "Waist (in)"],
+    sizes: [
+      { label: "XS", measurements: ["32-34", "26-28"] },
+      { label: "S", measurements: ["35-37", "29-31"] },
+      { label: "M", measurements: ["38-40", "32-34"] },
+      { label: "L", measurements: ["41-43", "35-37"] },
+      { label: "XL", measurements: ["44-46", "38-40"] },
+      { label: "XXL", measurements: ["47-49", "41-43"] },
+    ],
+  },
+  {
+    name: "Waist / Inseam",
+    columns: ["Waist (in)", "Inseam (in)"],
+    sizes: [28, 30, 32, 34, 36, 38].flatMap((waist) =>
+      [30, 32, 34].map((inseam) => ({
+        label: `${waist}x${inseam}`,
+        measurements: [String(waist), String(inseam)],
+      }))
+    ),
+  },
+  {
+    name: "Shoes (US / EU)",
+    columns: ["EU", "Foot length (cm)"],
+    sizes: [6, 7, 8, 9, 10, 11, 12, 13].map((us) => ({
+      label: `US ${us}`,
+      measurements: [String(us + 33), String(us + 18)],
+    })),
+  },
+  {
+    name: "One Size",
+    columns: [],
+    sizes: [{ label: "One Size", measurements: [] }],
+  },
+];
+
+// Category Schema
+// Browse tree, e.g. Men > Outerwear > Jackets. Each category keeps the ids of
+// the categories above it, root first, so a whole branch is one query away.
+const categorySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  slug: { type: String, required: true, unique: true }, // Used in /category/:slug
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: "Category" }, // Unset for top-level categories
+  ancestorIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+  position: { type: Number, default: 0 }, // Order among its siblings, lowest first
+  taxCategory: String, // Tax and filter category of products filed here, e.g. "clothing"; subcategories without one inherit it
+  createdAt: { type: Date, default: Date.now },
+});
+categorySchema.index({ parentId: 1, position: 1 });
+categorySchema.index({ ancestorIds: 1 });
+const Category = mongoose.model("Category", categorySchema);
+
 // Product Schema
+// Option axis mirrored into the product's sizes and each line's size
+const SIZE_OPTION = "Size";
+// Option axes the product is sold in, e.g. Color: [Black, Brown]
+const productOptionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    values: { type: [String], required: true },
+  },
+  { _id: false }
+);
+// One sellable combination of option values, identified by its SKU
+const productVariantSchema = new mongoose.Schema(
+  {
+    sku: { type: String, required: true },
+    options: { type: Map, of: String, default: {} }, // Value picked on each axis, e.g. { Color: "Black", Size: "M" }
+    price: Number, // Overrides the product price when set
+    stock: { type: Number, default: 0 }, // Units on hand
+    images: [String], // Gallery images linked to this variant (see imageReference), kept in sync
+  },
+  { _id: false }
+);
+// Where the files of an image sent to POST /admin/uploads are stored (see
+// uploadedImageKeys). Their URLs are worked out when the product is read, so
+// they follow PUBLIC_URL and the storage provider.
+const uploadedImageSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true }, // e.g. "products/<id>"
+    original: { type: String, required: true }, // Extension of the file as uploaded
+    format: { type: String, required: true }, // Extension of the JPEG or PNG renditions
+  },
+  { _id: false }
+);
+// One picture in a product's gallery
+const productImageSchema = new mongoose.Schema(
+  {
+    // Pictures linked from elsewhere; uploaded ones get theirs from upload
+    url: {
+      type: String,
+      required() {
+        return !this.upload;
+      },
+    },
+    alt: { type: String, default: "" }, // Describes the picture for screen readers
+    sku: String, // Set when the picture shows one particular variant
+    upload: uploadedImageSchema, // Set for pictures uploaded to this server
+  },
+  { _id: false }
+);
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: String,
   price: { type: Number, required: true },
-  category: String,
-  rating: Number,
+  // Lowest and highest variant prices, kept in sync; listings filter, sort and bucket by these
+  minPrice: Number,
+  maxPrice: Number,
+  category: String, // Tax and filter category, e.g. "clothing"; derived from categoryIds (see productCategoryFor)
+  categoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }], // Where the product is listed when browsing
+  rating: { type: Number, default: 0 }, // Average review rating, kept in sync as reviews come in
+  reviewCount: { type: Number, default: 0 },
   tags: { type: [String], required: true }, // Required
-  imageUrl: { type: String, required: true }, // Required
-  sizes: {
-    type: [String],
-    enum: ["XS", "S", "M", "L", "XL", "XXL"],
+  imageUrl: { type: String, required: true }, // Main image: the first in the gallery (see imageReference), kept in sync
+  images: [productImageSchema], // Gallery, in display order
+  options: [productOptionSchema],
+  variants: [productVariantSchema], // Every combination of the options that can be bought
+  sizes: [String], // Values of the Size option, kept in sync for the size filter
+  sizeChartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SizeChart",
     required: true,
-  }, // Array of clothing sizes with predefined options
+  }, // Where the Size option's values come from
   creationDate: { type: Date, default: Date.now }, // Automatically set creation date
 });
+// Listing filters and sort keys (see GET /products)
+productSchema.index({ creationDate: -1, _id: -1 });
+productSchema.index({ minPrice: 1, _id: 1 });
+productSchema.index({ maxPrice: 1 });
+productSchema.index({ rating: -1, reviewCount: -1, _id: -1 });
+productSchema.index({ tags: 1 });
+productSchema.index({ category: 1 });
+productSchema.index({ categoryIds: 1 });
+// Finds search candidates (see findSearchCandidates); the weights decide which
+// are kept when a search matches more than SEARCH_CANDIDATE_LIMIT products
+productSchema.index(
+  { name: "text", description: "text", tags: "text" },
+  { weights: { name: 10, tags: 5, description: 1 } }
+);
+// SKUs are unique across the catalog
+productSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $exists: true } },
+  }
+);
+productSchema.pre("validate", function (next) {
+  const sizeOption = this.options.find((option) => option.name === SIZE_OPTION);
+  this.sizes = sizeOption ? sizeOption.values : [];
+  this.set(productPriceRange(this));
+  if (this.images.length > 0) {
+    this.imageUrl = imageReference(this.images[0]);
+    this.variants.forEach((variant) => {
+      variant.images = this.images
+        .filter((image) => image.sku === variant.sku)
+        .map(imageReference);
+    });
+  }
+  next();
+});
+// Clients get loadable URLs for uploaded images (see productImageUrls)
+productSchema.set("toJSON", { transform: productImageUrls });
+productSchema.set("toObject", { transform: productImageUrls });
 const Product = mongoose.model("Product", productSchema);
-// In your Product Schema definition
-// Create a compound text index including name, description, and tags (Optional)
-productSchema.index({ name: "text", description: "text", tags: "text" });
 
 // Cart Schema
 const cartSchema = new mongoose.Schema({
   userId: mongoose.Schema.Types.ObjectId,
+  guestId: { type: String, unique: true, sparse: true }, // Anonymous carts, named by the X-Cart-Id header
   products: [
     {
       productId: mongoose.Schema.Types.ObjectId,
       quantity: Number,
-      size: String,
+      sku: String, // The variant in the cart
+      size: String, // The variant's size, kept for older clients
+      priceAtAdd: Number, // Price the shopper last saw; checkout waits until changes are acknowledged
     },
   ],
+  couponCode: String, // Applied at checkout if it still qualifies
+  expiresAt: Date, // Only set on guest carts
+});
+cartSchema.index({ userId: 1 });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Every change to a guest cart pushes its expiry back
+cartSchema.pre("save", function (next) {
+  if (this.guestId) {
+    this.expiresAt = new Date(
+      Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000
+    );
+  }
+  next();
 });
 const Cart = mongoose.model("Cart", cartSchema);
 
+// Wishlist Schema
+// Products a signed-in customer saved for later; guests keep theirs locally until they log in
+const wishlistSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true,
+  },
+  items: [
+    {
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+      sku: String, // Variant remembered when saved from the cart
+      size: String,
+      addedAt: { type: Date, default: Date.now },
+    },
+  ],
+});
+const Wishlist = mongoose.model("Wishlist", wishlistSchema);
+
 // Entitlement Schema
 const entitlementSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
-  size: {
-    type: String,
-    enum: ["XS", "S", "M", "L", "XL", "XXL"],
-    required: true,
-  }, // Added size field
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" }, // Revoked if the order is cancelled or refunded
+  sku: String, // The purchased variant
+  size: String, // The variant's size, if it has one
 });
+entitlementSchema.index({ orderId: 1 });
 const Entitlement = mongoose.model("Entitlement", entitlementSchema);
 
 // Review Schema
@@ -128,28 +384,222 @@ const reviewSchema = new mongoose.Schema({
   comment: { type: String },
   createdAt: { type: Date, default: Date.now }, // Add this field
 });
+reviewSchema.index({ productId: 1, createdAt: -1 });
+reviewSchema.index({ userId: 1, productId: 1 });
 const Review = mongoose.model("Review", reviewSchema);
 
 // Order Schema
+// Allowed status changes; anything not listed here is rejected
+const ORDER_TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["fulfilled", "cancelled", "refunded"],
+  fulfilled: ["shipped", "cancelled", "refunded"],
+  shipped: ["delivered", "refunded"],
+  delivered: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
 const orderSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // Optional for guests
-  products: [{ productId: mongoose.Schema.Types.ObjectId, quantity: Number }],
-  total: Number,
+  products: [
+    {
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+      quantity: Number,
+      sku: String,
+      options: { type: Map, of: String }, // Option values of the purchased variant
+      size: String,
+      // Snapshot of the product at purchase time, so later edits or deletes don't rewrite history
+      name: String,
+      price: Number,
+      imageUrl: String,
+      category: String,
+      tags: [String],
+      discount: { type: Number, default: 0 }, // Share of the coupon discount
+    },
+  ],
+  subtotal: Number, // Merchandise only
+  discount: { type: Number, default: 0 },
+  couponCode: String,
+  shippingCost: { type: Number, default: 0 },
+  tax: { type: Number, default: 0 },
+  taxRate: { type: Number, default: 0 }, // Rate of the destination state at purchase time
+  total: Number, // What the customer is charged: subtotal - discount + shippingCost + tax
   shippingInfo: {
     address: String,
     state: String,
     zipcode: String,
     city: String,
   },
-  size: {
+  size: String, // Size of single-item orders; multi-item orders keep size on each line
+  paymentMethod: {
+    methodId: { type: mongoose.Schema.Types.ObjectId, ref: "PaymentMethod" },
+    brand: String,
+    last4: String,
+  }, // Saved card used by signed-in customers
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+  status: {
     type: String,
-    enum: ["XS", "S", "M", "L", "XL", "XXL"],
-    required: true,
-  }, // Array of clothing sizes with predefined options
+    enum: Object.keys(ORDER_TRANSITIONS),
+    default: "pending",
+  },
+  statusHistory: {
+    type: [
+      {
+        status: { type: String, enum: Object.keys(ORDER_TRANSITIONS) },
+        changedAt: { type: Date, default: Date.now },
+        note: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Null for automatic changes
+      },
+    ],
+    default: () => [{ status: "pending", changedAt: new Date() }],
+  }, // One entry per transition, oldest first
+  trackingNumber: String,
+  carrier: String,
+  shippingMethod: { type: String, default: "standard" },
+  deliveryEstimate: {
+    earliest: Date,
+    latest: Date,
+  }, // Delivery window promised when the order was placed
+  createdAt: { type: Date, default: Date.now },
 });
+orderSchema.index({ userId: 1, createdAt: -1 });
 
+// Clients get loadable URLs for uploaded images (see orderImageUrls)
+orderSchema.set("toJSON", { transform: orderImageUrls });
+orderSchema.set("toObject", { transform: orderImageUrls });
 const Order = mongoose.model("Order", orderSchema);
 
+// Payment Method Schema
+// Card numbers and CVVs never reach the database; the payment provider holds
+// the card and we keep only its token plus what's needed to display it.
+const paymentMethodSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  provider: { type: String, required: true },
+  token: { type: String, required: true },
+  brand: { type: String, required: true },
+  last4: { type: String, required: true },
+  expiryDate: { type: String, required: true }, // Format: MM/YY
+  cardHolderName: { type: String, required: true },
+  isDefault: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+});
+const PaymentMethod = mongoose.model("PaymentMethod", paymentMethodSchema);
+
+// Payment Schema
+// One record per charge attempt, including declines, with its full history
+const paymentSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // Null for guests
+  paymentMethodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PaymentMethod",
+    default: null,
+  }, // Null when a guest pays with a one-off card
+  provider: { type: String, required: true },
+  brand: String,
+  last4: String,
+  amount: { type: Number, required: true },
+  currency: { type: String, default: "usd" },
+  status: {
+    type: String,
+    enum: [
+      "authorized",
+      "captured",
+      "partially_refunded",
+      "refunded",
+      "voided",
+      "declined",
+    ],
+    required: true,
+  },
+  transactionId: String, // Provider's reference for the authorization
+  capturedAmount: { type: Number, default: 0 },
+  refundedAmount: { type: Number, default: 0 },
+  declineCode: String,
+  failureMessage: String,
+  events: [
+    {
+      type: { type: String }, // authorization, decline, capture, void, refund
+      amount: Number,
+      transactionId: String,
+      createdAt: { type: Date, default: Date.now },
+    },
+  ],
+  createdAt: { type: Date, default: Date.now },
+});
+const Payment = mongoose.model("Payment", paymentSchema);
+
+// Refresh Token Schema
+// Only a hash of each token is stored so a database leak can't be replayed
+const refreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  replacedByHash: { type: String, default: null }, // Set when rotated
+  createdAt: { type: Date, default: Date.now },
+});
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+// Coupon Schema
+// percentage: value% off qualifying items
+// fixed: value dollars off qualifying items
+// buy_x_get_y: for every buyQuantity qualifying units, the next getQuantity
+//   cheaper ones are value% off (100 makes them free)
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true },
+  description: String,
+  type: {
+    type: String,
+    enum: ["percentage", "fixed", "buy_x_get_y"],
+    required: true,
+  },
+  value: { type: Number, required: true },
+  buyQuantity: Number,
+  getQuantity: Number,
+  tags: { type: [String], default: [] }, // Only items with one of these tags qualify; empty means all items
+  minSpend: { type: Number, default: 0 }, // Cart subtotal required before the coupon applies
+  usageLimit: { type: Number, default: null }, // Total redemptions allowed; null is unlimited
+  perUserLimit: { type: Number, default: null }, // Redemptions allowed per customer; null is unlimited
+  usedCount: { type: Number, default: 0 },
+  startsAt: Date,
+  endsAt: Date,
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+});
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+// Coupon Redemption Schema
+// One per order that used a coupon; backs the per-customer limits
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+  code: String,
+  discount: Number,
+  createdAt: { type: Date, default: Date.now },
+});
+const CouponRedemption = mongoose.model(
+  "CouponRedemption",
+  couponRedemptionSchema
+);
+
+// Search Query Schema
+// How often signed-in shoppers run each search that finds products; the most
+// frequent are offered as popular searches
+const SEARCH_QUERY_TTL_DAYS = 90; // Searches nobody has run for this long are forgotten
+const searchQuerySchema = new mongoose.Schema({
+  query: { type: String, required: true, unique: true }, // Trimmed and lowercased
+  count: { type: Number, default: 0 },
+  lastSearchedAt: { type: Date, default: Date.now },
+});
+searchQuerySchema.index({ count: -1 });
+searchQuerySchema.index(
+  { lastSearchedAt: 1 },
+  { expireAfterSeconds: SEARCH_QUERY_TTL_DAYS * 24 * 60 * 60 }
+);
+const SearchQuery = mongoose.model("SearchQuery", searchQuerySchema);
+
 // Middleware for authentication
 const authenticateToken = (req, res, next) => {
   if (req.path === "/purchase/guest") return next();
@@ -159,12 +609,54 @@ const authenticateToken = (req, res, next) => {
   if (!token) return res.status(401).send("Access denied. No token provided.");
 
   jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).send("Invalid token.");
+    // 401 tells clients to renew the session; 403 is kept for lacking rights
+    if (err) return res.status(401).send("Invalid or expired token.");
     req.user = user;
     next();
   });
 };
 
+// Middleware for routes open to guests that personalize for signed-in users:
+// sets req.user when a valid token is sent, and carries on as a guest when
+// none is. An expired or invalid token gets a 401 so the client renews it
+// rather than being served as a guest.
+const optionalAuthenticateToken = (req, res, next) => {
+  const authHeader = req.header("Authorization");
+  if (authHeader && authHeader.startsWith("Bearer ")) {
+    try {
+      req.user = jwt.verify(authHeader.slice(7), JWT_SECRET);
+    } catch (err) {
+      return res.status(401).send("Invalid or expired token.");
+    }
+  }
+  next();
+};
+
+// Guest cart ids are 16 random bytes, hex encoded
+const GUEST_CART_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Middleware for cart routes: signed-in users get their own cart, guests the
+// anonymous cart named by the X-Cart-Id header
+const authenticateCartOwner = (req, res, next) => {
+  if (req.header("Authorization")) return authenticateToken(req, res, next);
+
+  const guestId = req.header("X-Cart-Id");
+  if (!guestId || !GUEST_CART_ID_PATTERN.test(guestId)) {
+    return res.status(401).send("Access denied. No token or cart id provided.");
+  }
+  req.guestCartId = guestId;
+  next();
+};
+
+/**
+ * Builds the query that finds the cart of whoever made the request.
+ * @param {object} req - Request that passed authenticateCartOwner.
+ * @returns {object} - Filter on userId or guestId.
+ */
+function cartOwnerFilter(req) {
+  return req.user ? { userId: req.user.id } : { guestId: req.guestCartId };
+}
+
 // Middleware for admin authorization
 const authorizeAdmin = (req, res, next) => {
   if (!req.user.isAdmin) {
@@ -203,204 +695,4870 @@ function validateLuhn(cardNumber) {
   return sum % 10 === 0;
 }
 
-// Routes
-
-// Entitlement System
-
-// Endpoint to simulate product purchase (for authenticated users)
-app.post(
-  "/purchase/:productId",
-  authenticateToken,
-  [
-    body("size")
-      .isIn(["XS", "S", "M", "L", "XL", "XXL"])
-      .withMessage("Invalid size. Available sizes: XS, S, M, L, XL, XXL."),
-    body("quantity")
-      .isInt({ gt: 0 })
-      .withMessage("Quantity must be a positive integer."),
-  ],
-  async (req, res) => {
-    // Validate input
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { productId } = req.params;
-    const { size, quantity } = req.body;
+/**
+ * Detects the card network from the card number's leading digits.
+ * @param {string} cardNumber - The credit card number as a string.
+ * @returns {string} - Card brand, or "card" if it isn't recognized.
+ */
+function detectCardBrand(cardNumber) {
+  const digits = cardNumber.replace(/\D/g, "");
+  if (/^4/.test(digits)) return "visa";
+  if (/^(5[1-5]|2[2-7])/.test(digits)) return "mastercard";
+  if (/^3[47]/.test(digits)) return "amex";
+  if (/^(6011|65|64[4-9])/.test(digits)) return "discover";
+  return "card";
+}
 
-    try {
-      // Check if product exists
-      const product = await Product.findById(productId);
-      if (!product) return res.status(404).send("Product not found.");
+// Magic card numbers understood by the fake provider. Any other valid card
+// is approved, so every decline path can be exercised without a real processor.
+const FAKE_CARD_OUTCOMES = {
+  4000000000000002: {
+    declineCode: "card_declined",
+    message: "Your card was declined.",
+  },
+  4000000000009995: {
+    declineCode: "insufficient_funds",
+    message: "Your card has insufficient funds.",
+  },
+  4000000000000069: {
+    declineCode: "expired_card",
+    message: "Your card has expired.",
+  },
+  4000000000000127: {
+    declineCode: "incorrect_cvc",
+    message: "Your card's security code is incorrect.",
+  },
+  4000000000000119: {
+    declineCode: "processing_error",
+    message: "An error occurred while processing your card. Please try again.",
+  },
+};
 
-      const user = await User.findById(req.user.id);
-      // Check if the requested size is available for the product
-      if (!product.sizes.includes(size)) {
-        return res
-          .status(400)
-          .send(`Size ${size} is not available for this product.`);
+// Payment Providers
+// A provider exchanges raw card details for an opaque token, then authorizes,
+// captures, voids and refunds charges against that token. Add real providers
+// here and pick one with PAYMENT_PROVIDER.
+//
+// authorize(token, amount)            -> { approved, transactionId, declineCode, message }
+// capture/void/refund(transactionId)  -> { success, transactionId, message }
+const paymentProviders = {
+  // Local stand-in for development and tests; never contacts a real processor
+  fake: {
+    async tokenizeCard({ cardNumber, expiryDate }) {
+      const digits = cardNumber.replace(/\D/g, "");
+      const last4 = digits.slice(-4);
+      // Magic cards keep their outcome in the token so saved cards behave the same
+      const outcome = FAKE_CARD_OUTCOMES[digits]
+        ? FAKE_CARD_OUTCOMES[digits].declineCode
+        : last4;
+      return {
+        token: `tok_fake_${outcome}_${crypto.randomBytes(12).toString("hex")}`,
+        brand: detectCardBrand(digits),
+        last4,
+        expiryDate,
+      };
+    },
+    async deleteToken() {},
+    async authorize(token) {
+      const outcome = token
+        .replace(/^tok_fake_/, "")
+        .replace(/_[0-9a-f]+$/, "");
+      const decline = Object.values(FAKE_CARD_OUTCOMES).find(
+        (entry) => entry.declineCode === outcome
+      );
+      if (decline) {
+        return { approved: false, ...decline };
       }
+      return {
+        approved: true,
+        transactionId: `txn_fake_${crypto.randomBytes(8).toString("hex")}`,
+      };
+    },
+    async capture(transactionId) {
+      return { success: true, transactionId };
+    },
+    async void(transactionId) {
+      return { success: true, transactionId };
+    },
+    async refund() {
+      return {
+        success: true,
+        transactionId: `re_fake_${crypto.randomBytes(8).toString("hex")}`,
+      };
+    },
+  },
+};
 
-      // Calculate total
-      const total = product.price * quantity;
+const paymentProvider = paymentProviders[PAYMENT_PROVIDER];
+if (!paymentProvider) {
+  throw new Error(`Unknown payment provider "${PAYMENT_PROVIDER}".`);
+}
 
-      // Create entitlement if user purchases the product
-      const entitlement = new Entitlement({
-        userId: req.user.id,
-        productId,
-        size,
-      });
-      await entitlement.save();
+/**
+ * Rounds a dollar amount to whole cents.
+ * @param {number} amount - Amount in dollars.
+ * @returns {number} - Amount rounded to two decimals.
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
 
-      // Create a new order
-      const order = new Order({
-        userId: user.id, // Indicates a guest purchase
-        products: [{ productId, quantity, size }],
-        total,
-        shippingInfo: user.shippingInfo,
-        size,
-      });
-      await order.save();
+// Payment Service
+// Every purchase route charges through here so each attempt is recorded as a
+// Payment document and the provider stays swappable.
+const paymentService = {
+  /**
+   * Places a hold for the amount. Declines are recorded and thrown as 402s.
+   * @param {object} details - orderId, userId, paymentMethodId, token, brand, last4, amount.
+   * @returns {Promise<object>} - The authorized Payment document.
+   */
+  async authorize({
+    orderId,
+    userId = null,
+    paymentMethodId = null,
+    token,
+    brand,
+    last4,
+    amount,
+  }) {
+    const result = await paymentProvider.authorize(token, roundMoney(amount));
+    const payment = await Payment.create({
+      orderId,
+      userId,
+      paymentMethodId,
+      provider: PAYMENT_PROVIDER,
+      brand,
+      last4,
+      amount: roundMoney(amount),
+      status: result.approved ? "authorized" : "declined",
+      transactionId: result.transactionId,
+      declineCode: result.declineCode,
+      failureMessage: result.approved ? undefined : result.message,
+      events: [
+        {
+          type: result.approved ? "authorization" : "decline",
+          amount: roundMoney(amount),
+          transactionId: result.transactionId,
+        },
+      ],
+    });
 
-      res.status(200).send({
-        message: "Product purchased and entitlement created",
-        entitlement,
-      });
-    } catch (error) {
-      console.error("Error purchasing product:", error);
-      res.status(500).send("Internal server error.");
+    if (!result.approved) {
+      const error = httpError(402, result.message);
+      error.declineCode = result.declineCode;
+      throw error;
     }
-  }
-);
-
-// View Products with Recommendations
-app.get("/products", async (req, res) => {
-  try {
-    // Retrieve all products
-    const products = await Product.find({});
-
-    // Initialize an empty array for recommended products
-    let recommendedProducts = [];
+    return payment;
+  },
 
-    // Check if Authorization header is present
-    const authHeader = req.header("Authorization");
-    let user = null;
-    if (authHeader && authHeader.startsWith("Bearer ")) {
-      const token = authHeader.slice(7);
-      try {
-        user = jwt.verify(token, JWT_SECRET);
-      } catch (err) {
-        // Invalid token; proceed as guest
-      }
+  /**
+   * Collects funds from an authorization.
+   * @param {object} payment - An authorized Payment document.
+   * @returns {Promise<object>} - The updated Payment document.
+   */
+  async capture(payment) {
+    if (payment.status !== "authorized") {
+      throw httpError(409, `Cannot capture a ${payment.status} payment.`);
     }
+    const result = await paymentProvider.capture(
+      payment.transactionId,
+      payment.amount
+    );
+    if (!result.success) throw httpError(502, result.message);
+
+    payment.status = "captured";
+    payment.capturedAmount = payment.amount;
+    payment.events.push({
+      type: "capture",
+      amount: payment.amount,
+      transactionId: result.transactionId,
+    });
+    return payment.save();
+  },
 
-    // If user is authenticated, get their entitlements
-    if (user) {
-      // Fetch entitlements for the authenticated user
-      const entitlements = await Entitlement.find({ userId: user.id }).populate(
-        "productId"
-      );
-
-      // Collect tags from entitled products
-      const entitledTags = new Set();
-      entitlements.forEach((entitlement) => {
-        if (entitlement.productId && entitlement.productId.tags) {
-          entitlement.productId.tags.forEach((tag) => entitledTags.add(tag));
-        }
-      });
-
-      // If we have tags from entitled products, find recommended products
-      if (entitledTags.size > 0) {
-        recommendedProducts = await Product.find({
-          tags: { $in: Array.from(entitledTags) },
-        });
-      }
+  /**
+   * Releases an authorization without collecting funds.
+   * @param {object} payment - An authorized Payment document.
+   * @returns {Promise<object>} - The updated Payment document.
+   */
+  async void(payment) {
+    if (payment.status !== "authorized") {
+      throw httpError(409, `Cannot void a ${payment.status} payment.`);
     }
+    const result = await paymentProvider.void(payment.transactionId);
+    if (!result.success) throw httpError(502, result.message);
+
+    payment.status = "voided";
+    payment.events.push({
+      type: "void",
+      amount: payment.amount,
+      transactionId: result.transactionId,
+    });
+    return payment.save();
+  },
 
-    // If there are recommended products, sort them on top
-    let sortedProducts = products;
-    if (recommendedProducts.length > 0) {
-      // Create a map for quick lookup of recommended product IDs
-      const recommendedIds = new Set(
-        recommendedProducts.map((prod) => prod._id.toString())
+  /**
+   * Returns captured funds, in full by default.
+   * @param {object} payment - A captured Payment document.
+   * @param {number} [amount] - Amount to refund; defaults to everything left.
+   * @returns {Promise<object>} - The updated Payment document.
+   */
+  async refund(payment, amount) {
+    if (!["captured", "partially_refunded"].includes(payment.status)) {
+      throw httpError(409, `Cannot refund a ${payment.status} payment.`);
+    }
+    const refundable = roundMoney(
+      payment.capturedAmount - payment.refundedAmount
+    );
+    const refundAmount = roundMoney(amount === undefined ? refundable : amount);
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw httpError(
+        400,
+        `Refund amount must be between 0 and ${refundable}.`
       );
-
-      // Separate recommended and non-recommended products
-      const recommended = [];
-      const nonRecommended = [];
-
-      products.forEach((product) => {
-        if (recommendedIds.has(product._id.toString())) {
-          recommended.push(product);
-        } else {
-          nonRecommended.push(product);
-        }
-      });
-
-      // Combine recommended and non-recommended products
-      sortedProducts = [...recommended, ...nonRecommended];
     }
 
-    // Respond with the sorted products
-    return res.status(200).send({
-      products: sortedProducts,
+    const result = await paymentProvider.refund(
+      payment.transactionId,
+      refundAmount
+    );
+    if (!result.success) throw httpError(502, result.message);
+
+    payment.refundedAmount = roundMoney(payment.refundedAmount + refundAmount);
+    payment.status =
+      payment.refundedAmount >= payment.capturedAmount
+        ? "refunded"
+        : "partially_refunded";
+    payment.events.push({
+      type: "refund",
+      amount: refundAmount,
+      transactionId: result.transactionId,
     });
-  } catch (error) {
-    console.error("Error retrieving products:", error);
-    res.status(500).send({ error: "Error retrieving products" });
+    return payment.save();
+  },
+};
+
+/**
+ * Moves an order to a new status and records the change in its history.
+ * The caller is responsible for saving the order.
+ * @param {object} order - The Order document.
+ * @param {string} status - The status to move to.
+ * @param {object} [details] - Optional note and changedBy user id.
+ * @returns {object} - The updated Order document.
+ */
+function transitionOrder(order, status, { note, changedBy } = {}) {
+  const allowed = ORDER_TRANSITIONS[order.status] || [];
+  if (!allowed.includes(status)) {
+    throw httpError(
+      409,
+      `Cannot move an order from ${order.status} to ${status}.`
+    );
   }
-});
+  order.status = status;
+  order.statusHistory.push({ status, changedAt: new Date(), note, changedBy });
+  return order;
+}
 
-// View Specific Product ID information.
-app.get("/products/:productId", async (req, res) => {
-  const { productId } = req.params;
+/**
+ * Removes what a cancelled or refunded order entitled its customer to.
+ * Entitlements saved before they named their order are matched by product
+ * and variant instead, one per order line.
+ * @param {object} order - The Order document.
+ * @returns {Promise<void>}
+ */
+async function revokeEntitlements(order) {
+  const { deletedCount } = await Entitlement.deleteMany({
+    orderId: order._id,
+  });
+  if (deletedCount > 0) return;
+
+  for (const line of order.products) {
+    await Entitlement.findOneAndDelete({
+      userId: order.userId,
+      productId: line.productId,
+      orderId: { $exists: false },
+      ...(line.sku ? { sku: line.sku } : { size: line.size }),
+    });
+  }
+}
 
+/**
+ * Captures a just-authorized payment and marks the order paid. A failed
+ * capture leaves the order pending with an authorized payment that an admin
+ * can capture later.
+ * @param {object} order - The newly placed Order document.
+ * @param {object} payment - An authorized Payment document.
+ * @returns {Promise<void>}
+ */
+async function settleOrderPayment(order, payment) {
   try {
-    // Find the product by ID
-    const product = await Product.findById(productId);
-
-    if (!product) {
-      return res.status(404).send("Product not found.");
-    }
-
-    // Respond with product information
-    res.status(200).send(product);
+    await paymentService.capture(payment);
+    transitionOrder(order, "paid");
+    await order.save();
   } catch (error) {
-    console.error("Error retrieving product:", error);
-    res.status(500).send("Internal server error.");
+    console.error(`Error capturing payment ${payment._id}:`, error);
   }
-});
+}
 
-// Product Management (Admin)
+/**
+ * Shapes a payment method for API responses, leaving out the provider token.
+ * @param {object} method - The PaymentMethod document.
+ * @returns {object} - Masked payment method.
+ */
+function toMaskedPaymentMethod(method) {
+  return {
+    id: method._id,
+    brand: method.brand,
+    last4: method.last4,
+    expiryDate: method.expiryDate,
+    cardHolderName: method.cardHolderName,
+    isDefault: method.isDefault,
+  };
+}
 
-// Create a new product (Admin only)
-app.post(
-  "/admin/products",
-  authenticateToken,
+/**
+ * Tokenizes a card with the payment provider and saves it for the user.
+ * The first saved card always becomes the default.
+ * @param {string} userId - Owner of the payment method.
+ * @param {object} cardInfo - Raw card details: cardNumber, cardHolderName, expiryDate, cvv.
+ * @param {boolean} [makeDefault] - Whether the new card becomes the default.
+ * @returns {Promise<object>} - The saved PaymentMethod document.
+ */
+async function savePaymentMethod(userId, cardInfo, makeDefault = false) {
+  const { token, brand, last4, expiryDate } =
+    await paymentProvider.tokenizeCard(cardInfo);
+
+  const hasDefault = await PaymentMethod.exists({ userId, isDefault: true });
+  const isDefault = makeDefault || !hasDefault;
+  if (isDefault) {
+    await PaymentMethod.updateMany({ userId }, { isDefault: false });
+  }
+
+  return PaymentMethod.create({
+    userId,
+    provider: PAYMENT_PROVIDER,
+    token,
+    brand,
+    last4,
+    expiryDate,
+    cardHolderName: cardInfo.cardHolderName,
+    isDefault,
+  });
+}
+
+/**
+ * Looks up the payment method to charge, falling back to the user's default.
+ * @param {string} userId - The paying user.
+ * @param {string} [paymentMethodId] - A specific saved payment method.
+ * @param {object} [session] - Optional MongoDB session for transactions.
+ * @returns {Promise<object>} - The PaymentMethod document.
+ */
+async function resolvePaymentMethod(userId, paymentMethodId, session = null) {
+  const filter = paymentMethodId
+    ? { _id: paymentMethodId, userId }
+    : { userId, isDefault: true };
+  const method = await PaymentMethod.findOne(filter).session(session);
+  if (!method) {
+    throw httpError(
+      400,
+      paymentMethodId
+        ? "Payment method not found."
+        : "No saved payment method. Please add a card first."
+    );
+  }
+  return method;
+}
+
+/**
+ * Moves card details stored on user documents by older versions into the
+ * payment method vault and removes the raw values.
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyPaymentInfo() {
+  const legacyUsers = await User.collection
+    .find({ "savedPaymentInfo.cardNumber": { $exists: true } })
+    .toArray();
+
+  for (const legacyUser of legacyUsers) {
+    try {
+      await savePaymentMethod(legacyUser._id, legacyUser.savedPaymentInfo);
+      await User.collection.updateOne(
+        { _id: legacyUser._id },
+        { $unset: { savedPaymentInfo: "" } }
+      );
+    } catch (error) {
+      console.error(
+        `Error migrating payment info for user ${legacyUser._id}:`,
+        error
+      );
+    }
+  }
+
+  if (legacyUsers.length > 0) {
+    console.log(`Migrated payment info for ${legacyUsers.length} user(s).`);
+  }
+}
+
+/**
+ * Gives products listed before stock was tracked LEGACY_STOCK units of every
+ * size they have no count for; otherwise they would all read as sold out.
+ * Counts an admin has set, including 0, are kept.
+ * @returns {Promise<void>}
+ */
+async function backfillLegacyStock() {
+  const legacyProducts = await Product.collection
+    .find({ variants: { $exists: false } })
+    .toArray();
+
+  let backfilled = 0;
+  for (const legacyProduct of legacyProducts) {
+    const stock = legacyProduct.stock || {};
+    const missing = (legacyProduct.sizes || []).filter(
+      (size) => stock[size] === undefined
+    );
+    if (missing.length === 0) continue;
+
+    // Set as a whole: sizes such as "7.5" can't be used in a dotted path
+    const filled = { ...stock };
+    for (const size of missing) filled[size] = LEGACY_STOCK;
+    try {
+      await Product.collection.updateOne(
+        { _id: legacyProduct._id },
+        { $set: { stock: filled } }
+      );
+      backfilled++;
+    } catch (error) {
+      console.error(
+        `Error backfilling stock for product ${legacyProduct._id}:`,
+        error
+      );
+    }
+  }
+
+  if (backfilled > 0) {
+    console.log(
+      `Gave ${backfilled} product(s) ${LEGACY_STOCK} units of each untracked size.`
+    );
+  }
+}
+
+/**
+ * Gives products saved before variants existed a Size option and one variant
+ * per size, moving their per-size stock onto the variants. Products without
+ * sizes never had their stock tracked and start with LEGACY_STOCK units, like
+ * untracked sizes (see backfillLegacyStock). Cart, wishlist and
+ * entitlement lines that only name a size then get that variant's SKU.
+ * @returns {Promise<void>}
+ */
+async function migrateProductVariants() {
+  const legacyProducts = await Product.collection
+    .find({ variants: { $exists: false } })
+    .toArray();
+
+  for (const legacyProduct of legacyProducts) {
+    try {
+      const { options, variants } = variantsFromSizes(
+        legacyProduct._id,
+        legacyProduct.sizes || [],
+        legacyProduct.stock || {},
+        LEGACY_STOCK
+      );
+      await Product.collection.updateOne(
+        { _id: legacyProduct._id },
+        { $set: { options, variants }, $unset: { stock: "" } }
+      );
+    } catch (error) {
+      console.error(
+        `Error migrating variants for product ${legacyProduct._id}:`,
+        error
+      );
+    }
+  }
+
+  // Matches legacySku(): "<productId>-<size>"
+  const skuFromSize = (path) => ({
+    $concat: [{ $toString: `${path}productId` }, "-", `${path}size`],
+  });
+  const addSkus = (field) => [
+    {
+      $set: {
+        [field]: {
+          $map: {
+            input: `$${field}`,
+            in: {
+              $cond: [
+                { $and: ["$$this.size", { $not: ["$$this.sku"] }] },
+                { $mergeObjects: ["$$this", { sku: skuFromSize("$$this.") }] },
+                "$$this",
+              ],
+            },
+          },
+        },
+      },
+    },
+  ];
+  const legacyLine = {
+    $elemMatch: { size: { $exists: true }, sku: { $exists: false } },
+  };
+  try {
+    await Cart.collection.updateMany(
+      { products: legacyLine },
+      addSkus("products")
+    );
+    await Wishlist.collection.updateMany(
+      { items: legacyLine },
+      addSkus("items")
+    );
+    await Entitlement.collection.updateMany(
+      { size: { $exists: true }, sku: { $exists: false } },
+      [{ $set: { sku: skuFromSize("$") } }]
+    );
+  } catch (error) {
+    console.error("Error adding SKUs to saved lines:", error);
+  }
+
+  if (legacyProducts.length > 0) {
+    console.log(`Migrated variants for ${legacyProducts.length} product(s).`);
+  }
+}
+
+/**
+ * Gives products saved before price ranges existed their minPrice and maxPrice.
+ * @returns {Promise<void>}
+ */
+async function backfillProductPriceRanges() {
+  const products = await Product.find(
+    { minPrice: { $exists: false } },
+    "price variants.price"
+  );
+
+  for (const product of products) {
+    try {
+      await Product.updateOne(
+        { _id: product._id },
+        { $set: productPriceRange(product) }
+      );
+    } catch (error) {
+      console.error(
+        `Error backfilling the price range of product ${product._id}:`,
+        error
+      );
+    }
+  }
+
+  if (products.length > 0) {
+    console.log(`Backfilled price ranges for ${products.length} product(s).`);
+  }
+}
+
+/**
+ * Gives products saved before galleries existed a gallery made of their main
+ * image followed by their variants' images.
+ * @returns {Promise<void>}
+ */
+async function migrateProductImages() {
+  const legacyProducts = await Product.find({ images: { $exists: false } });
+
+  for (const product of legacyProducts) {
+    try {
+      await Product.updateOne(
+        { _id: product._id },
+        { $set: { images: galleryFromLegacyImages(product) } }
+      );
+    } catch (error) {
+      console.error(
+        `Error migrating images for product ${product._id}:`,
+        error
+      );
+    }
+  }
+
+  if (legacyProducts.length > 0) {
+    console.log(`Migrated images for ${legacyProducts.length} product(s).`);
+  }
+}
+
+/**
+ * Creates the default size charts when the database has none yet.
+ * @returns {Promise<void>}
+ */
+async function seedSizeCharts() {
+  try {
+    if ((await SizeChart.estimatedDocumentCount()) > 0) return;
+    await SizeChart.insertMany(DEFAULT_SIZE_CHARTS);
+    console.log(`Created ${DEFAULT_SIZE_CHARTS.length} default size chart(s).`);
+  } catch (error) {
+    console.error("Error creating default size charts:", error);
+  }
+}
+
+/**
+ * Assigns a size chart to products saved before size charts existed: the
+ * first chart listing all of their sizes, or a single-size chart for products
+ * without sizes. Products no chart fits are logged for an admin to sort out.
+ * @returns {Promise<void>}
+ */
+async function assignSizeCharts() {
+  const [products, charts] = await Promise.all([
+    Product.find({ sizeChartId: { $exists: false } })
+      .select("sizes")
+      .lean(),
+    SizeChart.find().sort({ createdAt: 1, _id: 1 }).lean(),
+  ]);
+
+  const unassigned = [];
+  for (const product of products) {
+    const sizes = product.sizes || [];
+    const chart = charts.find((chart) => {
+      const labels = chart.sizes.map((size) => size.label);
+      return sizes.length === 0
+        ? labels.length === 1
+        : sizes.every((size) => labels.includes(size));
+    });
+    if (!chart) {
+      unassigned.push(product._id);
+      continue;
+    }
+    try {
+      await Product.updateOne(
+        { _id: product._id },
+        { $set: { sizeChartId: chart._id } }
+      );
+    } catch (error) {
+      console.error(
+        `Error assigning a size chart to product ${product._id}:`,
+        error
+      );
+    }
+  }
+
+  if (products.length > unassigned.length) {
+    console.log(
+      `Assigned size charts to ${
+        products.length - unassigned.length
+      } product(s).`
+    );
+  }
+  if (unassigned.length > 0) {
+    console.error(
+      "Products whose sizes match no size chart:",
+      unassigned.join(", ")
+    );
+  }
+}
+
+/**
+ * Warns when MongoDB runs as a standalone server. Checkout saves each order
+ * in a transaction, which only replica sets support (see README.txt).
+ * @returns {Promise<void>}
+ */
+async function checkReplicaSet() {
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    // Sharded clusters (mongos) support transactions too
+    if (!hello.setName && hello.msg !== "isdbgrid") {
+      console.error(
+        "MongoDB is not running as a replica set; checkout will fail until it is (see README.txt)."
+      );
+    }
+  } catch (error) {
+    console.error("Error checking the MongoDB deployment:", error);
+  }
+}
+
+/**
+ * Builds every index declared on the models, then checks that they all exist.
+ * A model whose indexes fail to build is logged and the rest carry on.
+ * @returns {Promise<void>}
+ */
+async function ensureIndexes() {
+  for (const model of Object.values(mongoose.models)) {
+    try {
+      await model.createIndexes();
+    } catch (error) {
+      console.error(`Error building indexes for ${model.modelName}:`, error);
+    }
+  }
+
+  const missing = await findMissingIndexes();
+  if (missing.length > 0) {
+    console.error("Missing indexes:", JSON.stringify(missing));
+  } else {
+    console.log("All indexes verified.");
+  }
+}
+
+/**
+ * Compares the indexes declared on each model with those in the database.
+ * @returns {Promise<Array>} - One { model, index } per declared index that
+ *   doesn't exist, or { model, error } when a model couldn't be checked.
+ */
+async function findMissingIndexes() {
+  const missing = [];
+  for (const model of Object.values(mongoose.models)) {
+    try {
+      const { toCreate } = await model.diffIndexes();
+      toCreate.forEach((index) =>
+        missing.push({ model: model.modelName, index })
+      );
+    } catch (error) {
+      missing.push({ model: model.modelName, error: error.message });
+    }
+  }
+  return missing;
+}
+
+/**
+ * Hashes a refresh token for storage and lookup.
+ * @param {string} token - The raw refresh token.
+ * @returns {string} - Hex-encoded SHA-256 hash.
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Signs a short-lived access token and stores a new refresh token for the user.
+ * @param {object} user - The User document being signed in.
+ * @returns {Promise<{token: string, refreshToken: string, refreshTokenHash: string}>}
+ */
+async function issueTokens(user) {
+  const token = jwt.sign({ id: user._id, isAdmin: user.isAdmin }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const refreshTokenHash = hashToken(refreshToken);
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: refreshTokenHash,
+    expiresAt: new Date(
+      Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    ),
+  });
+
+  return { token, refreshToken, refreshTokenHash };
+}
+
+/**
+ * Creates an error carrying the HTTP status it should be reported with.
+ * @param {number} status - HTTP status code for the response.
+ * @param {string} message - Message sent back to the client.
+ * @returns {Error} - Error with a `status` property.
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * SKU given to the size variants of products created before variants existed.
+ * @param {string} productId - The product's id.
+ * @param {string} size - The size.
+ * @returns {string} - The variant's SKU.
+ */
+function legacySku(productId, size) {
+  return `${productId}-${size}`;
+}
+
+/**
+ * Builds a Size option and one variant per size, or a single variant when
+ * there are no sizes. Used for products sent by older clients and for
+ * products saved before variants existed.
+ * @param {string} productId - The product's id, used for the SKUs.
+ * @param {Array<string>} sizes - Sizes the product comes in.
+ * @param {object} [stock] - Map of size to units on hand.
+ * @param {number} [defaultStock] - Units for sizes missing from stock, and for
+ *   the single variant of a product without sizes.
+ * @returns {{options: Array, variants: Array}} - Product options and variants.
+ */
+function variantsFromSizes(productId, sizes, stock = {}, defaultStock = 0) {
+  if (sizes.length === 0) {
+    return {
+      options: [],
+      variants: [
+        {
+          sku: String(productId),
+          options: {},
+          stock: defaultStock,
+          images: [],
+        },
+      ],
+    };
+  }
+  return {
+    options: [{ name: SIZE_OPTION, values: sizes }],
+    variants: sizes.map((size) => ({
+      sku: legacySku(productId, size),
+      options: { [SIZE_OPTION]: size },
+      stock: stock[size] ?? defaultStock,
+      images: [],
+    })),
+  };
+}
+
+/**
+ * Checks the options and variants sent by an admin. Every variant needs a
+ * unique SKU and exactly one allowed value per option, and no two variants
+ * may share the same combination.
+ * Throws a 400 error describing the first problem found.
+ * @param {Array} options - Option axes, e.g. [{ name: "Color", values: ["Black"] }].
+ * @param {Array} variants - Variants with sku, options, price, stock and images.
+ * @returns {{options: Array, variants: Array}} - The cleaned options and variants.
+ */
+function validateVariants(options, variants) {
+  if (!Array.isArray(options) || !Array.isArray(variants)) {
+    throw httpError(400, "Options and variants must be arrays.");
+  }
+
+  const cleanOptions = options.map((option) => {
+    const name = typeof option?.name === "string" ? option.name.trim() : "";
+    const values = Array.isArray(option?.values)
+      ? option.values.map((value) => String(value).trim()).filter(Boolean)
+      : [];
+    if (!name || values.length === 0) {
+      throw httpError(400, "Every option needs a name and at least one value.");
+    }
+    if (new Set(values).size !== values.length) {
+      throw httpError(400, `Option ${name} lists a value twice.`);
+    }
+    return { name, values };
+  });
+  const names = cleanOptions.map((option) => option.name);
+  if (new Set(names).size !== names.length) {
+    throw httpError(400, "Option names must be unique.");
+  }
+
+  if (variants.length === 0) {
+    throw httpError(400, "A product needs at least one variant.");
+  }
+  const skus = new Set();
+  const combinations = new Set();
+  const cleanVariants = variants.map((variant) => {
+    const sku = typeof variant?.sku === "string" ? variant.sku.trim() : "";
+    if (!sku) {
+      throw httpError(400, "Every variant needs a SKU.");
+    }
+    if (skus.has(sku)) {
+      throw httpError(400, `SKU ${sku} is used twice.`);
+    }
+    skus.add(sku);
+
+    const picked = variant.options || {};
+    if (Object.keys(picked).length !== cleanOptions.length) {
+      throw httpError(400, `Variant ${sku} must pick one value per option.`);
+    }
+    cleanOptions.forEach(({ name, values }) => {
+      if (!values.includes(picked[name])) {
+        throw httpError(400, `Variant ${sku} has no valid ${name}.`);
+      }
+    });
+    const combination = names.map((name) => picked[name]).join("\u0000");
+    if (combinations.has(combination)) {
+      throw httpError(400, `Variant ${sku} repeats another variant's options.`);
+    }
+    combinations.add(combination);
+
+    const hasPrice = variant.price !== undefined && variant.price !== null;
+    if (hasPrice && !(typeof variant.price === "number" && variant.price > 0)) {
+      throw httpError(400, `Variant ${sku} needs a positive price.`);
+    }
+    const stock = variant.stock ?? 0;
+    if (!Number.isInteger(stock) || stock < 0) {
+      throw httpError(400, `Variant ${sku} needs a non-negative whole stock.`);
+    }
+    const images = variant.images ?? [];
+    if (
+      !Array.isArray(images) ||
+      !images.every((url) => typeof url === "string")
+    ) {
+      throw httpError(400, `Variant ${sku} images must be a list of URLs.`);
+    }
+
+    return {
+      sku,
+      options: Object.fromEntries(names.map((name) => [name, picked[name]])),
+      price: hasPrice ? variant.price : undefined,
+      stock,
+      images,
+    };
+  });
+
+  return { options: cleanOptions, variants: cleanVariants };
+}
+
+/**
+ * Reads a product's options and variants from an admin request. Older clients
+ * send sizes and per-size stock instead, which become a Size option.
+ * Throws a 400 error if they don't check out (see validateVariants).
+ * @param {object} body - Request body with options and variants, or sizes and stock.
+ * @param {string} productId - The product's id, used for SKUs made from sizes.
+ * @returns {{options: Array, variants: Array}} - Product options and variants.
+ */
+function readProductVariants(body, productId) {
+  if (body.options || body.variants) {
+    return validateVariants(body.options || [], body.variants || []);
+  }
+  const { options, variants } = variantsFromSizes(
+    productId,
+    body.sizes || [],
+    body.stock || {}
+  );
+  return validateVariants(options, variants);
+}
+
+/**
+ * Builds a gallery from a product's main image and the images of its
+ * variants. Used for products sent by older clients and for products saved
+ * before galleries existed.
+ * @param {object} product - The Product document, with its variants set.
+ * @returns {Array} - Gallery images shaped { url, alt, sku }.
+ */
+function galleryFromLegacyImages(product) {
+  return [
+    { url: product.imageUrl, alt: product.name },
+    ...product.variants.flatMap((variant) =>
+      (variant.images || []).map((url) => ({
+        url,
+        alt: `${product.name} - ${describeVariant(variant)}`,
+        sku: variant.sku,
+      }))
+    ),
+  ];
+}
+
+/**
+ * Checks a product's gallery: each image needs a URL or an upload issued by
+ * POST /admin/uploads, and an image linked to a variant must name one of the
+ * product's SKUs.
+ * Throws a 400 error for the first image that doesn't.
+ * @param {Array} images - Gallery images shaped { url, alt, sku, upload }.
+ * @param {object} product - The Product document, with its variants set.
+ * @returns {Array} - The cleaned gallery images; uploaded ones keep only their upload.
+ */
+function readProductImages(images, product) {
+  const skus = product.variants.map((variant) => variant.sku);
+  return images.map(({ url, alt, sku, upload }) => {
+    if (upload) {
+      const { key, original, format } = upload;
+      if (
+        !UPLOAD_KEY_PATTERN.test(key) ||
+        !UPLOAD_ORIGINAL_EXTENSIONS.includes(original) ||
+        !UPLOAD_RENDITION_EXTENSIONS.includes(format)
+      ) {
+        throw httpError(400, "An image's upload wasn't issued by this server.");
+      }
+    } else if (!url) {
+      throw httpError(400, "Each image needs a URL or an upload.");
+    }
+    if (sku && !skus.includes(sku)) {
+      throw httpError(
+        400,
+        `Image ${
+          url || upload.key
+        } is linked to ${sku}, which isn't one of this product's variants.`
+      );
+    }
+    const cleaned = { alt: alt || "", sku: sku || undefined };
+    return upload
+      ? {
+          ...cleaned,
+          upload: {
+            key: upload.key,
+            original: upload.original,
+            format: upload.format,
+          },
+        }
+      : { ...cleaned, url };
+  });
+}
+
+/**
+ * Checks a product against its size chart: the chart must exist and every
+ * value of the product's Size option must be one of its labels. Only products
+ * on a single-size chart may leave the Size option out.
+ * Throws a 400 error describing the first problem found.
+ * @param {object} product - The Product document.
+ * @returns {Promise<object>} - The product's SizeChart document.
+ */
+async function checkSizeChart(product) {
+  const chart = product.sizeChartId
+    ? await SizeChart.findById(product.sizeChartId)
+    : null;
+  if (!chart) {
+    throw httpError(400, "Please assign the product an existing size chart.");
+  }
+
+  const labels = chart.sizes.map((size) => size.label);
+  const sizeOption = product.options.find(
+    (option) => option.name === SIZE_OPTION
+  );
+  if (!sizeOption && labels.length > 1) {
+    throw httpError(
+      400,
+      `Products on the ${chart.name} chart need a ${SIZE_OPTION} option.`
+    );
+  }
+  const unknown = (sizeOption?.values || []).find(
+    (size) => !labels.includes(size)
+  );
+  if (unknown) {
+    throw httpError(
+      400,
+      `Size ${unknown} isn't on the ${chart.name} chart (${labels.join(", ")}).`
+    );
+  }
+  return chart;
+}
+
+// Validation shared by size chart create and update; update makes every field optional
+const sizeChartValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("name")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Size chart name is required."),
+    body("columns")
+      .optional()
+      .isArray()
+      .withMessage("Columns must be an array."),
+    body("columns.*")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Each column must be a non-empty string."),
+    field("sizes")
+      .isArray({ min: 1 })
+      .withMessage("At least one size is required."),
+    body("sizes.*.label")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Every size needs a label."),
+    body("sizes.*.measurements")
+      .optional()
+      .isArray()
+      .withMessage("Measurements must be an array."),
+    body("sizes.*.measurements.*")
+      .isString()
+      .withMessage("Each measurement must be a string."),
+  ];
+};
+
+/**
+ * Checks the rules that span several fields of a size chart: labels are
+ * unique and every size has one measurement per column.
+ * @param {object} chart - Size chart fields (request body or document).
+ * @returns {string|null} - What's wrong, or null if the chart is valid.
+ */
+function checkSizeChartRows(chart) {
+  const labels = chart.sizes.map((size) => size.label);
+  if (new Set(labels).size !== labels.length) {
+    return "Size labels must be unique.";
+  }
+  const columns = chart.columns || [];
+  const uneven = chart.sizes.find(
+    (size) => (size.measurements || []).length !== columns.length
+  );
+  if (uneven) {
+    return `Size ${uneven.label} needs one measurement per column.`;
+  }
+  return null;
+}
+
+/**
+ * Finds the variant a cart, order or wishlist line refers to: by SKU, by its
+ * option values, or by size for lines saved before variants existed.
+ * A product with a single variant needs no selector at all.
+ * @param {object} product - The Product document.
+ * @param {object} [selector] - Any of { sku, options, size }.
+ * @returns {object|null} - The variant, or null if none matches.
+ */
+function findVariant(product, { sku, options, size } = {}) {
+  const variants = product.variants || [];
+  if (sku) {
+    return variants.find((variant) => variant.sku === sku) || null;
+  }
+  if (options) {
+    const entries = Object.entries(options);
+    return (
+      variants.find(
+        (variant) =>
+          variant.options.size === entries.length &&
+          entries.every(([name, value]) => variant.options.get(name) === value)
+      ) || null
+    );
+  }
+  if (size) {
+    return (
+      variants.find((variant) => variant.options.get(SIZE_OPTION) === size) ||
+      null
+    );
+  }
+  return variants.length === 1 ? variants[0] : null;
+}
+
+/**
+ * Price of a variant, falling back to the product price.
+ * @param {object} product - The Product document.
+ * @param {object|null} variant - One of the product's variants.
+ * @returns {number} - Unit price.
+ */
+function variantPrice(product, variant) {
+  return typeof variant?.price === "number" ? variant.price : product.price;
+}
+
+/**
+ * Lowest and highest prices a product sells at across its variants.
+ * @param {object} product - The Product document.
+ * @returns {{minPrice: number, maxPrice: number}}
+ */
+function productPriceRange(product) {
+  const prices = product.variants.map((variant) =>
+    variantPrice(product, variant)
+  );
+  if (prices.length === 0) prices.push(product.price);
+  return { minPrice: Math.min(...prices), maxPrice: Math.max(...prices) };
+}
+
+/**
+ * Describes a variant for messages, e.g. "Black / M".
+ * @param {object} variant - One of a product's variants.
+ * @returns {string} - Its option values, or its SKU when it has none.
+ */
+function describeVariant(variant) {
+  return Array.from(variant.options.values()).join(" / ") || variant.sku;
+}
+
+/**
+ * Atomically takes units of one variant out of a product's stock.
+ * Throws a 409 error if there aren't enough units left.
+ * @param {object} product - The Product document to reserve from.
+ * @param {object} variant - The variant being purchased.
+ * @param {number} quantity - Number of units to take.
+ * @param {object} [session] - Optional MongoDB session for transactions.
+ * @returns {Promise<object>} - The updated Product document.
+ */
+async function reserveStock(product, variant, quantity, session = null) {
+  const updated = await Product.findOneAndUpdate(
+    {
+      _id: product._id,
+      variants: { $elemMatch: { sku: variant.sku, stock: { $gte: quantity } } },
+    },
+    { $inc: { "variants.$.stock": -quantity } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw httpError(
+      409,
+      `Not enough stock left for ${product.name} (${describeVariant(variant)}).`
+    );
+  }
+  return updated;
+}
+
+/**
+ * Puts previously reserved units back into a variant's stock.
+ * @param {string} productId - The product to restock.
+ * @param {string} sku - The variant being returned.
+ * @param {number} quantity - Number of units to return.
+ * @returns {Promise<void>}
+ */
+async function releaseStock(productId, sku, quantity) {
+  await Product.updateOne(
+    { _id: productId, "variants.sku": sku },
+    { $inc: { "variants.$.stock": quantity } }
+  );
+}
+
+/**
+ * Sends an error created by httpError, including decline details for payments.
+ * @param {object} res - Express response.
+ * @param {Error} error - Error with a `status` property.
+ * @returns {object} - The Express response.
+ */
+function sendHttpError(res, error) {
+  if (error.declineCode) {
+    return res
+      .status(error.status)
+      .send({ message: error.message, declineCode: error.declineCode });
+  }
+  return res.status(error.status).send(error.message);
+}
+
+/**
+ * Builds an order line that keeps a copy of the product's display data.
+ * @param {object} product - The Product document being purchased.
+ * @param {number} quantity - Number of units purchased.
+ * @param {object|null} variant - The purchased variant; null prices the product itself.
+ * @returns {object} - Order line item with product snapshot.
+ */
+function buildOrderLine(product, quantity, variant) {
+  return {
+    productId: product._id,
+    quantity,
+    sku: variant?.sku,
+    options: variant ? Object.fromEntries(variant.options) : undefined,
+    size: variant?.options.get(SIZE_OPTION),
+    name: product.name,
+    price: variantPrice(product, variant),
+    imageUrl: variant?.images[0] || product.imageUrl,
+    category: product.category,
+    tags: product.tags,
+  };
+}
+
+// Shipping
+
+// Delivery speeds we offer. Standard transit depends on distance (see below).
+// Rates are looked up by item count: the first tier whose maxItems covers the order.
+const SHIPPING_METHODS = {
+  standard: {
+    label: "Standard",
+    transitDays: null,
+    rates: [
+      { maxItems: 1, cost: 4.99 },
+      { maxItems: 3, cost: 6.99 },
+      { maxItems: Infinity, cost: 8.99 },
+    ],
+    freeShippingThreshold: FREE_SHIPPING_THRESHOLD,
+  },
+  express: {
+    label: "Express",
+    transitDays: [2, 3],
+    rates: [
+      { maxItems: 1, cost: 12.99 },
+      { maxItems: 3, cost: 16.99 },
+      { maxItems: Infinity, cost: 21.99 },
+    ],
+    freeShippingThreshold: null,
+  },
+  overnight: {
+    label: "Overnight",
+    transitDays: [1, 1],
+    rates: [
+      { maxItems: 1, cost: 24.99 },
+      { maxItems: 3, cost: 32.99 },
+      { maxItems: Infinity, cost: 44.99 },
+    ],
+    freeShippingThreshold: null,
+  },
+};
+
+// Standard transit [min, max] business days, indexed by zone
+// (distance between the first digits of the warehouse and destination zipcodes)
+const STANDARD_TRANSIT_BY_ZONE = [
+  [2, 3],
+  [2, 3],
+  [3, 4],
+  [3, 5],
+  [4, 5],
+  [4, 6],
+  [5, 6],
+  [5, 7],
+  [5, 7],
+  [5, 7],
+];
+
+const US_STATES = {
+  AL: "Alabama",
+  AK: "Alaska",
+  AZ: "Arizona",
+  AR: "Arkansas",
+  CA: "California",
+  CO: "Colorado",
+  CT: "Connecticut",
+  DE: "Delaware",
+  DC: "District of Columbia",
+  FL: "Florida",
+  GA: "Georgia",
+  HI: "Hawaii",
+  ID: "Idaho",
+  IL: "Illinois",
+  IN: "Indiana",
+  IA: "Iowa",
+  KS: "Kansas",
+  KY: "Kentucky",
+  LA: "Louisiana",
+  ME: "Maine",
+  MD: "Maryland",
+  MA: "Massachusetts",
+  MI: "Michigan",
+  MN: "Minnesota",
+  MS: "Mississippi",
+  MO: "Missouri",
+  MT: "Montana",
+  NE: "Nebraska",
+  NV: "Nevada",
+  NH: "New Hampshire",
+  NJ: "New Jersey",
+  NM: "New Mexico",
+  NY: "New York",
+  NC: "North Carolina",
+  ND: "North Dakota",
+  OH: "Ohio",
+  OK: "Oklahoma",
+  OR: "Oregon",
+  PA: "Pennsylvania",
+  PR: "Puerto Rico",
+  RI: "Rhode Island",
+  SC: "South Carolina",
+  SD: "South Dakota",
+  TN: "Tennessee",
+  TX: "Texas",
+  UT: "Utah",
+  VT: "Vermont",
+  VA: "Virginia",
+  WA: "Washington",
+  WV: "West Virginia",
+  WI: "Wisconsin",
+  WY: "Wyoming",
+};
+
+// Destinations outside the contiguous US take longer to reach and cost more
+const NONCONTIGUOUS_STATES = ["AK", "HI", "PR"];
+const NONCONTIGUOUS_SURCHARGE = 10;
+
+/**
+ * Turns a free-text state ("mi", "Michigan") into its two-letter code.
+ * @param {string} state - State as entered by the customer.
+ * @returns {string|null} - Two-letter code, or null if it isn't recognized.
+ */
+function normalizeState(state) {
+  if (!state || typeof state !== "string") return null;
+  const value = state.trim().toUpperCase();
+  if (US_STATES[value]) return value;
+  const code = Object.keys(US_STATES).find(
+    (key) => US_STATES[key].toUpperCase() === value
+  );
+  return code || null;
+}
+
+/**
+ * Formats a date as a local YYYY-MM-DD key.
+ * @param {Date} date - The date to format.
+ * @returns {string} - Date key.
+ */
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Finds the nth given weekday of a month (n = -1 for the last one).
+ * @param {number} year - Full year.
+ * @param {number} month - Zero-based month.
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday).
+ * @param {number} n - Which occurrence, 1-based, or -1 for the last.
+ * @returns {Date} - The matching date.
+ */
+function nthWeekdayOfMonth(year, month, weekday, n) {
+  if (n === -1) {
+    const last = new Date(year, month + 1, 0);
+    last.setDate(last.getDate() - ((last.getDay() - weekday + 7) % 7));
+    return last;
+  }
+  const first = new Date(year, month, 1);
+  const offset = (weekday - first.getDay() + 7) % 7;
+  return new Date(year, month, 1 + offset + (n - 1) * 7);
+}
+
+/**
+ * Lists the US federal holidays carriers don't deliver on, as observed dates.
+ * @param {number} year - Full year.
+ * @returns {Set<string>} - Holiday date keys.
+ */
+function getShippingHolidays(year) {
+  // Fixed-date holidays move to Friday/Monday when they fall on a weekend
+  const observed = (month, day) => {
+    const date = new Date(year, month, day);
+    if (date.getDay() === 6) date.setDate(day - 1);
+    if (date.getDay() === 0) date.setDate(day + 1);
+    return date;
+  };
+
+  const holidays = [
+    observed(0, 1), // New Year's Day
+    nthWeekdayOfMonth(year, 0, 1, 3), // Martin Luther King Jr. Day
+    nthWeekdayOfMonth(year, 1, 1, 3), // Presidents' Day
+    nthWeekdayOfMonth(year, 4, 1, -1), // Memorial Day
+    observed(5, 19), // Juneteenth
+    observed(6, 4), // Independence Day
+    nthWeekdayOfMonth(year, 8, 1, 1), // Labor Day
+    nthWeekdayOfMonth(year, 9, 1, 2), // Columbus Day
+    observed(10, 11), // Veterans Day
+    nthWeekdayOfMonth(year, 10, 4, 4), // Thanksgiving
+    observed(11, 25), // Christmas Day
+  ];
+
+  return new Set([...holidays.map(toDateKey), ...EXTRA_HOLIDAYS]);
+}
+
+/**
+ * Checks whether packages move on a given day.
+ * @param {Date} date - The day to check.
+ * @returns {boolean} - True on weekdays that aren't holidays.
+ */
+function isBusinessDay(date) {
+  const weekday = date.getDay();
+  if (weekday === 0 || weekday === 6) return false;
+  return !getShippingHolidays(date.getFullYear()).has(toDateKey(date));
+}
+
+/**
+ * Moves forward a number of business days.
+ * @param {Date} date - Starting day.
+ * @param {number} days - Business days to add.
+ * @returns {Date} - The resulting day.
+ */
+function addBusinessDays(date, days) {
+  const result = new Date(date);
+  let remaining = days;
+  while (remaining > 0) {
+    result.setDate(result.getDate() + 1);
+    if (isBusinessDay(result)) remaining -= 1;
+  }
+  return result;
+}
+
+/**
+ * Estimates when an order placed now will be delivered.
+ * @param {object} destination - zipcode and state the order ships to.
+ * @param {string} [method] - Key of SHIPPING_METHODS.
+ * @param {Date} [now] - When the order is placed.
+ * @returns {{method: string, shipDate: Date, earliest: Date, latest: Date}}
+ */
+function estimateDelivery(
+  { zipcode, state } = {},
+  method = "standard",
+  now = new Date()
+) {
+  // Orders placed after the cutoff, or on a non-business day, ship next business day
+  let shipDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (now.getHours() >= WAREHOUSE_CUTOFF_HOUR || !isBusinessDay(shipDate)) {
+    shipDate = addBusinessDays(shipDate, 1);
+  }
+
+  let [minDays, maxDays] = SHIPPING_METHODS[method].transitDays || [];
+  if (!SHIPPING_METHODS[method].transitDays) {
+    // Unknown destinations get the farthest zone so we never overpromise
+    const zone = /^\d/.test(zipcode || "")
+      ? Math.abs(Number(zipcode[0]) - Number(WAREHOUSE_ZIP[0]))
+      : STANDARD_TRANSIT_BY_ZONE.length - 1;
+    [minDays, maxDays] = STANDARD_TRANSIT_BY_ZONE[zone];
+  }
+
+  if (NONCONTIGUOUS_STATES.includes(normalizeState(state))) {
+    const extraDays = method === "standard" ? 2 : 1;
+    minDays += extraDays;
+    maxDays += extraDays;
+  }
+
+  return {
+    method,
+    shipDate,
+    earliest: addBusinessDays(shipDate, minDays),
+    latest: addBusinessDays(shipDate, maxDays),
+  };
+}
+
+/**
+ * Calculates the shipping charge for an order.
+ * @param {object} destination - zipcode and state the order ships to.
+ * @param {string} method - Key of SHIPPING_METHODS.
+ * @param {number} itemCount - Total units in the order.
+ * @param {number} subtotal - Merchandise total before shipping.
+ * @returns {number} - Shipping cost.
+ */
+function calculateShipping({ state } = {}, method, itemCount, subtotal) {
+  const { rates, freeShippingThreshold } = SHIPPING_METHODS[method];
+  if (freeShippingThreshold != null && subtotal >= freeShippingThreshold) {
+    return 0;
+  }
+
+  let cost = rates.find((rate) => itemCount <= rate.maxItems).cost;
+  if (NONCONTIGUOUS_STATES.includes(normalizeState(state))) {
+    cost += NONCONTIGUOUS_SURCHARGE;
+  }
+  return roundMoney(cost);
+}
+
+// Sales Tax
+
+// Tax categories that count as clothing for state exemptions. A product gets
+// one by being filed under a category whose taxCategory (its own or one
+// inherited from above) is listed here; see productCategoryFor.
+const CLOTHING_CATEGORIES = ["clothing", "apparel"];
+
+// Statewide sales tax by destination. States missing here charge no sales tax.
+// taxShipping: shipping charges are taxable.
+// exemptions: categories taxed at zero, optionally only for items priced up to maxPrice.
+const TAX_RATES = {
+  AL: { rate: 0.04 },
+  AZ: { rate: 0.056 },
+  AR: { rate: 0.065, taxShipping: true },
+  CA: { rate: 0.0725 },
+  CO: { rate: 0.029 },
+  CT: { rate: 0.0635, taxShipping: true },
+  DC: { rate: 0.06 },
+  FL: { rate: 0.06 },
+  GA: { rate: 0.04, taxShipping: true },
+  HI: { rate: 0.04, taxShipping: true },
+  ID: { rate: 0.06 },
+  IL: { rate: 0.0625 },
+  IN: { rate: 0.07, taxShipping: true },
+  IA: { rate: 0.06 },
+  KS: { rate: 0.065, taxShipping: true },
+  KY: { rate: 0.06, taxShipping: true },
+  LA: { rate: 0.0445 },
+  ME: { rate: 0.055 },
+  MD: { rate: 0.06 },
+  MA: {
+    rate: 0.0625,
+    exemptions: [{ categories: CLOTHING_CATEGORIES, maxPrice: 175 }],
+  },
+  MI: { rate: 0.06, taxShipping: true },
+  MN: {
+    rate: 0.06875,
+    taxShipping: true,
+    exemptions: [{ categories: CLOTHING_CATEGORIES }],
+  },
+  MS: { rate: 0.07, taxShipping: true },
+  MO: { rate: 0.04225 },
+  NE: { rate: 0.055, taxShipping: true },
+  NV: { rate: 0.0685 },
+  NJ: {
+    rate: 0.06625,
+    taxShipping: true,
+    exemptions: [{ categories: CLOTHING_CATEGORIES }],
+  },
+  NM: { rate: 0.04875, taxShipping: true },
+  NY: {
+    rate: 0.04,
+    taxShipping: true,
+    exemptions: [{ categories: CLOTHING_CATEGORIES, maxPrice: 110 }],
+  },
+  NC: { rate: 0.0475, taxShipping: true },
+  ND: { rate: 0.05, taxShipping: true },
+  OH: { rate: 0.0575, taxShipping: true },
+  OK: { rate: 0.045 },
+  PA: {
+    rate: 0.06,
+    taxShipping: true,
+    exemptions: [{ categories: CLOTHING_CATEGORIES }],
+  },
+  PR: { rate: 0.105 },
+  RI: { rate: 0.07, taxShipping: true },
+  SC: { rate: 0.06, taxShipping: true },
+  SD: { rate: 0.042, taxShipping: true },
+  TN: { rate: 0.07, taxShipping: true },
+  TX: { rate: 0.0625, taxShipping: true },
+  UT: { rate: 0.061 },
+  VT: {
+    rate: 0.06,
+    taxShipping: true,
+    exemptions: [{ categories: CLOTHING_CATEGORIES }],
+  },
+  VA: { rate: 0.053 },
+  WA: { rate: 0.065, taxShipping: true },
+  WV: { rate: 0.06, taxShipping: true },
+  WI: { rate: 0.05, taxShipping: true },
+  WY: { rate: 0.04 },
+};
+
+/**
+ * Rounds tax to cents, half up. The epsilon keeps values like 1.005 from
+ * rounding down because of floating point error.
+ * @param {number} amount - Unrounded tax.
+ * @returns {number} - Tax in whole cents.
+ */
+function roundTax(amount) {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Checks whether a line is exempt under a state's rules. The line's category
+ * is the product's tax category, taken from the category tree when the line
+ * is built, so an order keeps the treatment it was priced with.
+ * @param {object} line - Order line with price and category.
+ * @param {object} stateRule - Entry of TAX_RATES.
+ * @returns {boolean} - True if no tax is due on the line.
+ */
+function isTaxExempt(line, stateRule) {
+  const category = (line.category || "").trim().toLowerCase();
+  return (stateRule.exemptions || []).some(
+    (exemption) =>
+      exemption.categories.includes(category) &&
+      (exemption.maxPrice == null || line.price <= exemption.maxPrice)
+  );
+}
+
+/**
+ * Calculates sales tax for an order shipping to a destination.
+ * @param {Array} lines - Order lines with price, quantity, category and any discount.
+ * @param {object} destination - The state the order ships to.
+ * @param {number} shippingCost - Shipping charged on the order.
+ * @returns {{tax: number, taxRate: number}}
+ */
+function calculateTax(lines, { state } = {}, shippingCost = 0) {
+  const stateRule = TAX_RATES[normalizeState(state)];
+  if (!stateRule) return { tax: 0, taxRate: 0 };
+
+  const round = TAX_ROUNDING === "line" ? roundTax : (amount) => amount;
+  let tax = lines.reduce((sum, line) => {
+    if (isTaxExempt(line, stateRule)) return sum;
+    const taxable = line.price * line.quantity - (line.discount || 0);
+    return sum + round(taxable * stateRule.rate);
+  }, 0);
+  if (stateRule.taxShipping) {
+    tax += round(shippingCost * stateRule.rate);
+  }
+
+  return { tax: roundTax(tax), taxRate: stateRule.rate };
+}
+
+// Coupons
+
+/**
+ * Checks whether a coupon's tag scope covers an order line.
+ * @param {object} coupon - The coupon.
+ * @param {object} line - Order line with tags.
+ * @returns {boolean} - True if the line qualifies.
+ */
+function couponAppliesTo(coupon, line) {
+  if (!coupon.tags || coupon.tags.length === 0) return true;
+  return (line.tags || []).some((tag) => coupon.tags.includes(tag));
+}
+
+/**
+ * Works out how much a coupon takes off each order line.
+ * @param {object} coupon - The coupon.
+ * @param {Array} lines - Order lines with price, quantity and tags.
+ * @returns {{discount: number, lineDiscounts: number[]}}
+ */
+function calculateDiscount(coupon, lines) {
+  const lineDiscounts = lines.map(() => 0);
+  const eligible = lines
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => couponAppliesTo(coupon, line));
+  const eligibleTotal = eligible.reduce(
+    (sum, { line }) => sum + line.price * line.quantity,
+    0
+  );
+
+  if (coupon.type === "percentage") {
+    eligible.forEach(({ line, index }) => {
+      lineDiscounts[index] = roundMoney(
+        (line.price * line.quantity * Math.min(coupon.value, 100)) / 100
+      );
+    });
+  } else if (coupon.type === "fixed" && eligibleTotal > 0) {
+    // Spread the amount over qualifying lines so tax sees each line's share
+    const amount = roundMoney(Math.min(coupon.value, eligibleTotal));
+    let remaining = amount;
+    eligible.forEach(({ line, index }, position) => {
+      const share =
+        position === eligible.length - 1
+          ? remaining
+          : roundMoney((amount * line.price * line.quantity) / eligibleTotal);
+      lineDiscounts[index] = share;
+      remaining = roundMoney(remaining - share);
+    });
+  } else if (coupon.type === "buy_x_get_y") {
+    // Group qualifying units priciest first; the last getQuantity of each group are discounted
+    const units = eligible
+      .flatMap(({ line, index }) =>
+        Array.from({ length: line.quantity }, () => ({
+          price: line.price,
+          index,
+        }))
+      )
+      .sort((a, b) => b.price - a.price);
+    const groupSize = coupon.buyQuantity + coupon.getQuantity;
+    for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+      units
+        .slice(start + coupon.buyQuantity, start + groupSize)
+        .forEach((unit) => {
+          lineDiscounts[unit.index] += (unit.price * coupon.value) / 100;
+        });
+    }
+    lineDiscounts.forEach((amount, index) => {
+      lineDiscounts[index] = roundMoney(amount);
+    });
+  }
+
+  return {
+    discount: roundMoney(
+      lineDiscounts.reduce((sum, amount) => sum + amount, 0)
+    ),
+    lineDiscounts,
+  };
+}
+
+/**
+ * Looks up a coupon by the code a customer typed.
+ * @param {string} code - Coupon code, any case.
+ * @param {ClientSession} [session] - Optional transaction session.
+ * @returns {Promise<object|null>} - The coupon, or null if there's no such code.
+ */
+function findCoupon(code, session = null) {
+  return Coupon.findOne({ code: String(code).trim().toUpperCase() }).session(
+    session
+  );
+}
+
+/**
+ * Makes sure a coupon can be used on an order right now.
+ * @param {object} coupon - The coupon.
+ * @param {string} userId - ID of the customer using it.
+ * @param {Array} lines - Order lines the coupon would apply to.
+ * @param {ClientSession} [session] - Optional transaction session.
+ * @returns {Promise<void>} - Throws a 400 explaining why the coupon can't be used.
+ */
+async function checkCouponEligibility(coupon, userId, lines, session = null) {
+  const now = new Date();
+  if (!coupon || !coupon.active) {
+    throw httpError(400, "This coupon code is not valid.");
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw httpError(400, "This coupon is not active yet.");
+  }
+  if (coupon.endsAt && coupon.endsAt < now) {
+    throw httpError(400, "This coupon has expired.");
+  }
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw httpError(400, "This coupon has reached its usage limit.");
+  }
+  if (coupon.perUserLimit != null) {
+    const timesUsed = await CouponRedemption.countDocuments({
+      couponId: coupon._id,
+      userId,
+    }).session(session);
+    if (timesUsed >= coupon.perUserLimit) {
+      throw httpError(400, "You have already used this coupon.");
+    }
+  }
+
+  const subtotal = lines.reduce(
+    (sum, line) => sum + line.price * line.quantity,
+    0
+  );
+  if (coupon.minSpend && subtotal < coupon.minSpend) {
+    throw httpError(
+      400,
+      `Spend at least $${coupon.minSpend.toFixed(2)} to use this coupon.`
+    );
+  }
+  if (calculateDiscount(coupon, lines).discount === 0) {
+    throw httpError(
+      400,
+      "This coupon doesn't apply to the items in your cart."
+    );
+  }
+}
+
+/**
+ * Records a coupon's use on an order, respecting its global limit even when
+ * several checkouts race for the last redemption.
+ * @param {object} coupon - The coupon.
+ * @param {object} redemption - userId, orderId and discount of the order.
+ * @param {ClientSession} [session] - Optional transaction session.
+ * @returns {Promise<void>}
+ */
+async function redeemCoupon(coupon, { userId, orderId, discount }, session) {
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw httpError(409, "This coupon has reached its usage limit.");
+  }
+
+  await CouponRedemption.create(
+    [{ couponId: coupon._id, userId, orderId, code: coupon.code, discount }],
+    { session }
+  );
+}
+
+/**
+ * Checks the rules that span several coupon fields.
+ * @param {object} coupon - Coupon fields, after any update is applied.
+ * @returns {string|null} - What's wrong, or null if the coupon is consistent.
+ */
+function checkCouponRules(coupon) {
+  if (coupon.type === "percentage" && coupon.value > 100) {
+    return "Percentage discounts can't exceed 100.";
+  }
+  if (
+    coupon.type === "buy_x_get_y" &&
+    (!coupon.buyQuantity || !coupon.getQuantity || coupon.value > 100)
+  ) {
+    return "Buy X get Y coupons need buyQuantity, getQuantity and a value of at most 100 (percent off).";
+  }
+  if (
+    coupon.startsAt &&
+    coupon.endsAt &&
+    new Date(coupon.startsAt) >= new Date(coupon.endsAt)
+  ) {
+    return "The end date must be after the start date.";
+  }
+  return null;
+}
+
+// Validation shared by coupon create and update; update makes every field optional
+const couponValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("code")
+      .matches(/^[A-Za-z0-9_-]{3,32}$/)
+      .withMessage(
+        "Code must be 3-32 letters, numbers, dashes or underscores."
+      ),
+    field("type")
+      .isIn(["percentage", "fixed", "buy_x_get_y"])
+      .withMessage("Type must be percentage, fixed or buy_x_get_y."),
+    field("value")
+      .isFloat({ gt: 0 })
+      .withMessage("Value must be a positive number."),
+    body("buyQuantity")
+      .optional({ nullable: true })
+      .isInt({ gt: 0 })
+      .withMessage("Buy quantity must be a positive integer."),
+    body("getQuantity")
+      .optional({ nullable: true })
+      .isInt({ gt: 0 })
+      .withMessage("Get quantity must be a positive integer."),
+    body("tags").optional().isArray().withMessage("Tags must be an array."),
+    body("tags.*").isString().withMessage("Each tag must be a string."),
+    body("minSpend")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Minimum spend must be zero or more."),
+    body("usageLimit")
+      .optional({ nullable: true })
+      .isInt({ gt: 0 })
+      .withMessage("Usage limit must be a positive integer."),
+    body("perUserLimit")
+      .optional({ nullable: true })
+      .isInt({ gt: 0 })
+      .withMessage("Per-user limit must be a positive integer."),
+    body("startsAt")
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage("Start date must be a valid date."),
+    body("endsAt")
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage("End date must be a valid date."),
+    body("active")
+      .optional()
+      .isBoolean()
+      .withMessage("Active must be true or false."),
+  ];
+};
+
+/**
+ * Prices the order lines for a shipping method and destination.
+ * Lines get a `discount` share when a coupon applies.
+ * @param {Array} lines - Order lines with price, quantity, category and tags.
+ * @param {object} destination - zipcode and state the order ships to.
+ * @param {string} method - Key of SHIPPING_METHODS.
+ * @param {object} [coupon] - Coupon to apply; eligibility is checked by the caller.
+ * @returns {{subtotal: number, discount: number, couponCode: string|null, shippingCost: number, tax: number, taxRate: number, total: number}}
+ */
+function priceOrder(lines, destination, method, coupon = null) {
+  const subtotal = roundMoney(
+    lines.reduce((sum, line) => sum + line.price * line.quantity, 0)
+  );
+
+  const { discount, lineDiscounts } = coupon
+    ? calculateDiscount(coupon, lines)
+    : { discount: 0, lineDiscounts: lines.map(() => 0) };
+  lines.forEach((line, index) => {
+    line.discount = lineDiscounts[index];
+  });
+
+  // Free shipping thresholds look at what the customer actually pays for goods
+  const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const shippingCost = calculateShipping(
+    destination,
+    method,
+    itemCount,
+    roundMoney(subtotal - discount)
+  );
+  const { tax, taxRate } = calculateTax(lines, destination, shippingCost);
+  return {
+    subtotal,
+    discount,
+    couponCode: coupon ? coupon.code : null,
+    shippingCost,
+    tax,
+    taxRate,
+    total: roundMoney(subtotal - discount + shippingCost + tax),
+  };
+}
+
+// Product Listing
+
+// Sort keys accepted by GET /products; _id breaks ties so pages never overlap
+const RECOMMENDATION_LIMIT = 3; // Shown above the first page for signed-in users
+
+const PRODUCT_SORTS = {
+  newest: { creationDate: -1, _id: -1 },
+  // By the "from" price listings show
+  price_asc: { minPrice: 1, _id: 1 },
+  price_desc: { minPrice: -1, _id: -1 },
+  rating: { rating: -1, reviewCount: -1, _id: -1 },
+};
+
+/**
+ * Reads a list query parameter sent as "a,b" or repeated (?tags=a&tags=b).
+ * @param {string|string[]} value - The raw query value.
+ * @returns {string[]} - Trimmed, non-empty entries.
+ */
+function parseListParam(value) {
+  if (value === undefined) return [];
+  return []
+    .concat(value)
+    .flatMap((entry) => String(entry).split(","))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads an optional non-negative number from the query string.
+ * @param {string} value - The raw query value.
+ * @param {string} name - Parameter name, for the error message.
+ * @returns {number|undefined} - The number, or undefined when not given.
+ */
+function parseNumberParam(value, name) {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw httpError(400, `${name} must be a non-negative number.`);
+  }
+  return number;
+}
+
+/**
+ * Builds the product filter for a listing from its query parameters.
+ * Throws a 400 error for values that can't be used.
+ * @param {object} query - Query parameters: tags, tagMatch (all|any), sizes,
+ *   minPrice, maxPrice, category, categoryIds and minRating.
+ * @returns {object} - A MongoDB filter for Product.find.
+ */
+function buildProductFilter(query) {
+  const filter = {};
+
+  const tags = parseListParam(query.tags);
+  if (tags.length > 0) {
+    const tagMatch = query.tagMatch || "all";
+    if (!["all", "any"].includes(tagMatch)) {
+      throw httpError(400, 'tagMatch must be "all" or "any".');
+    }
+    filter.tags = tagMatch === "all" ? { $all: tags } : { $in: tags };
+  }
+
+  const sizes = parseListParam(query.sizes);
+  if (sizes.length > 0) {
+    filter.sizes = { $in: sizes };
+  }
+
+  const minPrice = parseNumberParam(query.minPrice, "minPrice");
+  const maxPrice = parseNumberParam(query.maxPrice, "maxPrice");
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw httpError(400, "minPrice cannot be greater than maxPrice.");
+  }
+  // Products with any variant priced within the range
+  if (minPrice !== undefined) filter.maxPrice = { $gte: minPrice };
+  if (maxPrice !== undefined) filter.minPrice = { $lte: maxPrice };
+
+  if (typeof query.category === "string" && query.category.trim()) {
+    filter.category = new RegExp(
+      `^${escapeRegExp(query.category.trim())}$`,
+      "i"
+    );
+  }
+
+  const categoryIds = parseListParam(query.categoryIds);
+  if (categoryIds.length > 0) {
+    if (!categoryIds.every((id) => mongoose.isValidObjectId(id))) {
+      throw httpError(400, "categoryIds must be a list of category ids.");
+    }
+    filter.categoryIds = { $in: categoryIds };
+  }
+
+  const minRating = parseNumberParam(query.minRating, "minRating");
+  if (minRating !== undefined) {
+    filter.rating = { $gte: minRating };
+  }
+
+  return filter;
+}
+
+// Lower bounds of the price buckets offered as filters; the last is open-ended
+const PRICE_BUCKET_BOUNDARIES = [0, 25, 50, 100, 200];
+
+/**
+ * Orders sizes the way the size charts list them: chart by chart in the order
+ * they were created, each smallest first. Sizes on no chart go last.
+ * @param {string[]} sizes - The sizes to order.
+ * @param {Array} charts - SizeChart documents, oldest first.
+ * @returns {string[]} - The sizes, sorted.
+ */
+function sortSizes(sizes, charts) {
+  const order = charts.flatMap((chart) =>
+    chart.sizes.map((size) => size.label)
+  );
+  const rank = (size) => {
+    const index = order.indexOf(size);
+    return index === -1 ? order.length : index;
+  };
+  return [...sizes].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Counts products per value of one facet, merged into every known value so
+ * options the current filters rule out come back with a count of 0.
+ * @param {Array} counts - Aggregation results shaped { _id: value, count }.
+ * @param {string[]} values - Every value the facet can take.
+ * @param {boolean} [sortByCount=true] - Most common first; otherwise keeps the order of values.
+ * @returns {Array} - [{ value, count }].
+ */
+function mergeFacetCounts(counts, values, sortByCount = true) {
+  const countByValue = new Map(counts.map(({ _id, count }) => [_id, count]));
+  const options = values.map((value) => ({
+    value,
+    count: countByValue.get(value) || 0,
+  }));
+  return sortByCount
+    ? options.sort(
+        (a, b) => b.count - a.count || a.value.localeCompare(b.value)
+      )
+    : options;
+}
+
+/**
+ * Recomputes a product's average rating and review count from its reviews.
+ * @param {string} productId - The product to update.
+ * @returns {Promise<void>}
+ */
+async function refreshProductRating(productId) {
+  const [stats] = await Review.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId) } },
+    {
+      $group: {
+        _id: "$productId",
+        rating: { $avg: "$rating" },
+        reviewCount: { $sum: 1 },
+      },
+    },
+  ]);
+  await Product.updateOne(
+    { _id: productId },
+    {
+      rating: stats ? stats.rating : 0,
+      reviewCount: stats ? stats.reviewCount : 0,
+    }
+  );
+}
+
+/**
+ * Fills in rating and reviewCount on products saved before they were stored.
+ * @returns {Promise<void>}
+ */
+async function backfillProductRatings() {
+  const products = await Product.find(
+    { reviewCount: { $exists: false } },
+    "_id"
+  );
+
+  for (const product of products) {
+    try {
+      await refreshProductRating(product._id);
+    } catch (error) {
+      console.error(`Error backfilling rating for ${product._id}:`, error);
+    }
+  }
+
+  if (products.length > 0) {
+    console.log(`Backfilled ratings for ${products.length} product(s).`);
+  }
+}
+
+// Product Search
+
+// How much a match in each field counts toward a product's relevance
+const SEARCH_FIELD_WEIGHTS = { name: 3, tags: 2, description: 1 };
+// Most products each candidate lookup passes on to be scored. The text index
+// returns the most relevant first, so only weak matches are left out.
+const SEARCH_CANDIDATE_LIMIT = 500;
+// Leading letters of a term that a word must share to be found with a typo
+const SEARCH_PREFIX_LENGTH = 3;
+
+/**
+ * Splits text into lowercase words.
+ * @param {string} text - Text to split.
+ * @returns {string[]} - Words made of letters and digits.
+ */
+function tokenize(text) {
+  return (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Counts the edits (insertions, deletions, substitutions or swaps of two
+ * neighbouring letters) needed to turn one word into another.
+ * @param {string} a - First word.
+ * @param {string} b - Second word.
+ * @returns {number} - The edit distance.
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Scores how well one search term matches one word.
+ * Exact words score highest, then prefixes (a word still being typed), then
+ * words within a typo or two (more typos are allowed for longer terms).
+ * @param {string} term - A lowercase search term.
+ * @param {string} word - A lowercase word from the product.
+ * @returns {number} - 0 (no match) to 1 (exact match).
+ */
+function matchTerm(term, word) {
+  if (word === term) return 1;
+  if (term.length >= 2 && word.startsWith(term)) return 0.8;
+
+  const typos = term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2;
+  if (typos === 0) return 0;
+  if (
+    Math.abs(word.length - term.length) <= typos &&
+    editDistance(term, word) <= typos
+  ) {
+    return 0.6;
+  }
+  if (
+    word.length > term.length &&
+    editDistance(term, word.slice(0, term.length)) <= typos
+  ) {
+    return 0.4; // A typo in a word still being typed
+  }
+  return 0;
+}
+
+/**
+ * Finds the products worth scoring for a search, so scoring never has to walk
+ * the whole catalog. The text index finds whole (stemmed) words; words still
+ * being typed or with a typo past their first letters are found by the start
+ * of each term (see SEARCH_PREFIX_LENGTH). Typos in the first letters of a
+ * word are not found.
+ * @param {object} filter - Listing filters (see buildProductFilter).
+ * @param {string[]} terms - Lowercase search terms.
+ * @returns {Promise<{candidates: Array, truncated: boolean}>} - Products with
+ *   the fields scoreProduct reads, and whether a lookup hit
+ *   SEARCH_CANDIDATE_LIMIT so some matches may be missing.
+ */
+async function findSearchCandidates(filter, terms) {
+  const fields = "name tags description rating";
+  const byText = await Product.find(
+    { ...filter, $text: { $search: terms.join(" ") } },
+    { score: { $meta: "textScore" } }
+  )
+    .select(fields)
+    .sort({ score: { $meta: "textScore" } })
+    .limit(SEARCH_CANDIDATE_LIMIT)
+    .lean();
+
+  // Every term has to start some word in the product
+  const byPrefix = await Product.find({
+    ...filter,
+    $and: terms.map((term) => {
+      const wordStart = new RegExp(
+        `\\b${escapeRegExp(term.slice(0, SEARCH_PREFIX_LENGTH))}`,
+        "i"
+      );
+      return {
+        $or: [
+          { name: wordStart },
+          { tags: wordStart },
+          { description: wordStart },
+        ],
+      };
+    }),
+  })
+    .select(fields)
+    .sort(PRODUCT_SORTS.rating)
+    .limit(SEARCH_CANDIDATE_LIMIT)
+    .lean();
+
+  const candidates = new Map();
+  for (const product of [...byText, ...byPrefix]) {
+    candidates.set(String(product._id), product);
+  }
+  return {
+    candidates: [...candidates.values()],
+    truncated:
+      byText.length === SEARCH_CANDIDATE_LIMIT ||
+      byPrefix.length === SEARCH_CANDIDATE_LIMIT,
+  };
+}
+
+/**
+ * Scores a product against a search. Every term has to match some field.
+ * @param {object} product - Product with name, tags and description.
+ * @param {string[]} terms - Lowercase search terms.
+ * @returns {object|null} - { score, matches } with the product words that
+ *   matched, or null when some term matches nothing.
+ */
+function scoreProduct(product, terms) {
+  const fields = {
+    name: tokenize(product.name),
+    tags: (product.tags || []).flatMap(tokenize),
+    description: tokenize(product.description),
+  };
+  const matches = new Set();
+  let score = 0;
+
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, words] of Object.entries(fields)) {
+      for (const word of words) {
+        const match = matchTerm(term, word);
+        if (match > 0) matches.add(word);
+        best = Math.max(best, match * SEARCH_FIELD_WEIGHTS[field]);
+      }
+    }
+    if (best === 0) return null;
+    score += best;
+  }
+
+  return { score, matches: [...matches] };
+}
+
+// Image Storage
+// A storage provider keeps uploaded files under a key such as
+// "products/<id>/small.webp" and tells browsers where to fetch them. Files
+// live on local disk by default; add providers (e.g. S3) here and pick one
+// with STORAGE_PROVIDER.
+//
+// save(key, buffer, contentType)  -> Promise<void>
+// remove(key)                     -> Promise<void>
+// url(key)                        -> public URL of the file
+const storageProviders = {
+  // Files under UPLOAD_DIR, served by this server at /uploads
+  local: {
+    async save(key, buffer) {
+      const file = path.join(UPLOAD_DIR, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    async remove(key) {
+      await fs.rm(path.join(UPLOAD_DIR, key), { force: true });
+    },
+    url(key) {
+      return `${PUBLIC_URL}/uploads/${key}`;
+    },
+  },
+};
+
+const storageProvider = storageProviders[STORAGE_PROVIDER];
+if (!storageProvider) {
+  throw new Error(`Unknown storage provider "${STORAGE_PROVIDER}".`);
+}
+
+// Image Uploads
+
+// Image formats accepted, by the MIME type browsers send and the format sharp reads
+const UPLOAD_IMAGE_TYPES = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+const UPLOAD_MAX_FILES = 10; // Images per request
+// What storeImage names uploads, so galleries only accept uploads it issued
+const UPLOAD_KEY_PATTERN = /^products\/[a-f0-9]{32}$/;
+const UPLOAD_ORIGINAL_EXTENSIONS = ["jpg", "png", "webp", "gif"];
+const UPLOAD_RENDITION_EXTENSIONS = ["jpg", "png"];
+const UPLOAD_MAX_PIXELS = 40_000_000; // Larger images are rejected before decoding
+// Image URL validation; uploads are served by this server, which may be on localhost
+const IMAGE_URL_OPTIONS = { require_tld: false };
+
+// Resized copies made of every upload, by the longest edge in pixels. Each is
+// saved as WebP plus JPEG (PNG for images with transparency) for older browsers.
+const IMAGE_RENDITIONS = {
+  thumbnail: 160, // Gallery thumbnails
+  small: 480, // Product cards
+  large: 1200, // Product detail page
+};
+
+/**
+ * Storage keys of an uploaded image's files.
+ * @param {object} upload - Shaped { key, original, format } (see uploadedImageSchema).
+ * @returns {{original: string, renditions: object}} - Key of the original and
+ *   { thumbnail, small, large } each shaped { url, webp }.
+ */
+function uploadedImageKeys({ key, original, format }) {
+  return {
+    original: `${key}/original.${original}`,
+    renditions: Object.fromEntries(
+      Object.keys(IMAGE_RENDITIONS).map((name) => [
+        name,
+        { url: `${key}/${name}.${format}`, webp: `${key}/${name}.webp` },
+      ])
+    ),
+  };
+}
+
+/**
+ * Public URL of an image reference: linked images are stored by URL, uploaded
+ * ones by storage key.
+ * @param {string} reference - A URL or storage key.
+ * @returns {string} - The URL browsers load it from.
+ */
+function resolveImageUrl(reference) {
+  if (!reference || /^https?:\/\//i.test(reference)) return reference;
+  return storageProvider.url(reference);
+}
+
+/**
+ * Public URLs of an uploaded image.
+ * @param {object} upload - Shaped { key, original, format }.
+ * @returns {{url: string, renditions: object}} - url of the large rendition
+ *   and { thumbnail, small, large } each shaped { url, webp }.
+ */
+function uploadedImageUrls(upload) {
+  const { renditions } = uploadedImageKeys(upload);
+  for (const rendition of Object.values(renditions)) {
+    rendition.url = storageProvider.url(rendition.url);
+    rendition.webp = storageProvider.url(rendition.webp);
+  }
+  return { url: renditions.large.url, renditions };
+}
+
+/**
+ * What a product's imageUrl and variant images store for a gallery image:
+ * the key of its large rendition if it was uploaded, otherwise its URL.
+ * @param {object} image - A gallery image.
+ * @returns {string}
+ */
+function imageReference(image) {
+  return image.upload
+    ? uploadedImageKeys(image.upload).renditions.large.url
+    : image.url;
+}
+
+/**
+ * toJSON/toObject transform for products: swaps storage keys for URLs and
+ * gives uploaded gallery images their url and renditions.
+ * @param {object} doc - The Product document.
+ * @param {object} ret - Its plain copy, changed in place.
+ * @returns {object}
+ */
+function productImageUrls(doc, ret) {
+  if (ret.imageUrl) ret.imageUrl = resolveImageUrl(ret.imageUrl);
+  ret.variants?.forEach((variant) => {
+    if (variant.images) variant.images = variant.images.map(resolveImageUrl);
+  });
+  ret.images?.forEach((image) => {
+    if (image.upload) Object.assign(image, uploadedImageUrls(image.upload));
+  });
+  return ret;
+}
+
+/**
+ * toJSON/toObject transform for orders: swaps the storage keys of their
+ * product snapshots' images for URLs.
+ * @param {object} doc - The Order document.
+ * @param {object} ret - Its plain copy, changed in place.
+ * @returns {object}
+ */
+function orderImageUrls(doc, ret) {
+  ret.products?.forEach((item) => {
+    if (item.imageUrl) item.imageUrl = resolveImageUrl(item.imageUrl);
+  });
+  return ret;
+}
+
+/**
+ * Deletes the files of uploaded images that no product shows and no order
+ * remembers. Failures are logged rather than thrown, as the images are
+ * already gone from the product.
+ * @param {Array} uploads - Shaped { key, original, format }.
+ * @returns {Promise<void>}
+ */
+async function removeUnusedUploads(uploads) {
+  for (const upload of uploads) {
+    const { original, renditions } = uploadedImageKeys(upload);
+    try {
+      const inUse =
+        (await Product.exists({ "images.upload.key": upload.key })) ||
+        (await Order.exists({ "products.imageUrl": renditions.large.url }));
+      if (inUse) continue;
+      const keys = [
+        original,
+        ...Object.values(renditions).flatMap(({ url, webp }) => [url, webp]),
+      ];
+      await Promise.all(keys.map((key) => storageProvider.remove(key)));
+    } catch (error) {
+      console.error(`Error removing uploaded image ${upload.key}:`, error);
+    }
+  }
+}
+
+/**
+ * Stores an uploaded image and its resized renditions. The file's contents
+ * are checked, not just the type the browser claimed.
+ * Throws a 415 error for files that aren't a supported image; files stored
+ * before a failure are removed again.
+ * @param {Buffer} buffer - The uploaded file.
+ * @returns {Promise<{upload: object, width: number, height: number}>}
+ *   - Where the files are stored (see uploadedImageKeys) and the original's dimensions.
+ */
+async function storeImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, {
+      limitInputPixels: UPLOAD_MAX_PIXELS,
+    }).metadata();
+  } catch (error) {
+    throw httpError(415, "The file is not a readable image.");
+  }
+  if (!Object.values(UPLOAD_IMAGE_TYPES).includes(metadata.format)) {
+    throw httpError(415, "Images must be JPEG, PNG, WebP or GIF files.");
+  }
+
+  const upload = {
+    key: `products/${crypto.randomBytes(16).toString("hex")}`,
+    original: metadata.format === "jpeg" ? "jpg" : metadata.format,
+    format: metadata.hasAlpha ? "png" : "jpg",
+  };
+  const keys = uploadedImageKeys(upload);
+  const fallback = metadata.hasAlpha ? "png" : "jpeg";
+  const saved = [];
+  const save = async (key, data, contentType) => {
+    await storageProvider.save(key, data, contentType);
+    saved.push(key);
+  };
+
+  try {
+    await save(keys.original, buffer, `image/${metadata.format}`);
+
+    for (const [name, edge] of Object.entries(IMAGE_RENDITIONS)) {
+      // rotate() applies the EXIF orientation, so phone photos stay upright
+      const resized = sharp(buffer, { limitInputPixels: UPLOAD_MAX_PIXELS })
+        .rotate()
+        .resize(edge, edge, { fit: "inside", withoutEnlargement: true });
+      const [plain, webp] = await Promise.all([
+        resized
+          .clone()
+          .toFormat(fallback, fallback === "jpeg" ? { quality: 82 } : {})
+          .toBuffer(),
+        resized.clone().webp({ quality: 80 }).toBuffer(),
+      ]);
+      await save(keys.renditions[name].url, plain, `image/${fallback}`);
+      await save(keys.renditions[name].webp, webp, "image/webp");
+    }
+
+    return { upload, width: metadata.width, height: metadata.height };
+  } catch (error) {
+    await Promise.all(
+      saved.map((key) => storageProvider.remove(key).catch(() => {}))
+    );
+    throw error;
+  }
+}
+
+// Keeps uploads in memory so sharp can check them before anything is stored
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024, files: UPLOAD_MAX_FILES },
+  fileFilter: (req, file, callback) => {
+    if (UPLOAD_IMAGE_TYPES[file.mimetype]) return callback(null, true);
+    callback(httpError(415, "Images must be JPEG, PNG, WebP or GIF files."));
+  },
+});
+
+// Middleware that reads up to UPLOAD_MAX_FILES images from the "images" field,
+// answering 413 for files over UPLOAD_MAX_MB and 415 for other file types
+const receiveImages = (req, res, next) => {
+  imageUpload.array("images", UPLOAD_MAX_FILES)(req, res, (error) => {
+    if (!error) return next();
+    if (error.status) return sendHttpError(res, error);
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res
+        .status(413)
+        .send(`Images must be ${UPLOAD_MAX_MB} MB or smaller.`);
+    }
+    if (error instanceof multer.MulterError) {
+      return res
+        .status(400)
+        .send(`Send up to ${UPLOAD_MAX_FILES} files in the images field.`);
+    }
+    next(error);
+  });
+};
+
+// Categories
+
+/**
+ * Turns a name into a URL slug, e.g. "Men's Outerwear" -> "mens-outerwear".
+ * @param {string} text - The text to slugify.
+ * @returns {string} - Lowercase letters and digits joined by dashes.
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Nests a flat list of categories under their parents, siblings in order.
+ * @param {Array} categories - Category documents (lean).
+ * @returns {Array} - Top-level categories, each with a `children` array.
+ */
+function buildCategoryTree(categories) {
+  const sorted = [...categories].sort(
+    (a, b) => a.position - b.position || a.name.localeCompare(b.name)
+  );
+  const nodes = new Map(
+    sorted.map((category) => [
+      String(category._id),
+      { ...category, children: [] },
+    ])
+  );
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(String(node.parentId));
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+}
+
+/**
+ * Expands the categorySlug listing parameter into the ids of that category
+ * and every category beneath it, so browsing Men also lists products filed
+ * under Men > Outerwear > Jackets.
+ * Throws a 404 error for an unknown slug.
+ * @param {object} query - Listing query parameters.
+ * @returns {Promise<object>} - The query, with categoryIds in place of categorySlug.
+ */
+async function expandCategoryParam(query) {
+  const { categorySlug, ...rest } = query;
+  if (typeof categorySlug !== "string" || !categorySlug.trim()) return rest;
+
+  const category = await Category.findOne({ slug: categorySlug.trim() });
+  if (!category) throw httpError(404, "Category not found.");
+  const descendantIds = await Category.find({
+    ancestorIds: category._id,
+  }).distinct("_id");
+  return {
+    ...rest,
+    categoryIds: [category._id, ...descendantIds].join(","),
+  };
+}
+
+/**
+ * Checks that every category a product is assigned to exists.
+ * Throws a 400 error otherwise.
+ * @param {string[]} categoryIds - Category ids sent by an admin.
+ * @returns {Promise<void>}
+ */
+async function checkCategoryIds(categoryIds) {
+  const unique = [...new Set(categoryIds.map(String))];
+  const found = await Category.countDocuments({ _id: { $in: unique } });
+  if (found !== unique.length) {
+    throw httpError(400, "One or more categories do not exist.");
+  }
+}
+
+/**
+ * Works out a product's tax and filter category from where it is filed: the
+ * taxCategory of the first of its categories that has one, set on the
+ * category itself or on the nearest category above it.
+ * @param {Array} categoryIds - The product's categories, in the order assigned.
+ * @returns {Promise<string|undefined>} - e.g. "clothing", or undefined if none applies.
+ */
+async function productCategoryFor(categoryIds) {
+  if (categoryIds.length === 0) return undefined;
+  const categories = await Category.find({ _id: { $in: categoryIds } })
+    .select("ancestorIds taxCategory")
+    .lean();
+  const ancestors = await Category.find({
+    _id: { $in: categories.flatMap((category) => category.ancestorIds) },
+  })
+    .select("taxCategory")
+    .lean();
+  const taxCategories = new Map(
+    [...categories, ...ancestors]
+      .filter((category) => category.taxCategory)
+      .map((category) => [String(category._id), category.taxCategory])
+  );
+
+  for (const id of categoryIds) {
+    const category = categories.find((c) => String(c._id) === String(id));
+    if (!category) continue;
+    // The category itself first, then upwards to the root
+    const path = [category._id, ...[...category.ancestorIds].reverse()];
+    const source = path.find((pathId) => taxCategories.has(String(pathId)));
+    if (source) return taxCategories.get(String(source));
+  }
+  return undefined;
+}
+
+/**
+ * Re-derives the tax and filter category of products after the categories
+ * they are filed under changed. Products filed nowhere keep theirs.
+ * @param {object} filter - Selects the products to update.
+ * @returns {Promise<void>}
+ */
+async function refreshProductCategories(filter) {
+  const products = await Product.find({
+    ...filter,
+    "categoryIds.0": { $exists: true },
+  }).select("category categoryIds");
+  for (const product of products) {
+    const category = await productCategoryFor(product.categoryIds);
+    if (category === product.category) continue;
+    await Product.updateOne(
+      { _id: product._id },
+      category ? { $set: { category } } : { $unset: { category: "" } }
+    );
+  }
+}
+
+// Validation shared by category create and update; update makes every field optional
+const categoryValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("name")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Category name is required."),
+    body("slug")
+      .optional()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage(
+        "Slug must be lowercase letters and numbers joined by dashes."
+      ),
+    body("parentId")
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage("Parent must be a category id."),
+    body("position")
+      .optional()
+      .isInt()
+      .withMessage("Position must be a whole number."),
+    body("taxCategory")
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .toLowerCase()
+      .withMessage("Tax category must be a string, e.g. clothing."),
+  ];
+};
+
+// Routes
+
+// Uploaded images, served from local disk when that's where they're stored.
+// Keys are random and never reused, so browsers may cache them for good.
+if (STORAGE_PROVIDER === "local") {
+  app.use(
+    "/uploads",
+    express.static(UPLOAD_DIR, {
+      immutable: true,
+      maxAge: "365d",
+      setHeaders: (res) => {
+        // Helmet only allows same-origin use by default; the shop runs on another port
+        res.set("Cross-Origin-Resource-Policy", "cross-origin");
+      },
+    })
+  );
+}
+
+// Health Check
+
+// Report database connectivity and any declared indexes that are missing
+app.get("/health", async (req, res) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).send({ status: "down", database: "disconnected" });
+  }
+
+  try {
+    const missingIndexes = await findMissingIndexes();
+    res.status(200).send({
+      status: missingIndexes.length > 0 ? "degraded" : "ok",
+      database: "connected",
+      missingIndexes,
+    });
+  } catch (error) {
+    console.error("Error checking health:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Shipping Estimates
+
+// Estimate the delivery window for a destination and shipping method
+app.get("/shipping/estimate", async (req, res) => {
+  const { zipcode, state, method = "standard" } = req.query;
+
+  if (!SHIPPING_METHODS[method]) {
+    return res
+      .status(400)
+      .send(
+        `Invalid shipping method. Available methods: ${Object.keys(
+          SHIPPING_METHODS
+        ).join(", ")}.`
+      );
+  }
+  if (zipcode && !/^\d{5}(-\d{4})?$/.test(zipcode)) {
+    return res.status(400).send("Invalid zipcode.");
+  }
+
+  const estimate = estimateDelivery({ zipcode, state }, method);
+  res.status(200).send({
+    method,
+    label: SHIPPING_METHODS[method].label,
+    shipDate: toDateKey(estimate.shipDate),
+    earliest: toDateKey(estimate.earliest),
+    latest: toDateKey(estimate.latest),
+    cutoffHour: WAREHOUSE_CUTOFF_HOUR,
+  });
+});
+
+// List every shipping method with its cost and delivery window for an order
+app.get("/shipping/options", async (req, res) => {
+  const { zipcode, state } = req.query;
+  const itemCount = parseInt(req.query.itemCount, 10) || 1;
+  const subtotal = Number(req.query.subtotal) || 0;
+
+  if (zipcode && !/^\d{5}(-\d{4})?$/.test(zipcode)) {
+    return res.status(400).send("Invalid zipcode.");
+  }
+  if (itemCount < 1 || subtotal < 0) {
+    return res.status(400).send("Invalid item count or subtotal.");
+  }
+
+  const options = Object.keys(SHIPPING_METHODS).map((method) => {
+    const estimate = estimateDelivery({ zipcode, state }, method);
+    return {
+      method,
+      label: SHIPPING_METHODS[method].label,
+      cost: calculateShipping({ state }, method, itemCount, subtotal),
+      freeShippingThreshold: SHIPPING_METHODS[method].freeShippingThreshold,
+      earliest: toDateKey(estimate.earliest),
+      latest: toDateKey(estimate.latest),
+    };
+  });
+  res.status(200).send({ options });
+});
+
+// Price a prospective order (e.g. a guest's) without placing it
+app.post(
+  "/pricing/quote",
+  [
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("Items must be a non-empty array."),
+    body("items.*.productId").isMongoId().withMessage("Invalid product ID."),
+    body("items.*.quantity")
+      .isInt({ gt: 0 })
+      .withMessage("Quantity must be a positive integer."),
+    body("items.*.sku").optional().isString().withMessage("Invalid SKU."),
+    body("shippingMethod")
+      .optional()
+      .isIn(Object.keys(SHIPPING_METHODS))
+      .withMessage("Invalid shipping method."),
+  ],
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { items, shippingInfo, shippingMethod = "standard" } = req.body;
+    try {
+      const lines = [];
+      for (const item of items) {
+        const product = await Product.findById(item.productId);
+        if (!product) {
+          return res.status(404).send(`Product ${item.productId} not found.`);
+        }
+        // Items without a SKU are priced at the product price
+        const variant = item.sku ? findVariant(product, item) : null;
+        if (item.sku && !variant) {
+          return res
+            .status(400)
+            .send(`${item.sku} is not a variant of ${product.name}.`);
+        }
+        lines.push(buildOrderLine(product, item.quantity, variant));
+      }
+
+      res.status(200).send({
+        ...priceOrder(lines, shippingInfo, shippingMethod),
+        shippingMethod,
+      });
+    } catch (error) {
+      console.error("Error pricing order:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Entitlement System
+
+// Endpoint to simulate product purchase (for authenticated users)
+app.post(
+  "/purchase/:productId",
+  authenticateToken,
+  [
+    body("sku").optional().isString().withMessage("Invalid SKU."),
+    body("size").optional().isString().withMessage("Invalid size."), // Older clients pick by size
+    body("quantity")
+      .isInt({ gt: 0 })
+      .withMessage("Quantity must be a positive integer."),
+    body("paymentMethodId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid payment method."),
+    body("shippingMethod")
+      .optional()
+      .isIn(Object.keys(SHIPPING_METHODS))
+      .withMessage("Invalid shipping method."),
+  ],
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId } = req.params;
+    const {
+      sku,
+      size,
+      quantity,
+      paymentMethodId,
+      shippingMethod = "standard",
+    } = req.body;
+
+    try {
+      // Check if product exists
+      const product = await Product.findById(productId);
+      if (!product) return res.status(404).send("Product not found.");
+
+      const user = await User.findById(req.user.id);
+      // Check that the requested variant is sold for the product
+      const variant = findVariant(product, { sku, size });
+      if (!variant) {
+        return res
+          .status(400)
+          .send("Please choose an available option for this product.");
+      }
+
+      const paymentMethod = await resolvePaymentMethod(
+        req.user.id,
+        paymentMethodId
+      );
+
+      // Calculate total
+      const line = buildOrderLine(product, quantity, variant);
+      const { subtotal, shippingCost, tax, taxRate, total } = priceOrder(
+        [line],
+        user.shippingInfo,
+        shippingMethod
+      );
+
+      await reserveStock(product, variant, quantity);
+
+      let entitlement;
+      let order;
+      let payment;
+      try {
+        const estimate = estimateDelivery(user.shippingInfo, shippingMethod);
+        order = new Order({
+          userId: user.id,
+          products: [line],
+          subtotal,
+          shippingCost,
+          tax,
+          taxRate,
+          total,
+          shippingInfo: user.shippingInfo,
+          shippingMethod,
+          deliveryEstimate: {
+            earliest: estimate.earliest,
+            latest: estimate.latest,
+          },
+          size: line.size,
+          paymentMethod: {
+            methodId: paymentMethod._id,
+            brand: paymentMethod.brand,
+            last4: paymentMethod.last4,
+          },
+        });
+
+        payment = await paymentService.authorize({
+          orderId: order._id,
+          userId: user._id,
+          paymentMethodId: paymentMethod._id,
+          token: paymentMethod.token,
+          brand: paymentMethod.brand,
+          last4: paymentMethod.last4,
+          amount: total,
+        });
+        order.paymentId = payment._id;
+
+        // Create entitlement if user purchases the product
+        entitlement = new Entitlement({
+          userId: req.user.id,
+          productId,
+          orderId: order._id,
+          sku: variant.sku,
+          size: line.size,
+        });
+        await entitlement.save();
+
+        await order.save();
+      } catch (error) {
+        // Give the units and the hold back if the order couldn't be recorded
+        await releaseStock(productId, variant.sku, quantity);
+        if (payment) await paymentService.void(payment);
+        throw error;
+      }
+
+      await settleOrderPayment(order, payment);
+
+      res.status(200).send({
+        message: "Product purchased and entitlement created",
+        entitlement,
+      });
+    } catch (error) {
+      if (error.status) return sendHttpError(res, error);
+      console.error("Error purchasing product:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// The shipping address and one-off card a guest enters at checkout; signed-in
+// users ship to their saved address and pay with a saved card instead
+const isGuestRequest = (value, { req }) => !req.user;
+const guestCheckoutValidators = () => [
+  body("shippingInfo.address")
+    .if(isGuestRequest)
+    .notEmpty()
+    .withMessage("Address is required."),
+  body("shippingInfo.state")
+    .if(isGuestRequest)
+    .notEmpty()
+    .withMessage("State is required."),
+  body("shippingInfo.zipcode")
+    .if(isGuestRequest)
+    .matches(/^\d{5}(-\d{4})?$/)
+    .withMessage("Invalid zipcode."),
+  body("shippingInfo.city")
+    .if(isGuestRequest)
+    .notEmpty()
+    .withMessage("City is required."),
+  body("paymentInfo.cardNumber")
+    .if(isGuestRequest)
+    .matches(/^\d{13,19}$/)
+    .withMessage("Invalid card number format.")
+    .custom((value) => validateLuhn(value))
+    .withMessage("Invalid credit card number."),
+  body("paymentInfo.cardHolderName")
+    .if(isGuestRequest)
+    .notEmpty()
+    .withMessage("Card holder name is required."),
+  body("paymentInfo.expiryDate")
+    .if(isGuestRequest)
+    .matches(/^(0[1-9]|1[0-2])\/?([0-9]{2})$/)
+    .withMessage("Invalid expiry date. Format: MM/YY"),
+  body("paymentInfo.cvv")
+    .if(isGuestRequest)
+    .matches(/^\d{3,4}$/)
+    .withMessage("Invalid CVV."),
+];
+
+// Checkout the cart as a single order: the signed-in user's, or the guest
+// cart named by the X-Cart-Id header
+app.post(
+  "/checkout",
+  authenticateCartOwner,
+  [
+    ...guestCheckoutValidators(),
+    body("paymentMethodId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid payment method."),
+    body("shippingMethod")
+      .optional()
+      .isIn(Object.keys(SHIPPING_METHODS))
+      .withMessage("Invalid shipping method."),
+  ],
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { shippingMethod = "standard" } = req.body;
+    const userId = req.user ? req.user.id : null;
+    let session = null;
+    let payment = null;
+    try {
+      // A guest's card is tokenized for this order only and never saved
+      const card = req.user
+        ? null
+        : await paymentProvider.tokenizeCard(req.body.paymentInfo);
+
+      session = await mongoose.startSession();
+      let order;
+
+      // Everything below commits together or not at all
+      await session.withTransaction(async () => {
+        // A retried transaction must not leave the previous attempt's hold behind
+        if (payment) {
+          await paymentService.void(payment);
+          payment = null;
+        }
+
+        // Guests ship to the address they gave and pay with their card;
+        // signed-in users to their saved address with a saved card
+        let shippingInfo = req.body.shippingInfo;
+        let paymentMethod = null;
+        let charge = card && {
+          token: card.token,
+          brand: card.brand,
+          last4: card.last4,
+        };
+        if (req.user) {
+          const user = await User.findById(userId).session(session);
+          if (!user) throw httpError(404, "User not found.");
+          shippingInfo = user.shippingInfo;
+
+          paymentMethod = await resolvePaymentMethod(
+            userId,
+            req.body.paymentMethodId,
+            session
+          );
+          charge = {
+            userId: user._id,
+            paymentMethodId: paymentMethod._id,
+            token: paymentMethod.token,
+            brand: paymentMethod.brand,
+            last4: paymentMethod.last4,
+          };
+        }
+
+        const cart = await Cart.findOne(cartOwnerFilter(req)).session(session);
+        if (!cart || cart.products.length === 0) {
+          throw httpError(400, "Cart is empty.");
+        }
+
+        const lines = [];
+        for (const item of cart.products) {
+          const product = await Product.findById(item.productId).session(
+            session
+          );
+          if (!product) {
+            throw httpError(404, `Product ${item.productId} not found.`);
+          }
+          const variant = findVariant(product, item);
+          if (!variant) {
+            throw httpError(
+              400,
+              `The option you picked for ${product.name} is no longer available.`
+            );
+          }
+          if (getPriceChange(item, product)) {
+            throw httpError(
+              409,
+              `The price of ${product.name} has changed. Please review your cart before checking out.`
+            );
+          }
+          await reserveStock(product, variant, item.quantity, session);
+          lines.push(buildOrderLine(product, item.quantity, variant));
+        }
+
+        // The code was checked when applied, but it may have expired or run out since
+        let coupon = null;
+        if (cart.couponCode) {
+          coupon = await findCoupon(cart.couponCode, session);
+          await checkCouponEligibility(coupon, userId, lines, session);
+        }
+
+        const {
+          subtotal,
+          discount,
+          couponCode,
+          shippingCost,
+          tax,
+          taxRate,
+          total,
+        } = priceOrder(lines, shippingInfo, shippingMethod, coupon);
+
+        const estimate = estimateDelivery(shippingInfo, shippingMethod);
+        [order] = await Order.create(
+          [
+            {
+              userId, // null for guests
+              products: lines,
+              subtotal,
+              discount,
+              couponCode,
+              shippingCost,
+              tax,
+              taxRate,
+              total,
+              shippingInfo,
+              shippingMethod,
+              deliveryEstimate: {
+                earliest: estimate.earliest,
+                latest: estimate.latest,
+              },
+              ...(paymentMethod && {
+                paymentMethod: {
+                  methodId: paymentMethod._id,
+                  brand: paymentMethod.brand,
+                  last4: paymentMethod.last4,
+                },
+              }),
+            },
+          ],
+          { session }
+        );
+
+        // Guests have no account to hold entitlements
+        if (req.user) {
+          await Entitlement.insertMany(
+            lines.map((line) => ({
+              userId,
+              productId: line.productId,
+              orderId: order._id,
+              sku: line.sku,
+              size: line.size,
+            })),
+            { session }
+          );
+        }
+
+        if (coupon) {
+          await redeemCoupon(
+            coupon,
+            { userId, orderId: order._id, discount },
+            session
+          );
+        }
+
+        // Authorize last so a decline aborts the whole transaction
+        payment = await paymentService.authorize({
+          orderId: order._id,
+          ...charge,
+          amount: total,
+        });
+        order.paymentId = payment._id;
+        await order.save({ session });
+
+        // Clear the cart once the order is in place
+        cart.products = [];
+        cart.couponCode = undefined;
+        await cart.save({ session });
+      });
+
+      // The transaction is over; save later changes outside its session
+      order.$session(null);
+      await settleOrderPayment(order, payment);
+
+      res.status(201).send({ message: "Checkout successful.", order });
+    } catch (error) {
+      // Release the hold if the order never committed
+      if (payment && payment.status === "authorized") {
+        await paymentService.void(payment).catch((voidError) => {
+          console.error("Error voiding payment:", voidError);
+        });
+      }
+      if (error.status) return sendHttpError(res, error);
+      console.error("Error during checkout:", error);
+      res.status(500).send("Internal server error.");
+    } finally {
+      if (session) session.endSession();
+    }
+  }
+);
+
+// Order History
+
+// List the authenticated user's orders, newest first
+app.get("/orders", authenticateToken, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+  try {
+    const filter = { userId: req.user.id };
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter),
+    ]);
+
+    res.status(200).send({
+      orders,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error("Error fetching orders:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// View a single order belonging to the authenticated user
+app.get("/orders/:id", authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).send("Order not found.");
+  }
+
+  try {
+    const order = await Order.findOne({ _id: id, userId: req.user.id });
+    if (!order) return res.status(404).send("Order not found.");
+
+    res.status(200).send(order);
+  } catch (error) {
+    console.error("Error fetching order:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// View Products with Recommendations
+// Filters, sorts and paginates the catalog; see buildProductFilter for the filters,
+// plus categorySlug to list a category and everything beneath it
+app.get("/products", optionalAuthenticateToken, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 24, 1), 100);
+  const sort = req.query.sort || "newest";
+
+  if (!PRODUCT_SORTS[sort]) {
+    return res
+      .status(400)
+      .send(`sort must be one of: ${Object.keys(PRODUCT_SORTS).join(", ")}.`);
+  }
+
+  try {
+    const filter = buildProductFilter(await expandCategoryParam(req.query));
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .sort(PRODUCT_SORTS[sort])
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Product.countDocuments(filter),
+    ]);
+
+    // Initialize an empty array for recommended products
+    let recommendedProducts = [];
+
+    // Recommendations only accompany the first page
+    if (req.user && page === 1) {
+      // Fetch entitlements for the authenticated user
+      const entitlements = await Entitlement.find({
+        userId: req.user.id,
+      }).populate("productId");
+
+      // Collect tags from entitled products
+      const entitledTags = new Set();
+      entitlements.forEach((entitlement) => {
+        if (entitlement.productId && entitlement.productId.tags) {
+          entitlement.productId.tags.forEach((tag) => entitledTags.add(tag));
+        }
+      });
+
+      // If we have tags from entitled products, find recommended products
+      if (entitledTags.size > 0) {
+        recommendedProducts = await Product.find({
+          tags: { $in: Array.from(entitledTags) },
+        })
+          .sort(PRODUCT_SORTS.rating)
+          .limit(RECOMMENDATION_LIMIT);
+      }
+    }
+
+    return res.status(200).send({
+      products,
+      recommended: recommendedProducts,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+    console.error("Error retrieving products:", error);
+    res.status(500).send({ error: "Error retrieving products" });
+  }
+});
+
+// Filter options for the product listing, with counts under the current filters
+// Takes the same filters as GET /products. Each facet ignores its own filter so
+// shoppers can still switch between its options (tags only when matching "any").
+app.get("/products/facets", async (req, res) => {
+  try {
+    // A category page's facets cover just its branch of the tree
+    const query = await expandCategoryParam(req.query);
+    const withoutFilter = (...keys) =>
+      buildProductFilter(
+        Object.fromEntries(
+          Object.entries(query).filter(([key]) => !keys.includes(key))
+        )
+      );
+    const tagFilter =
+      query.tagMatch === "any"
+        ? withoutFilter("tags")
+        : buildProductFilter(query);
+
+    const [[facets], allTags, allSizes, allCategories] = await Promise.all([
+      Product.aggregate([
+        {
+          $facet: {
+            tags: [
+              { $match: tagFilter },
+              { $unwind: "$tags" },
+              { $group: { _id: "$tags", count: { $sum: 1 } } },
+            ],
+            sizes: [
+              { $match: withoutFilter("sizes") },
+              { $unwind: "$sizes" },
+              { $group: { _id: "$sizes", count: { $sum: 1 } } },
+            ],
+            categories: [
+              { $match: withoutFilter("category") },
+              { $match: { category: { $nin: [null, ""] } } },
+              {
+                $group: {
+                  _id: { $toLower: "$category" },
+                  count: { $sum: 1 },
+                },
+              },
+            ],
+            prices: [
+              { $match: withoutFilter("minPrice", "maxPrice") },
+              {
+                $bucket: {
+                  groupBy: "$minPrice", // The "from" price listings show
+                  boundaries: PRICE_BUCKET_BOUNDARIES,
+                  default: "over",
+                  output: { count: { $sum: 1 } },
+                },
+              },
+            ],
+          },
+        },
+      ]),
+      Product.distinct("tags"),
+      Product.distinct("sizes"),
+      Product.distinct("category"),
+    ]);
+    // Sizes are listed in size chart order
+    const sizeCharts = await SizeChart.find()
+      .sort({ createdAt: 1, _id: 1 })
+      .select("sizes")
+      .lean();
+
+    const categories = [
+      ...new Set(
+        allCategories.filter(Boolean).map((category) => category.toLowerCase())
+      ),
+    ];
+    const priceCounts = new Map(
+      facets.prices.map(({ _id, count }) => [_id, count])
+    );
+
+    res.status(200).send({
+      tags: mergeFacetCounts(facets.tags, allTags.filter(Boolean)),
+      sizes: mergeFacetCounts(
+        facets.sizes,
+        sortSizes(allSizes.filter(Boolean), sizeCharts),
+        false
+      ),
+      categories: mergeFacetCounts(facets.categories, categories),
+      prices: PRICE_BUCKET_BOUNDARIES.map((min, index) => {
+        const max = PRICE_BUCKET_BOUNDARIES[index + 1];
+        return {
+          min,
+          max: max === undefined ? null : max,
+          count: priceCounts.get(max === undefined ? "over" : min) || 0,
+        };
+      }),
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+    console.error("Error retrieving product facets:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// View Specific Product ID information.
+app.get("/products/:productId", async (req, res) => {
+  const { productId } = req.params;
+
+  try {
+    // Find the product by ID
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      return res.status(404).send("Product not found.");
+    }
+
+    // Respond with product information
+    res.status(200).send(product);
+  } catch (error) {
+    console.error("Error retrieving product:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Size Charts
+
+// List the size charts products can be assigned, oldest first
+app.get("/size-charts", async (req, res) => {
+  try {
+    const charts = await SizeChart.find().sort({ createdAt: 1, _id: 1 });
+    res.status(200).send(charts);
+  } catch (error) {
+    console.error("Error fetching size charts:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// One size chart with its measurements, for the size guide
+app.get("/size-charts/:id", async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).send("Size chart not found.");
+  }
+
+  try {
+    const chart = await SizeChart.findById(req.params.id);
+    if (!chart) return res.status(404).send("Size chart not found.");
+    res.status(200).send(chart);
+  } catch (error) {
+    console.error("Error retrieving size chart:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Categories
+
+// The whole category tree, siblings in order, for navigation
+app.get("/categories", async (req, res) => {
+  try {
+    const categories = await Category.find().lean();
+    res.status(200).send(buildCategoryTree(categories));
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// One category with its breadcrumbs (root first) and direct subcategories
+app.get("/categories/:slug", async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug }).lean();
+    if (!category) return res.status(404).send("Category not found.");
+
+    const [ancestors, children] = await Promise.all([
+      Category.find({ _id: { $in: category.ancestorIds } })
+        .select("name slug")
+        .lean(),
+      Category.find({ parentId: category._id })
+        .sort({ position: 1, name: 1 })
+        .select("name slug position")
+        .lean(),
+    ]);
+    const breadcrumbs = category.ancestorIds
+      .map((id) => ancestors.find((ancestor) => ancestor._id.equals(id)))
+      .filter(Boolean);
+
+    res.status(200).send({ ...category, breadcrumbs, children });
+  } catch (error) {
+    console.error("Error retrieving category:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Image Uploads (Admin)
+
+// Upload product images as multipart form data in the "images" field (Admin only)
+// Each comes back with the upload to store in a product's gallery, plus its URLs for previews
+app.post(
+  "/admin/uploads",
+  authenticateToken,
+  authorizeAdmin,
+  receiveImages,
+  async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).send("Please attach at least one image.");
+    }
+
+    try {
+      const images = [];
+      for (const file of req.files) {
+        const { upload, width, height } = await storeImage(file.buffer);
+        images.push({
+          name: file.originalname,
+          upload,
+          ...uploadedImageUrls(upload),
+          width,
+          height,
+        });
+      }
+      res.status(201).send({ images });
+    } catch (error) {
+      if (error.status) return sendHttpError(res, error);
+      console.error("Error storing uploaded images:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Product Management (Admin)
+
+// Create a new product (Admin only)
+app.post(
+  "/admin/products",
+  authenticateToken,
+  authorizeAdmin,
+  [
+    body("name").notEmpty().withMessage("Product name is required."),
+    body("price")
+      .isFloat({ gt: 0 })
+      .withMessage("Price must be a positive number."),
+    body("tags")
+      .isArray({ min: 1 })
+      .withMessage("At least one tag is required."),
+    body("tags.*").isString().withMessage("Each tag must be a string."),
+    body("description")
+      .notEmpty()
+      .withMessage("Product must contain a description."),
+    // A gallery (the first image is the main one), or a single imageUrl
+    body("images")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("A product needs at least one image."),
+    body("images.*.url")
+      .optional()
+      .isURL(IMAGE_URL_OPTIONS)
+      .withMessage("Each image needs a valid URL."),
+    body("images.*.alt")
+      .optional()
+      .isString()
+      .withMessage("Image alt text must be a string."),
+    body("images.*.sku")
+      .optional({ nullable: true })
+      .isString()
+      .withMessage("An image's variant must be a SKU."),
+    body("images.*.upload")
+      .optional({ nullable: true })
+      .isObject()
+      .withMessage("An image's upload must be an object."),
+    body("imageUrl")
+      .if(body("images").not().exists())
+      .isURL(IMAGE_URL_OPTIONS)
+      .withMessage("A valid image URL is required."),
+    body("sizeChartId").isMongoId().withMessage("A size chart is required."),
+    body("categoryIds")
+      .optional()
+      .isArray()
+      .withMessage("Categories must be an array."),
+    body("categoryIds.*")
+      .isMongoId()
+      .withMessage("Each category must be a category id."),
+    // Options and variants (see validateVariants), or sizes and per-size stock
+    body("options")
+      .optional()
+      .isArray()
+      .withMessage("Options must be an array."),
+    body("variants")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("At least one variant is required."),
+    body("variants.*.images.*")
+      .optional()
+      .isURL(IMAGE_URL_OPTIONS)
+      .withMessage("Variant images must be valid URLs."),
+    body("sizes").optional().isArray().withMessage("Sizes must be an array."),
+    body("sizes.*").isString().withMessage("Each size must be a string."),
+    body("stock").optional().isObject().withMessage("Stock must be an object."),
+  ],
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { options, variants, sizes, stock, images, ...fields } = req.body;
+      const productData = {
+        ...fields,
+        rating: 0, // Set initial rating to 0
+        creationDate: new Date(), // Explicitly set creationDate (optional)
+      };
+      const product = new Product(productData);
+      product.set(readProductVariants(req.body, product._id));
+      product.images = images
+        ? readProductImages(images, product)
+        : galleryFromLegacyImages(product);
+      await checkSizeChart(product);
+      await checkCategoryIds(product.categoryIds);
+      if (product.categoryIds.length > 0) {
+        product.category = await productCategoryFor(product.categoryIds);
+      }
+      await product.save();
+      res.status(201).send(product);
+    } catch (error) {
+      if (error.status) return sendHttpError(res, error);
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .send("A SKU is already used by another product.");
+      }
+      console.error("Error creating product:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+app.put(
+  "/admin/products/:id",
+  authenticateToken,
+  authorizeAdmin,
+  [
+    body("price")
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("Price must be a positive number."),
+    body("tags")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("At least one tag is required."),
+    body("tags.*")
+      .optional()
+      .isString()
+      .withMessage("Each tag must be a string."),
+    body("options")
+      .optional()
+      .isArray()
+      .withMessage("Options must be an array."),
+    body("variants")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("At least one variant is required."),
+    body("variants.*.images.*")
+      .optional()
+      .isURL(IMAGE_URL_OPTIONS)
+      .withMessage("Variant images must be valid URLs."),
+    body("sizes")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("At least one size is required."),
+    body("sizes.*")
+      .optional()
+      .isString()
+      .withMessage("Each size must be a string."),
+    body("images")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("A product needs at least one image."),
+    body("images.*.url")
+      .optional()
+      .isURL(IMAGE_URL_OPTIONS)
+      .withMessage("Each image needs a valid URL."),
+    body("images.*.alt")
+      .optional()
+      .isString()
+      .withMessage("Image alt text must be a string."),
+    body("images.*.sku")
+      .optional({ nullable: true })
+      .isString()
+      .withMessage("An image's variant must be a SKU."),
+    body("images.*.upload")
+      .optional({ nullable: true })
+      .isObject()
+      .withMessage("An image's upload must be an object."),
+    body("imageUrl")
+      .optional()
+      .isURL(IMAGE_URL_OPTIONS)
+      .withMessage("A valid image URL is required."),
+    body("description")
+      .optional()
+      .isString()
+      .withMessage("A valid product description is required."),
+    body("sizeChartId")
+      .optional()
+      .isMongoId()
+      .withMessage("A valid size chart is required."),
+    body("categoryIds")
+      .optional()
+      .isArray()
+      .withMessage("Categories must be an array."),
+    body("categoryIds.*")
+      .isMongoId()
+      .withMessage("Each category must be a category id."),
+    body("stock").optional().isObject().withMessage("Stock must be an object."),
+  ],
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const product = await Product.findById(req.params.id);
+      if (!product) return res.status(404).send("Product not found.");
+
+      const { options, variants, sizes, stock, images, ...updates } = req.body;
+      product.set(updates);
+      if (options || variants) {
+        product.set(readProductVariants(req.body, product._id));
+      } else if (sizes || stock) {
+        // Older clients only know sizes; rebuilding from them would drop
+        // every other option's variants along with their SKUs and prices
+        if (product.options.some((option) => option.name !== SIZE_OPTION)) {
+          return res
+            .status(400)
+            .send(
+              "This product has options other than Size. Please send its options and variants instead of sizes and stock."
+            );
+        }
+        // Older clients: sizes they leave out keep their current stock
+        const currentStock = Object.fromEntries(
+          product.variants.map((variant) => [
+            variant.options.get(SIZE_OPTION),
+            variant.stock,
+          ])
+        );
+        product.set(
+          readProductVariants(
+            {
+              sizes: sizes || product.sizes,
+              stock: { ...currentStock, ...stock },
+            },
+            product._id
+          )
+        );
+      }
+
+      // Uploads dropped from the gallery are deleted once it's saved
+      const previousUploads = product.images
+        .filter((image) => image.upload)
+        .map((image) => image.upload.toObject());
+      if (images) {
+        product.images = readProductImages(images, product);
+      } else if (product.images.length === 0) {
+        product.images = galleryFromLegacyImages(product);
+      } else {
+        // Older clients: imageUrl replaces the main image
+        const [main] = product.images;
+        if (
+          updates.imageUrl &&
+          updates.imageUrl !== resolveImageUrl(imageReference(main))
+        ) {
+          main.set({ url: updates.imageUrl, upload: undefined });
+        }
+        // Changed variants must still cover every linked image
+        readProductImages(product.images, product);
+      }
+
+      await checkSizeChart(product);
+      if (updates.categoryIds) await checkCategoryIds(product.categoryIds);
+      if (product.categoryIds.length > 0) {
+        product.category = await productCategoryFor(product.categoryIds);
+      }
+      await product.save();
+      await removeUnusedUploads(
+        previousUploads.filter(
+          (upload) =>
+            !product.images.some((image) => image.upload?.key === upload.key)
+        )
+      );
+      res.send(product);
+    } catch (error) {
+      if (error.status) return sendHttpError(res, error);
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .send("A SKU is already used by another product.");
+      }
+      console.error("Error updating product:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Delete a product (Admin only)
+app.delete(
+  "/admin/products/:id",
+  authenticateToken,
+  authorizeAdmin,
+  async (req, res) => {
+    try {
+      const product = await Product.findByIdAndDelete(req.params.id);
+      if (!product) return res.status(404).send("Product not found.");
+      await removeUnusedUploads(
+        product.images
+          .filter((image) => image.upload)
+          .map((image) => image.upload)
+      );
+      res.send({ message: "Product deleted" });
+    } catch (error) {
+      console.error("Error deleting product:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Size Chart Management (Admin)
+
+// Create a size chart (Admin only)
+app.post(
+  "/admin/size-charts",
+  authenticateToken,
+  authorizeAdmin,
+  sizeChartValidators(false),
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ruleError = checkSizeChartRows(req.body);
+    if (ruleError) return res.status(400).send(ruleError);
+
+    try {
+      const chart = new SizeChart(req.body);
+      await chart.save();
+      res.status(201).send(chart);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .send("A size chart with this name already exists.");
+      }
+      console.error("Error creating size chart:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Update a size chart (Admin only)
+// Sizes still sold by a product on the chart can't be removed
+app.put(
+  "/admin/size-charts/:id",
+  authenticateToken,
+  authorizeAdmin,
+  sizeChartValidators(true),
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).send("Size chart not found.");
+    }
+
+    try {
+      const chart = await SizeChart.findById(req.params.id);
+      if (!chart) return res.status(404).send("Size chart not found.");
+
+      const { createdAt, ...updates } = req.body;
+      chart.set(updates);
+
+      const ruleError = checkSizeChartRows(chart);
+      if (ruleError) return res.status(400).send(ruleError);
+
+      const labels = chart.sizes.map((size) => size.label);
+      const [stranded, sizeless] = await Promise.all([
+        Product.findOne({
+          sizeChartId: chart._id,
+          sizes: { $elemMatch: { $nin: labels } },
+        }).select("name sizes"),
+        labels.length > 1
+          ? Product.findOne({
+              sizeChartId: chart._id,
+              "options.name": { $ne: SIZE_OPTION },
+            }).select("name")
+          : null,
+      ]);
+      if (stranded) {
+        const size = stranded.sizes.find((size) => !labels.includes(size));
+        return res
+          .status(409)
+          .send(`Size ${size} is still sold by ${stranded.name}.`);
+      }
+      if (sizeless) {
+        return res
+          .status(409)
+          .send(
+            `${sizeless.name} has no ${SIZE_OPTION} option, so this chart must keep a single size.`
+          );
+      }
+
+      await chart.save();
+      res.status(200).send(chart);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .send("A size chart with this name already exists.");
+      }
+      console.error("Error updating size chart:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Delete a size chart no product is assigned (Admin only)
+app.delete(
+  "/admin/size-charts/:id",
+  authenticateToken,
+  authorizeAdmin,
+  async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).send("Size chart not found.");
+    }
+
+    try {
+      if (await Product.exists({ sizeChartId: req.params.id })) {
+        return res
+          .status(409)
+          .send("This size chart is still assigned to products.");
+      }
+      const chart = await SizeChart.findByIdAndDelete(req.params.id);
+      if (!chart) return res.status(404).send("Size chart not found.");
+      res.send({ message: "Size chart deleted" });
+    } catch (error) {
+      console.error("Error deleting size chart:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Category Management (Admin)
+
+// Create a category, last among its siblings unless a position is given (Admin only)
+// The slug defaults to the parent's slug plus the name, e.g. "men-outerwear"
+app.post(
+  "/admin/categories",
+  authenticateToken,
+  authorizeAdmin,
+  categoryValidators(false),
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { name, slug, parentId, position, taxCategory } = req.body;
+      const parent = parentId ? await Category.findById(parentId) : null;
+      if (parentId && !parent) {
+        return res.status(400).send("Parent category not found.");
+      }
+
+      const lastSibling = await Category.findOne({
+        parentId: parent ? parent._id : null,
+      })
+        .sort({ position: -1 })
+        .select("position");
+      const category = new Category({
+        name,
+        slug: slug || slugify(parent ? `${parent.slug} ${name}` : name),
+        parentId: parent?._id,
+        ancestorIds: parent ? [...parent.ancestorIds, parent._id] : [],
+        position: position ?? (lastSibling ? lastSibling.position + 1 : 0),
+        taxCategory: taxCategory || undefined,
+      });
+      if (!category.slug) {
+        return res.status(400).send("Please give this category a slug.");
+      }
+      await category.save();
+      res.status(201).send(category);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .send("A category with this slug already exists.");
+      }
+      console.error("Error creating category:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Rename, reslug, reorder, retax or move a category (Admin only)
+// Moving a category takes its whole branch along; send parentId null to make it top-level
+// and taxCategory null to inherit it from above
+app.put(
+  "/admin/categories/:id",
+  authenticateToken,
+  authorizeAdmin,
+  categoryValidators(true),
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).send("Category not found.");
+    }
+
+    try {
+      const category = await Category.findById(req.params.id);
+      if (!category) return res.status(404).send("Category not found.");
+
+      const { name, slug, parentId, position, taxCategory } = req.body;
+      if (name !== undefined) category.name = name;
+      if (slug !== undefined) category.slug = slug;
+      if (position !== undefined) category.position = position;
+      const retaxing =
+        taxCategory !== undefined &&
+        (taxCategory || undefined) !== category.taxCategory;
+      if (retaxing) category.taxCategory = taxCategory || undefined;
+
+      const moving =
+        parentId !== undefined &&
+        String(parentId || "") !== String(category.parentId || "");
+      const previousDepth = category.ancestorIds.length;
+      if (moving) {
+        const parent = parentId ? await Category.findById(parentId) : null;
+        if (parentId && !parent) {
+          return res.status(400).send("Parent category not found.");
+        }
+        if (
+          parent &&
+          (parent._id.equals(category._id) ||
+            parent.ancestorIds.some((id) => id.equals(category._id)))
+        ) {
+          return res
+            .status(400)
+            .send("A category can't be moved beneath itself.");
+        }
+        category.parentId = parent?._id;
+        category.ancestorIds = parent
+          ? [...parent.ancestorIds, parent._id]
+          : [];
+      }
+
+      await category.save();
+      if (moving) {
+        // Swap the old path above this category for the new one in its branch
+        await Category.updateMany({ ancestorIds: category._id }, [
+          {
+            $set: {
+              ancestorIds: {
+                $concatArrays: [
+                  category.ancestorIds,
+                  {
+                    $slice: [
+                      "$ancestorIds",
+                      previousDepth,
+                      { $size: "$ancestorIds" },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+        ]);
+      }
+      if (moving || retaxing) {
+        // What this branch inherits may have changed
+        const branchIds = await Category.find({
+          ancestorIds: category._id,
+        }).distinct("_id");
+        await refreshProductCategories({
+          categoryIds: { $in: [category._id, ...branchIds] },
+        });
+      }
+      res.status(200).send(category);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .send("A category with this slug already exists.");
+      }
+      console.error("Error updating category:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Delete a category without subcategories, unlisting its products (Admin only)
+app.delete(
+  "/admin/categories/:id",
+  authenticateToken,
+  authorizeAdmin,
+  async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).send("Category not found.");
+    }
+
+    try {
+      if (await Category.exists({ parentId: req.params.id })) {
+        return res
+          .status(409)
+          .send("Move or delete this category's subcategories first.");
+      }
+      const category = await Category.findByIdAndDelete(req.params.id);
+      if (!category) return res.status(404).send("Category not found.");
+      const productIds = await Product.find({
+        categoryIds: category._id,
+      }).distinct("_id");
+      await Product.updateMany(
+        { categoryIds: category._id },
+        { $pull: { categoryIds: category._id } }
+      );
+      await refreshProductCategories({ _id: { $in: productIds } });
+      res.send({ message: "Category deleted" });
+    } catch (error) {
+      console.error("Error deleting category:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Coupon Management (Admin)
+
+// List all coupons, newest first (Admin only)
+app.get(
+  "/admin/coupons",
+  authenticateToken,
+  authorizeAdmin,
+  async (req, res) => {
+    try {
+      const coupons = await Coupon.find().sort({ createdAt: -1 });
+      res.status(200).send(coupons);
+    } catch (error) {
+      console.error("Error fetching coupons:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Create a coupon (Admin only)
+app.post(
+  "/admin/coupons",
+  authenticateToken,
+  authorizeAdmin,
+  couponValidators(false),
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ruleError = checkCouponRules(req.body);
+    if (ruleError) return res.status(400).send(ruleError);
+
+    try {
+      const coupon = new Coupon({ ...req.body, usedCount: 0 });
+      await coupon.save();
+      res.status(201).send(coupon);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).send("A coupon with this code already exists.");
+      }
+      console.error("Error creating coupon:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Update a coupon (Admin only)
+app.put(
+  "/admin/coupons/:id",
+  authenticateToken,
+  authorizeAdmin,
+  couponValidators(true),
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const coupon = await Coupon.findById(req.params.id);
+      if (!coupon) return res.status(404).send("Coupon not found.");
+
+      // Redemption counts are tracked by checkout, not edited by hand
+      const { usedCount, ...updates } = req.body;
+      coupon.set(updates);
+
+      const ruleError = checkCouponRules(coupon);
+      if (ruleError) return res.status(400).send(ruleError);
+
+      await coupon.save();
+      res.status(200).send(coupon);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).send("A coupon with this code already exists.");
+      }
+      console.error("Error updating coupon:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Delete a coupon (Admin only)
+app.delete(
+  "/admin/coupons/:id",
+  authenticateToken,
+  authorizeAdmin,
+  async (req, res) => {
+    try {
+      const coupon = await Coupon.findByIdAndDelete(req.params.id);
+      if (!coupon) return res.status(404).send("Coupon not found.");
+      res.send({ message: "Coupon deleted" });
+    } catch (error) {
+      console.error("Error deleting coupon:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Order Management (Admin)
+
+// List all orders, newest first, optionally filtered by status (Admin only)
+app.get(
+  "/admin/orders",
+  authenticateToken,
+  authorizeAdmin,
+  async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 20, 1),
+      100
+    );
+    const filter = {};
+    if (req.query.status) {
+      if (!ORDER_TRANSITIONS[req.query.status]) {
+        return res.status(400).send("Invalid order status.");
+      }
+      filter.status = req.query.status;
+    }
+
+    try {
+      const [orders, total] = await Promise.all([
+        Order.find(filter)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Order.countDocuments(filter),
+      ]);
+
+      res.send({
+        orders,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      console.error("Error fetching orders:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Move an order to its next status (Admin only)
+app.put(
+  "/admin/orders/:id/status",
+  authenticateToken,
   authorizeAdmin,
   [
-    body("name").notEmpty().withMessage("Product name is required."),
-    body("price")
+    body("status")
+      .isIn(Object.keys(ORDER_TRANSITIONS))
+      .withMessage(
+        `Status must be one of ${Object.keys(ORDER_TRANSITIONS).join(", ")}.`
+      ),
+    body("note").optional().isString(),
+    body("trackingNumber").optional().isString(),
+    body("carrier").optional().isString(),
+  ],
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).send("Order not found.");
+    }
+
+    const { status, note, trackingNumber, carrier } = req.body;
+    try {
+      const order = await Order.findById(id);
+      if (!order) return res.status(404).send("Order not found.");
+
+      // Rejects illegal transitions before anything is charged or restocked
+      transitionOrder(order, status, { note, changedBy: req.user.id });
+
+      const payment = order.paymentId
+        ? await Payment.findById(order.paymentId)
+        : null;
+
+      if (status === "paid" && payment && payment.status === "authorized") {
+        await paymentService.capture(payment);
+      }
+
+      if (status === "cancelled") {
+        if (payment && payment.status === "authorized") {
+          await paymentService.void(payment);
+        } else if (
+          payment &&
+          ["captured", "partially_refunded"].includes(payment.status)
+        ) {
+          await paymentService.refund(payment);
+        }
+        // Nothing left the warehouse, so the units go back on the shelf
+        for (const line of order.products) {
+          // Orders placed before variants existed only name a size
+          const sku =
+            line.sku || (line.size && legacySku(line.productId, line.size));
+          if (line.productId && sku) {
+            await releaseStock(line.productId, sku, line.quantity);
+          }
+        }
+      }
+
+      if (
+        status === "refunded" &&
+        payment &&
+        ["captured", "partially_refunded"].includes(payment.status)
+      ) {
+        await paymentService.refund(payment);
+      }
+
+      // A cancelled or refunded purchase no longer counts as owned
+      if (status === "cancelled" || status === "refunded") {
+        await revokeEntitlements(order);
+      }
+
+      if (status === "shipped") {
+        if (trackingNumber) order.trackingNumber = trackingNumber;
+        if (carrier) order.carrier = carrier;
+      }
+
+      await order.save();
+      res.send(order);
+    } catch (error) {
+      if (error.status) return sendHttpError(res, error);
+      console.error("Error updating order status:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Payment Management (Admin)
+
+// List every payment attempt for an order (Admin only)
+app.get(
+  "/admin/orders/:id/payments",
+  authenticateToken,
+  authorizeAdmin,
+  async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).send("Order not found.");
+    }
+
+    try {
+      const payments = await Payment.find({ orderId: req.params.id }).sort({
+        createdAt: -1,
+      });
+      res.send(payments);
+    } catch (error) {
+      console.error("Error fetching payments:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Capture, void or refund a payment (Admin only)
+app.post(
+  "/admin/payments/:id/:action",
+  authenticateToken,
+  authorizeAdmin,
+  [
+    body("amount")
+      .optional()
       .isFloat({ gt: 0 })
-      .withMessage("Price must be a positive number."),
-    body("tags")
-      .isArray({ min: 1 })
-      .withMessage("At least one tag is required."),
-    body("tags.*").isString().withMessage("Each tag must be a string."),
-    body("description")
-      .notEmpty()
-      .withMessage("Product must contain a description."),
-    body("imageUrl").isURL().withMessage("A valid image URL is required."),
-    body("sizes")
-      .isArray({ min: 1 })
-      .withMessage("At least one size is required.")
-      .custom((sizes) => {
-        // Ensure each size is a valid option
-        const validSizes = ["XS", "S", "M", "L", "XL", "XXL"];
-        return sizes.every((size) => validSizes.includes(size));
+      .withMessage("Amount must be a positive number."),
+  ],
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, action } = req.params;
+    if (!["capture", "void", "refund"].includes(action)) {
+      return res.status(404).send("Unknown payment action.");
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).send("Payment not found.");
+    }
+
+    try {
+      const payment = await Payment.findById(id);
+      if (!payment) return res.status(404).send("Payment not found.");
+
+      const updated =
+        action === "refund"
+          ? await paymentService.refund(payment, req.body.amount)
+          : await paymentService[action](payment);
+      res.send(updated);
+    } catch (error) {
+      if (error.status) return sendHttpError(res, error);
+      console.error(`Error during payment ${action}:`, error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+/**
+ * Compares a cart line's snapshot price with its variant's current price.
+ * @param {object} line - Cart line with sku and priceAtAdd.
+ * @param {object} product - The product as it is now.
+ * @returns {{from: number, to: number, direction: string}|null} - The change,
+ *   or null if the price is unchanged (or the line predates snapshots).
+ */
+function getPriceChange(line, product) {
+  if (!product || line.priceAtAdd == null) return null;
+  const price = variantPrice(product, findVariant(product, line));
+  if (line.priceAtAdd === price) return null;
+  return {
+    from: line.priceAtAdd,
+    to: price,
+    direction: price < line.priceAtAdd ? "dropped" : "increased",
+  };
+}
+
+/**
+ * Finds the cart line for one variant of a product.
+ * @param {object} cart - The cart document.
+ * @param {string} productId - ID of the product.
+ * @param {string} sku - SKU of the variant.
+ * @returns {object|undefined} - The matching line, if any.
+ */
+function findCartLine(cart, productId, sku) {
+  return cart.products.find(
+    (item) =>
+      item.productId.toString() === productId.toString() && item.sku === sku
+  );
+}
+
+/**
+ * Adds units of one variant to a cart, growing the existing line for that
+ * variant if there is one. The caller saves the cart.
+ * @param {object} cart - The cart document.
+ * @param {object} product - The product being added.
+ * @param {object} variant - The variant to add.
+ * @param {number} quantity - Units to add.
+ */
+function addCartLine(cart, product, variant, quantity) {
+  // Each variant of a product is its own line
+  const item = findCartLine(cart, product._id, variant.sku);
+  const price = variantPrice(product, variant);
+  if (item) {
+    item.quantity += quantity;
+    item.priceAtAdd = price; // Adding more means the shopper saw today's price
+  } else {
+    cart.products.push({
+      productId: product._id,
+      quantity,
+      sku: variant.sku,
+      size: variant.options.get(SIZE_OPTION),
+      priceAtAdd: price,
+    });
+  }
+}
+
+/**
+ * Moves a guest's cart into a user's cart, then deletes the guest cart.
+ * Lines for the same variant have their quantities summed, capped at the
+ * units in stock (a line the user already had is never reduced).
+ * @param {string} userId - ID of the user who just signed in or registered.
+ * @param {string} guestId - The guest cart id from the X-Cart-Id header.
+ * @returns {Promise<Array>} - Guest lines that couldn't be merged in full,
+ *   with name, sku, size, requested, added and reason.
+ */
+async function mergeGuestCart(userId, guestId) {
+  if (!guestId || !GUEST_CART_ID_PATTERN.test(guestId)) return [];
+
+  const guestCart = await Cart.findOne({ guestId });
+  if (!guestCart) return [];
+
+  const cart =
+    (await Cart.findOne({ userId })) || new Cart({ userId, products: [] });
+  const adjustments = [];
+
+  for (const guestItem of guestCart.products) {
+    const product = await Product.findById(guestItem.productId);
+    const variant = product && findVariant(product, guestItem);
+    if (!variant) {
+      adjustments.push({
+        productId: guestItem.productId,
+        name: product?.name,
+        sku: guestItem.sku,
+        size: guestItem.size,
+        requested: guestItem.quantity,
+        added: 0,
+        reason: product
+          ? "This option is no longer available."
+          : "This product is no longer available.",
+      });
+      continue;
+    }
+
+    const existing = findCartLine(cart, product._id, variant.sku);
+    const current = existing ? existing.quantity : 0;
+    const available = variant.stock;
+    const quantity = Math.max(
+      current,
+      Math.min(current + guestItem.quantity, available)
+    );
+    const added = quantity - current;
+
+    if (added < guestItem.quantity) {
+      adjustments.push({
+        productId: product._id,
+        name: product.name,
+        sku: variant.sku,
+        size: guestItem.size,
+        requested: guestItem.quantity,
+        added,
+        reason:
+          available === 0
+            ? "Out of stock."
+            : `Only ${available} in stock, including what was already in your cart.`,
+      });
+    }
+    if (added === 0) continue;
+
+    if (existing) {
+      existing.quantity = quantity;
+    } else {
+      cart.products.push({
+        productId: guestItem.productId,
+        sku: variant.sku,
+        size: guestItem.size,
+        quantity,
+        priceAtAdd: guestItem.priceAtAdd,
+      });
+    }
+  }
+
+  await cart.save();
+  await Cart.deleteOne({ _id: guestCart._id });
+  return adjustments;
+}
+
+// Cart System
+
+//Get items from cart
+app.get("/cart", authenticateCartOwner, async (req, res) => {
+  try {
+    let cart = await Cart.findOne(cartOwnerFilter(req)).populate(
+      "products.productId"
+    );
+
+    if (!cart) {
+      return res.status(404).send("Cart not found.");
+    }
+
+    res.status(200).json(
+      cart.products.map((item) => {
+        const variant = item.productId && findVariant(item.productId, item);
+        return {
+          ...item.toObject(),
+          options: variant ? Object.fromEntries(variant.options) : {}, // For display
+          priceChange: getPriceChange(item, item.productId),
+        };
       })
-      .withMessage("Sizes must be one of XS, S, M, L, XL, XXL"),
+    );
+  } catch (error) {
+    console.error("Error fetching cart items:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Start an anonymous cart for a guest; the returned id goes in the X-Cart-Id header
+app.post("/cart/guest", async (req, res) => {
+  try {
+    const cart = new Cart({
+      guestId: crypto.randomBytes(16).toString("hex"),
+      products: [],
+    });
+    await cart.save();
+    res.status(201).send({ cartId: cart.guestId });
+  } catch (error) {
+    console.error("Error creating guest cart:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Add product to cart
+app.post(
+  "/cart",
+  authenticateCartOwner,
+  [
+    body("productId").notEmpty().withMessage("Product ID is required."),
+    body("quantity")
+      .isInt({ gt: 0 })
+      .withMessage("Quantity must be a positive integer."),
+    body("sku").optional().isString().withMessage("Invalid SKU."),
+    body("size").optional().isString().withMessage("Invalid size."), // Older clients pick by size
+  ],
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, quantity, sku, size } = req.body;
+    try {
+      // Check if product exists
+      const product = await Product.findById(productId);
+      if (!product) return res.status(404).send("Product not found.");
+
+      const variant = findVariant(product, { sku, size });
+      if (!variant) {
+        return res
+          .status(400)
+          .send("Please choose an available option for this product.");
+      }
+
+      let cart = await Cart.findOne(cartOwnerFilter(req));
+
+      if (!cart) {
+        // Also recreates a guest cart that expired while its id was still stored
+        cart = new Cart({ ...cartOwnerFilter(req), products: [] });
+      }
+      addCartLine(cart, product, variant, quantity);
+      await cart.save();
+      res.status(200).send(cart);
+    } catch (error) {
+      console.error("Error adding to cart:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+/**
+ * Prices a cart for its owner's saved address, or for a guest cart the
+ * address given, including any applied coupon.
+ * A coupon that no longer qualifies is left on the cart but not applied, and
+ * the reason is returned as couponError.
+ * @param {object} cart - The cart document.
+ * @param {string} [shippingMethod] - Key of SHIPPING_METHODS.
+ * @param {object} [guestShippingInfo] - Shaped { state, zipcode }; used for guest carts.
+ * @returns {Promise<object>} - Pricing breakdown plus couponCode and couponError.
+ */
+async function priceCart(
+  cart,
+  shippingMethod = "standard",
+  guestShippingInfo = undefined
+) {
+  // Dynamically populate productId when calculating total
+  await cart.populate({
+    path: "products.productId", // Dynamically populate here
+    model: "Product", // Explicitly set the model
+    select: "price name category tags variants", // Select only the fields you need
+  });
+
+  const user = cart.userId ? await User.findById(cart.userId) : null;
+  const shippingInfo = user ? user.shippingInfo : guestShippingInfo;
+  const lines = cart.products
+    .filter((item) => item.productId && item.productId.price)
+    .map((item) => ({
+      price: variantPrice(item.productId, findVariant(item.productId, item)),
+      quantity: item.quantity,
+      category: item.productId.category,
+      tags: item.productId.tags,
+    }));
+
+  let coupon = null;
+  let couponError = null;
+  if (cart.couponCode && lines.length > 0) {
+    coupon = await findCoupon(cart.couponCode);
+    try {
+      await checkCouponEligibility(coupon, cart.userId, lines);
+    } catch (error) {
+      if (!error.status) throw error;
+      couponError = error.message;
+      coupon = null;
+    }
+  }
+
+  const pricing =
+    lines.length > 0
+      ? priceOrder(lines, shippingInfo, shippingMethod, coupon)
+      : {
+          subtotal: 0,
+          discount: 0,
+          shippingCost: 0,
+          tax: 0,
+          taxRate: 0,
+          total: 0,
+        };
+
+  return {
+    ...pricing,
+    shippingMethod,
+    couponCode: cart.couponCode || null,
+    couponError,
+  };
+}
+
+// Get Cart Total
+// Prices the cart for the user's saved address, or a guest cart for the
+// state and zipcode query parameters: subtotal, shipping, tax and total
+app.get("/cart/total", authenticateCartOwner, async (req, res) => {
+  const { shippingMethod = "standard", state, zipcode } = req.query;
+  if (!SHIPPING_METHODS[shippingMethod]) {
+    return res.status(400).send("Invalid shipping method.");
+  }
+
+  try {
+    const cart = await Cart.findOne(cartOwnerFilter(req));
+    if (!cart) return res.status(404).send("Cart not found.");
+
+    res.send(await priceCart(cart, shippingMethod, { state, zipcode }));
+  } catch (error) {
+    console.error("Error calculating cart total:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Apply a coupon code to the cart
+app.post(
+  "/cart/coupon",
+  authenticateToken,
+  [body("code").notEmpty().withMessage("Coupon code is required.")],
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const cart = await Cart.findOne({ userId: req.user.id }).populate(
+        "products.productId"
+      );
+      if (!cart || cart.products.length === 0) {
+        return res.status(400).send("Cart is empty.");
+      }
+
+      const coupon = await findCoupon(req.body.code);
+      const lines = cart.products
+        .filter((item) => item.productId)
+        .map((item) =>
+          buildOrderLine(
+            item.productId,
+            item.quantity,
+            findVariant(item.productId, item)
+          )
+        );
+      await checkCouponEligibility(coupon, req.user.id, lines);
+
+      cart.couponCode = coupon.code;
+      await cart.save();
+      res.status(200).send(await priceCart(cart));
+    } catch (error) {
+      if (error.status) return sendHttpError(res, error);
+      console.error("Error applying coupon:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Remove the coupon code from the cart
+app.delete("/cart/coupon", authenticateToken, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ userId: req.user.id });
+    if (!cart) return res.status(404).send("Cart not found.");
+
+    cart.couponCode = undefined;
+    await cart.save();
+    res.status(200).send(await priceCart(cart));
+  } catch (error) {
+    console.error("Error removing coupon:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Change the quantity and/or variant of one cart line
+app.patch(
+  "/cart/lines/:lineId",
+  authenticateCartOwner,
+  [
+    body("quantity")
+      .optional()
+      .isInt({ gt: 0 })
+      .withMessage("Quantity must be a positive integer."),
+    body("sku").optional().isString().withMessage("Invalid SKU."),
+    body("size").optional().isString().withMessage("Invalid size."), // Older clients switch size only
   ],
   async (req, res) => {
     // Validate input
@@ -409,55 +5567,105 @@ app.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const { quantity, sku, size } = req.body;
     try {
-      const productData = {
-        ...req.body,
-        rating: 0, // Set initial rating to 0
-        creationDate: new Date(), // Explicitly set creationDate (optional)
-      };
-      const product = new Product(productData);
-      await product.save();
-      res.status(201).send(product);
+      const cart = await Cart.findOne(cartOwnerFilter(req));
+      const line = cart && cart.products.id(req.params.lineId);
+      if (!line) return res.status(404).send("Cart line not found.");
+
+      if (quantity !== undefined) line.quantity = quantity;
+
+      if ((sku && sku !== line.sku) || (size && size !== line.size)) {
+        const product = await Product.findById(line.productId);
+        let variant = null;
+        if (product && sku) {
+          variant = findVariant(product, { sku });
+        } else if (product) {
+          // Keep the line's other options and swap in the new size
+          const current = findVariant(product, line);
+          variant = findVariant(product, {
+            options: {
+              ...(current ? Object.fromEntries(current.options) : {}),
+              [SIZE_OPTION]: size,
+            },
+          });
+        }
+        if (!variant) {
+          return res
+            .status(400)
+            .send("That option is not available for this product.");
+        }
+
+        // Switching to a variant that already has a line folds the two together
+        const sameVariant = findCartLine(cart, line.productId, variant.sku);
+        if (sameVariant) {
+          sameVariant.quantity += line.quantity;
+          sameVariant.priceAtAdd = variantPrice(product, variant);
+          line.deleteOne();
+        } else {
+          line.sku = variant.sku;
+          line.size = variant.options.get(SIZE_OPTION);
+          line.priceAtAdd = variantPrice(product, variant); // Picked at today's price
+        }
+      }
+
+      await cart.save();
+      res.send(cart);
     } catch (error) {
-      console.error("Error creating product:", error);
+      console.error("Error updating cart line:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Accept a cart line's new price after it changed
+app.post(
+  "/cart/lines/:lineId/acknowledge-price",
+  authenticateCartOwner,
+  async (req, res) => {
+    try {
+      const cart = await Cart.findOne(cartOwnerFilter(req));
+      const line = cart && cart.products.id(req.params.lineId);
+      if (!line) return res.status(404).send("Cart line not found.");
+
+      const product = await Product.findById(line.productId);
+      if (!product) return res.status(404).send("Product not found.");
+
+      line.priceAtAdd = variantPrice(product, findVariant(product, line));
+      await cart.save();
+      res.send(cart);
+    } catch (error) {
+      console.error("Error acknowledging price change:", error);
       res.status(500).send("Internal server error.");
     }
   }
 );
 
+// Remove one cart line
+app.delete("/cart/lines/:lineId", authenticateCartOwner, async (req, res) => {
+  try {
+    const cart = await Cart.findOne(cartOwnerFilter(req));
+    const line = cart && cart.products.id(req.params.lineId);
+    if (!line) return res.status(404).send("Cart line not found.");
+
+    line.deleteOne();
+    await cart.save();
+    res.send(cart);
+  } catch (error) {
+    console.error("Error removing cart line:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Update product quantity in cart
+// Kept for older clients; pass size to pick the line when several sizes are in the cart
 app.put(
-  "/admin/products/:id",
-  authenticateToken,
-  authorizeAdmin,
+  "/cart/:productId",
+  authenticateCartOwner,
   [
-    body("price")
-      .optional()
-      .isFloat({ gt: 0 })
-      .withMessage("Price must be a positive number."),
-    body("tags")
-      .optional()
-      .isArray({ min: 1 })
-      .withMessage("At least one tag is required."),
-    body("tags.*")
-      .optional()
-      .isString()
-      .withMessage("Each tag must be a string."),
-    body("sizes")
-      .optional()
-      .isArray({ min: 1 })
-      .withMessage("At least one size is required."),
-    body("sizes.*")
-      .optional()
-      .isString()
-      .withMessage("Each size must be a string."),
-    body("imageUrl")
-      .optional()
-      .isURL()
-      .withMessage("A valid image URL is required."),
-    body("description")
-      .optional()
-      .isString()
-      .withMessage("A valid product description is required."),
+    body("quantity")
+      .isInt({ gt: 0 })
+      .withMessage("Quantity must be a positive integer."),
   ],
   async (req, res) => {
     // Validate input
@@ -466,68 +5674,403 @@ app.put(
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const { productId } = req.params;
+    const { quantity, size } = req.body;
     try {
-      const product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-        new: true,
-      });
-      if (!product) return res.status(404).send("Product not found.");
-      res.send(product);
+      const cart = await Cart.findOne(cartOwnerFilter(req));
+
+      if (cart) {
+        const lines = cart.products.filter(
+          (p) =>
+            p.productId.toString() === productId && (!size || p.size === size)
+        );
+        if (lines.length > 1) {
+          return res
+            .status(400)
+            .send("This product is in the cart in several sizes; pass size.");
+        }
+        if (lines.length === 1) {
+          lines[0].quantity = quantity;
+          await cart.save();
+          return res.send(cart);
+        }
+      }
+      res.status(404).send("Product not found in cart.");
     } catch (error) {
-      console.error("Error updating product:", error);
+      console.error("Error updating cart:", error);
       res.status(500).send("Internal server error.");
     }
   }
 );
 
-// Delete a product (Admin only)
-app.delete(
-  "/admin/products/:id",
+// Remove product from cart
+// Kept for older clients; removes only the given size, or every size when none is passed
+app.delete("/cart/:productId", authenticateCartOwner, async (req, res) => {
+  const { productId } = req.params;
+  const { size } = req.body || {};
+  try {
+    const cart = await Cart.findOne(cartOwnerFilter(req));
+
+    if (cart) {
+      const initialLength = cart.products.length;
+      cart.products = cart.products.filter(
+        (p) =>
+          !(p.productId.toString() === productId && (!size || p.size === size))
+      );
+      if (cart.products.length === initialLength) {
+        return res.status(404).send("Product not found in cart.");
+      }
+      await cart.save();
+      return res.send(cart);
+    }
+    res.status(404).send("Cart not found.");
+  } catch (error) {
+    console.error("Error removing from cart:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Utility function to escape special RegEx characters in the keyword
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); // $& means the whole matched string
+}
+
+// Utility function to escape special RegEx characters in the keyword
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); // $& means the whole matched string
+}
+
+// Product Search
+// Ranks products by relevance to q (or query), tolerating typos and partial
+// words. Takes the same filters and paging as GET /products. Each result
+// lists the product words that matched so clients can highlight them.
+// truncated is true when there were more candidates than could be scored
+// (see findSearchCandidates); total then counts only those that were.
+app.get("/product/search", async (req, res) => {
+  const query = req.query.q ?? req.query.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 24, 1), 100);
+
+  // Validate that the query is provided and is a string
+  if (!query || typeof query !== "string") {
+    return res
+      .status(400)
+      .send({ error: "Query parameter is required and must be a string." });
+  }
+
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) {
+    return res
+      .status(200)
+      .send({ products: [], page, limit, total: 0, totalPages: 0 });
+  }
+
+  try {
+    const { candidates, truncated } = await findSearchCandidates(
+      buildProductFilter(req.query),
+      terms
+    );
+
+    // Best matches first; higher-rated products win ties
+    const ranked = candidates
+      .map((product) => ({ product, result: scoreProduct(product, terms) }))
+      .filter(({ result }) => result)
+      .sort(
+        (a, b) =>
+          b.result.score - a.result.score ||
+          (b.product.rating || 0) - (a.product.rating || 0)
+      );
+
+    const pageResults = ranked.slice((page - 1) * limit, page * limit);
+    const products = await Product.find({
+      _id: { $in: pageResults.map(({ product }) => product._id) },
+    });
+    const productsById = new Map(
+      products.map((product) => [product._id.toString(), product])
+    );
+
+    res.status(200).send({
+      products: pageResults
+        .map(({ product, result }) => {
+          const fullProduct = productsById.get(product._id.toString());
+          return (
+            fullProduct && {
+              ...fullProduct.toObject(),
+              matches: result.matches,
+            }
+          );
+        })
+        .filter(Boolean),
+      page,
+      limit,
+      total: ranked.length,
+      totalPages: Math.ceil(ranked.length / limit),
+      truncated,
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+    console.error("Error searching products:", error);
+    res.status(500).send({ error: "Internal server error." });
+  }
+});
+
+// Search Suggestions
+
+const SUGGESTION_LIMIT = 6; // Products shown under the search box
+const RECENT_SEARCH_LIMIT = 8; // Recent searches remembered per user
+const POPULAR_SEARCH_LIMIT = 5;
+const POPULAR_SEARCH_MIN_COUNT = 5; // Times a search must be run before it is offered to others
+
+// Autocomplete for the search box: products whose name or tags start with q,
+// plus the user's recent searches and popular searches that start with it.
+// With an empty q, only the recent and popular searches are returned.
+app.get("/product/suggest", optionalAuthenticateToken, async (req, res) => {
+  const query =
+    typeof req.query.q === "string" ? req.query.q.trim().toLowerCase() : "";
+
+  try {
+    const user = req.user
+      ? await User.findById(req.user.id, "recentSearches")
+      : null;
+    const recent = (user ? user.recentSearches : [])
+      .filter((search) => search.startsWith(query))
+      .slice(0, RECENT_SEARCH_LIMIT);
+
+    const popular = (
+      await SearchQuery.find(
+        {
+          ...(query && { query: new RegExp(`^${escapeRegExp(query)}`) }),
+          count: { $gte: POPULAR_SEARCH_MIN_COUNT },
+        },
+        "query"
+      )
+        .sort({ count: -1 })
+        .limit(POPULAR_SEARCH_LIMIT)
+        .lean()
+    )
+      .map((search) => search.query)
+      .filter((search) => search !== query);
+
+    let products = [];
+    if (query) {
+      // Match the start of any word, so "jack" finds "Leather Jacket"
+      const wordPrefix = new RegExp(`(^|\\s)${escapeRegExp(query)}`, "i");
+      products = await Product.find(
+        { $or: [{ name: wordPrefix }, { tags: wordPrefix }] },
+        "name price imageUrl variants.price"
+      )
+        .sort(PRODUCT_SORTS.rating)
+        .limit(SUGGESTION_LIMIT)
+        .lean();
+      // Lean results skip the schema's transform
+      products.forEach((product) => {
+        product.imageUrl = resolveImageUrl(product.imageUrl);
+      });
+    }
+
+    res.status(200).send({ products, recent, popular });
+  } catch (error) {
+    console.error("Error fetching search suggestions:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Record a search a signed-in user ran: it goes to the top of their recent
+// searches and, if it finds any products, counts toward popular searches.
+// Guests keep their recent searches in the browser.
+app.post(
+  "/search/history",
+  searchHistoryLimiter,
   authenticateToken,
-  authorizeAdmin,
+  [
+    body("query")
+      .isString()
+      .trim()
+      .toLowerCase()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Query must be 1 to 100 characters."),
+  ],
   async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { query } = req.body;
+
     try {
-      const product = await Product.findByIdAndDelete(req.params.id);
-      if (!product) return res.status(404).send("Product not found.");
-      res.send({ message: "Product deleted" });
+      // Searches that find nothing can't be offered to other shoppers
+      if (await Product.exists({ $text: { $search: query } })) {
+        await SearchQuery.updateOne(
+          { query },
+          { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+          { upsert: true }
+        );
+      }
+
+      // Drop any earlier copy, then put it first and trim the list
+      await User.updateOne(
+        { _id: req.user.id },
+        { $pull: { recentSearches: query } }
+      );
+      const user = await User.findByIdAndUpdate(
+        req.user.id,
+        {
+          $push: {
+            recentSearches: {
+              $each: [query],
+              $position: 0,
+              $slice: RECENT_SEARCH_LIMIT,
+            },
+          },
+        },
+        { new: true, projection: "recentSearches" }
+      );
+
+      res.status(200).send({ recent: user ? user.recentSearches : [] });
     } catch (error) {
-      console.error("Error deleting product:", error);
+      console.error("Error recording search:", error);
       res.status(500).send("Internal server error.");
     }
   }
 );
 
-// Cart System
+// Clear the signed-in user's recent searches
+app.delete("/search/history", authenticateToken, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { recentSearches: [] });
+    res.status(200).send({ recent: [] });
+  } catch (error) {
+    console.error("Error clearing recent searches:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
 
-//Get items from cart
-app.get("/cart", authenticateToken, async (req, res) => {
+// Clear all items in the cart
+app.delete("/cart_all/delete", authenticateCartOwner, async (req, res) => {
   try {
-    let cart = await Cart.findOne({ userId: req.user.id }).populate(
-      "products.productId"
-    );
+    // Find the user's or guest's cart
+    const cart = await Cart.findOne(cartOwnerFilter(req));
 
     if (!cart) {
       return res.status(404).send("Cart not found.");
     }
 
-    res.status(200).json(cart.products);
+    // Clear all products from the cart
+    cart.products = [];
+    await cart.save();
+
+    res.status(200).send("Cart has been cleared.");
   } catch (error) {
-    console.error("Error fetching cart items:", error);
+    console.error("Error clearing cart:", error);
     res.status(500).send("Internal server error.");
   }
 });
 
-// Add product to cart
+// Wishlist
+
+/**
+ * Fetches a user's wishlist, creating an empty one on first use.
+ * @param {string} userId - ID of the user.
+ * @returns {Promise<object>} - The wishlist document.
+ */
+async function getOrCreateWishlist(userId) {
+  return (
+    (await Wishlist.findOne({ userId })) || new Wishlist({ userId, items: [] })
+  );
+}
+
+/**
+ * Adds a product to a wishlist unless it is already there in the same variant.
+ * The caller saves the wishlist.
+ * @param {object} wishlist - The wishlist document.
+ * @param {string} productId - ID of the product.
+ * @param {object} [variant] - The variant's sku and size to remember, if any.
+ */
+function addWishlistItem(wishlist, productId, { sku, size } = {}) {
+  const exists = wishlist.items.some(
+    (item) =>
+      item.productId.toString() === productId.toString() &&
+      (item.sku || null) === (sku || null)
+  );
+  if (!exists) wishlist.items.push({ productId, sku, size });
+}
+
+/**
+ * The sku and size a wishlist item should remember for a picked variant.
+ * @param {object|null} variant - One of the product's variants.
+ * @returns {object} - { sku, size }, empty when no variant was picked.
+ */
+function wishlistVariant(variant) {
+  return variant
+    ? { sku: variant.sku, size: variant.options.get(SIZE_OPTION) }
+    : {};
+}
+
+// List the user's saved products, newest first
+app.get("/wishlist", authenticateToken, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ userId: req.user.id }).populate(
+      "items.productId"
+    );
+    // Products deleted since they were saved are left out
+    const items = (wishlist ? wishlist.items : [])
+      .filter((item) => item.productId)
+      .sort((a, b) => b.addedAt - a.addedAt);
+    res.status(200).json(items);
+  } catch (error) {
+    console.error("Error fetching wishlist:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Save a product to the wishlist
 app.post(
-  "/cart",
+  "/wishlist",
+  authenticateToken,
+  [
+    body("productId").isMongoId().withMessage("Invalid product ID."),
+    body("sku").optional().isString().withMessage("Invalid SKU."),
+    body("size").optional().isString().withMessage("Invalid size."), // Older clients pick by size
+  ],
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, sku, size } = req.body;
+    try {
+      const product = await Product.findById(productId);
+      if (!product) return res.status(404).send("Product not found.");
+
+      // Saving without picking a variant is fine; a picked one must exist
+      const variant = sku || size ? findVariant(product, { sku, size }) : null;
+      if ((sku || size) && !variant) {
+        return res
+          .status(400)
+          .send("That option is not available for this product.");
+      }
+
+      const wishlist = await getOrCreateWishlist(req.user.id);
+      addWishlistItem(wishlist, productId, wishlistVariant(variant));
+      await wishlist.save();
+      res.status(200).send(wishlist);
+    } catch (error) {
+      console.error("Error adding to wishlist:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Merge a guest's locally saved list into the user's wishlist after login
+app.post(
+  "/wishlist/merge",
   authenticateToken,
   [
-    body("productId").notEmpty().withMessage("Product ID is required."),
-    body("quantity")
-      .isInt({ gt: 0 })
-      .withMessage("Quantity must be a positive integer."),
-    body("size")
-      .isIn(["XS", "S", "M", "L", "XL", "XXL"])
-      .withMessage("Invalid size. Available sizes: XS, S, M, L, XL, XXL."),
+    body("items").isArray().withMessage("Items must be an array."),
+    body("items.*.productId").isMongoId().withMessage("Invalid product ID."),
   ],
   async (req, res) => {
     // Validate input
@@ -536,70 +6079,58 @@ app.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { productId, quantity, size } = req.body;
     try {
-      // Check if product exists
-      const product = await Product.findById(productId);
-      if (!product) return res.status(404).send("Product not found.");
-
-      let cart = await Cart.findOne({ userId: req.user.id });
-
-      if (cart) {
-        const item = cart.products.find(
-          (p) => p.productId.toString() === productId
-        );
-        if (item) {
-          item.quantity += quantity;
-        } else {
-          cart.products.push({ productId, quantity, size });
-        }
-      } else {
-        cart = new Cart({
-          userId: req.user.id,
-          products: [{ productId, quantity, size }],
+      const wishlist = await getOrCreateWishlist(req.user.id);
+      const products = await Product.find({
+        _id: { $in: req.body.items.map((item) => item.productId) },
+      }).select("_id variants");
+      const productsById = new Map(products.map((p) => [p._id.toString(), p]));
+
+      // Products deleted while the guest was browsing are dropped, and
+      // variants that no longer exist are forgotten
+      req.body.items
+        .filter((item) => productsById.has(item.productId))
+        .forEach((item) => {
+          const variant =
+            item.sku || item.size
+              ? findVariant(productsById.get(item.productId), item)
+              : null;
+          addWishlistItem(wishlist, item.productId, wishlistVariant(variant));
         });
-      }
-      await cart.save();
-      res.status(200).send(cart);
+      await wishlist.save();
+      res.status(200).send(wishlist);
     } catch (error) {
-      console.error("Error adding to cart:", error);
+      console.error("Error merging wishlist:", error);
       res.status(500).send("Internal server error.");
     }
   }
 );
 
-// Get Cart Total
-app.get("/cart/total", authenticateToken, async (req, res) => {
+// Remove an item from the wishlist
+app.delete("/wishlist/:itemId", authenticateToken, async (req, res) => {
   try {
-    // Dynamically populate productId when calculating total
-    const cart = await Cart.findOne({ userId: req.user.id }).populate({
-      path: "products.productId", // Dynamically populate here
-      model: "Product", // Explicitly set the model
-      select: "price name", // Select only the fields you need
-    });
-
-    if (!cart) return res.status(404).send("Cart not found.");
-
-    const total = cart.products.reduce((sum, item) => {
-      if (item.productId && item.productId.price) {
-        return sum + item.productId.price * item.quantity;
-      }
-      return sum;
-    }, 0);
+    const wishlist = await Wishlist.findOne({ userId: req.user.id });
+    const item = wishlist && wishlist.items.id(req.params.itemId);
+    if (!item) return res.status(404).send("Wishlist item not found.");
 
-    res.send({ total });
+    item.deleteOne();
+    await wishlist.save();
+    res.send(wishlist);
   } catch (error) {
-    console.error("Error calculating cart total:", error);
+    console.error("Error removing from wishlist:", error);
     res.status(500).send("Internal server error.");
   }
 });
 
-// Update product quantity in cart
-app.put(
-  "/cart/:productId",
+// Move a wishlist item into the cart
+app.post(
+  "/wishlist/:itemId/move-to-cart",
   authenticateToken,
   [
+    body("sku").optional().isString().withMessage("Invalid SKU."),
+    body("size").optional().isString().withMessage("Invalid size."), // Older clients pick by size
     body("quantity")
+      .optional()
       .isInt({ gt: 0 })
       .withMessage("Quantity must be a positive integer."),
   ],
@@ -610,114 +6141,65 @@ app.put(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { productId } = req.params;
-    const { quantity } = req.body;
     try {
-      const cart = await Cart.findOne({ userId: req.user.id });
+      const wishlist = await Wishlist.findOne({ userId: req.user.id });
+      const item = wishlist && wishlist.items.id(req.params.itemId);
+      if (!item) return res.status(404).send("Wishlist item not found.");
 
-      if (cart) {
-        const item = cart.products.find(
-          (p) => p.productId.toString() === productId
-        );
-        if (item) {
-          item.quantity = quantity;
-          await cart.save();
-          return res.send(cart);
-        }
+      const product = await Product.findById(item.productId);
+      if (!product) return res.status(404).send("Product not found.");
+
+      // A variant picked now wins over the one remembered from the cart
+      const { sku, size } = req.body;
+      const variant = findVariant(product, sku || size ? { sku, size } : item);
+      if (!variant) {
+        return res
+          .status(400)
+          .send("Please choose an available option for this product.");
       }
-      res.status(404).send("Product not found in cart.");
+
+      const cart =
+        (await Cart.findOne({ userId: req.user.id })) ||
+        new Cart({ userId: req.user.id, products: [] });
+      addCartLine(cart, product, variant, req.body.quantity || 1);
+      await cart.save();
+
+      item.deleteOne();
+      await wishlist.save();
+      res.status(200).send({ cart, wishlist });
     } catch (error) {
-      console.error("Error updating cart:", error);
+      console.error("Error moving wishlist item to cart:", error);
       res.status(500).send("Internal server error.");
     }
   }
 );
 
-// Remove product from cart
-app.delete("/cart/:productId", authenticateToken, async (req, res) => {
-  const { productId } = req.params;
-  try {
-    const cart = await Cart.findOne({ userId: req.user.id });
-
-    if (cart) {
-      const initialLength = cart.products.length;
-      cart.products = cart.products.filter(
-        (p) => p.productId.toString() !== productId
-      );
-      if (cart.products.length === initialLength) {
-        return res.status(404).send("Product not found in cart.");
-      }
-      await cart.save();
-      return res.send(cart);
-    }
-    res.status(404).send("Cart not found.");
-  } catch (error) {
-    console.error("Error removing from cart:", error);
-    res.status(500).send("Internal server error.");
-  }
-});
-
-// Utility function to escape special RegEx characters in the keyword
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); // $& means the whole matched string
-}
-
-// Utility function to escape special RegEx characters in the keyword
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); // $& means the whole matched string
-}
-
-// Updated Product Search by Name using Full-Text Search with Fallback
-app.get("/product/search", async (req, res) => {
-  const { query } = req.query;
-
-  // Validate that the query is provided and is a string
-  if (!query || typeof query !== "string") {
-    return res
-      .status(400)
-      .send({ error: "Query parameter is required and must be a string." });
-  }
-
-  try {
-    // First, attempt a full-text search
-    let products = await Product.find(
-      { $text: { $search: query } },
-      { score: { $meta: "textScore" } }
-    ).sort({ score: { $meta: "textScore" } });
-
-    // If no products found, perform a partial, case-insensitive match using regex
-    if (products.length === 0) {
-      const regex = new RegExp(escapeRegExp(query), "i"); // 'i' for case-insensitive
-      products = await Product.find({ name: regex });
-    }
-
-    res.status(200).send(products);
-  } catch (error) {
-    console.error("Error searching products:", error);
-    res.status(500).send({ error: "Internal server error." });
-  }
-});
+// Move a cart line to the wishlist ("Save for later")
+app.post(
+  "/cart/lines/:lineId/save-for-later",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const cart = await Cart.findOne({ userId: req.user.id });
+      const line = cart && cart.products.id(req.params.lineId);
+      if (!line) return res.status(404).send("Cart line not found.");
 
-// Clear all items in the cart
-app.delete("/cart_all/delete", authenticateToken, async (req, res) => {
-  try {
-    // Find the user's cart
-    const cart = await Cart.findOne({ userId: req.user.id });
+      const wishlist = await getOrCreateWishlist(req.user.id);
+      addWishlistItem(wishlist, line.productId, {
+        sku: line.sku,
+        size: line.size,
+      });
+      await wishlist.save();
 
-    if (!cart) {
-      return res.status(404).send("Cart not found.");
+      line.deleteOne();
+      await cart.save();
+      res.status(200).send({ cart, wishlist });
+    } catch (error) {
+      console.error("Error saving cart line for later:", error);
+      res.status(500).send("Internal server error.");
     }
-
-    // Clear all products from the cart
-    cart.products = [];
-    await cart.save();
-
-    res.status(200).send("Cart has been cleared.");
-  } catch (error) {
-    console.error("Error clearing cart:", error);
-    res.status(500).send("Internal server error.");
   }
-});
+);
 
 // Account System
 
@@ -777,12 +6259,20 @@ app.post(
         username,
         email,
         password: hashedPassword,
-        savedPaymentInfo,
         shippingInfo,
       });
       await user.save();
+
+      // Vault the card; only its token and masked details are kept
+      await savePaymentMethod(user._id, savedPaymentInfo, true);
+
+      const cartAdjustments = await mergeGuestCart(
+        user._id,
+        req.header("X-Cart-Id")
+      );
       res.status(201).send({
         message: "User registered successfully.",
+        cartAdjustments,
         user: {
           id: user._id,
           username: user.username,
@@ -815,12 +6305,13 @@ app.post(
     try {
       const user = await User.findOne({ email });
       if (user && (await bcrypt.compare(password, user.password))) {
-        const token = jwt.sign(
-          { id: user._id, isAdmin: user.isAdmin },
-          JWT_SECRET,
-          { expiresIn: "1h" }
+        const { token, refreshToken } = await issueTokens(user);
+        // Carry over whatever the visitor added to their cart before signing in
+        const cartAdjustments = await mergeGuestCart(
+          user._id,
+          req.header("X-Cart-Id")
         );
-        res.send({ token });
+        res.send({ token, refreshToken, cartAdjustments });
       } else {
         res.status(400).send("Invalid credentials.");
       }
@@ -831,10 +6322,78 @@ app.post(
   }
 );
 
-// Logout (Client-side should handle token removal)
-app.post("/account/logout", authenticateToken, (req, res) => {
-  // Since JWTs are stateless, logout can be handled client-side by deleting the token
-  res.send("Logged out successfully.");
+// Exchange a refresh token for a new access token, rotating the refresh token
+app.post(
+  "/account/refresh",
+  [body("refreshToken").isString().withMessage("Refresh token is required.")],
+  async (req, res) => {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const tokenHash = hashToken(req.body.refreshToken);
+      const now = new Date();
+      // Claim the token in a single update, so when it is replayed
+      // concurrently only one request can rotate it
+      const stored = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { revokedAt: now } }
+      );
+
+      if (!stored) {
+        const existing = await RefreshToken.findOne({ tokenHash });
+        if (!existing) return res.status(401).send("Invalid refresh token.");
+
+        if (existing.revokedAt) {
+          // A rotated token was replayed, so it may have been stolen.
+          // Revoke every session for this user to be safe.
+          await RefreshToken.updateMany(
+            { userId: existing.userId, revokedAt: null },
+            { revokedAt: new Date() }
+          );
+          return res.status(401).send("Refresh token has been revoked.");
+        }
+
+        return res.status(401).send("Refresh token has expired.");
+      }
+
+      const user = await User.findById(stored.userId);
+      if (!user) return res.status(401).send("Invalid refresh token.");
+
+      const { token, refreshToken, refreshTokenHash } = await issueTokens(user);
+      await RefreshToken.updateOne(
+        { _id: stored._id },
+        { replacedByHash: refreshTokenHash }
+      );
+
+      res.send({ token, refreshToken });
+    } catch (error) {
+      console.error("Error refreshing token:", error);
+      res.status(500).send("Internal server error.");
+    }
+  }
+);
+
+// Logout
+// Revokes the refresh token; the short-lived access token simply expires.
+// No access token is required so an expired session can still log out.
+app.post("/account/logout", async (req, res) => {
+  const { refreshToken } = req.body;
+  try {
+    if (typeof refreshToken === "string") {
+      await RefreshToken.updateOne(
+        { tokenHash: hashToken(refreshToken), revokedAt: null },
+        { revokedAt: new Date() }
+      );
+    }
+    res.send("Logged out successfully.");
+  } catch (error) {
+    console.error("Error during logout:", error);
+    res.status(500).send("Internal server error.");
+  }
 });
 
 // Endpoint to get the currently authenticated user's data
@@ -844,7 +6403,14 @@ app.get("/account/me", authenticateToken, async (req, res) => {
     const user = await User.findById(req.user.id).select("-password"); // Exclude password from the response
     if (!user) return res.status(404).send("User not found.");
 
-    res.status(200).send(user);
+    const paymentMethods = await PaymentMethod.find({
+      userId: req.user.id,
+    }).sort({ isDefault: -1, createdAt: -1 });
+
+    res.status(200).send({
+      ...user.toObject(),
+      paymentMethods: paymentMethods.map(toMaskedPaymentMethod),
+    });
   } catch (error) {
     console.error("Error fetching user data:", error);
     res.status(500).send("Internal server error.");
@@ -865,24 +6431,6 @@ app.put(
       .optional()
       .isLength({ min: 6 })
       .withMessage("Password must be at least 6 characters long."),
-    body("savedPaymentInfo.cardNumber")
-      .optional()
-      .matches(/^\d{13,19}$/)
-      .withMessage("Invalid card number format.")
-      .custom((value) => validateLuhn(value))
-      .withMessage("Invalid credit card number."),
-    body("savedPaymentInfo.cardHolderName")
-      .optional()
-      .notEmpty()
-      .withMessage("Card holder name is required."),
-    body("savedPaymentInfo.expiryDate")
-      .optional()
-      .matches(/^(0[1-9]|1[0-2])\/?([0-9]{2})$/)
-      .withMessage("Invalid expiry date. Format: MM/YY"),
-    body("savedPaymentInfo.cvv")
-      .optional()
-      .matches(/^\d{3,4}$/)
-      .withMessage("Invalid CVV."),
     body("shippingInfo.address")
       .optional()
       .notEmpty()
@@ -909,6 +6457,7 @@ app.put(
 
     try {
       const updates = { ...req.body };
+      delete updates.savedPaymentInfo; // Cards are managed through /account/payment
       if (updates.password) {
         updates.password = await bcrypt.hash(updates.password, 10);
       }
@@ -933,7 +6482,23 @@ app.put(
   }
 );
 
-// Save Payment Information
+// Payment Methods
+
+// List the authenticated user's saved payment methods (masked)
+app.get("/account/payment", authenticateToken, async (req, res) => {
+  try {
+    const paymentMethods = await PaymentMethod.find({
+      userId: req.user.id,
+    }).sort({ isDefault: -1, createdAt: -1 });
+
+    res.send(paymentMethods.map(toMaskedPaymentMethod));
+  } catch (error) {
+    console.error("Error fetching payment methods:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Save a new payment method
 app.post(
   "/account/payment",
   authenticateToken,
@@ -952,6 +6517,7 @@ app.post(
     body("savedPaymentInfo.cvv")
       .matches(/^\d{3,4}$/)
       .withMessage("Invalid CVV."),
+    body("makeDefault").optional().isBoolean(),
   ],
   async (req, res) => {
     // Validate input
@@ -960,21 +6526,16 @@ app.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { savedPaymentInfo } = req.body;
+    const { savedPaymentInfo, makeDefault } = req.body;
     try {
-      const user = await User.findByIdAndUpdate(
+      const paymentMethod = await savePaymentMethod(
         req.user.id,
-        { savedPaymentInfo },
-        { new: true }
+        savedPaymentInfo,
+        Boolean(makeDefault)
       );
-      if (!user) return res.status(404).send("User not found.");
-      res.send({
+      res.status(201).send({
         message: "Payment information saved successfully.",
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-        },
+        paymentMethod: toMaskedPaymentMethod(paymentMethod),
       });
     } catch (error) {
       console.error("Error saving payment info:", error);
@@ -983,6 +6544,75 @@ app.post(
   }
 );
 
+// Make a saved payment method the default
+app.put("/account/payment/:id/default", authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).send("Payment method not found.");
+  }
+
+  try {
+    const paymentMethod = await PaymentMethod.findOne({
+      _id: id,
+      userId: req.user.id,
+    });
+    if (!paymentMethod) {
+      return res.status(404).send("Payment method not found.");
+    }
+
+    await PaymentMethod.updateMany(
+      { userId: req.user.id },
+      { isDefault: false }
+    );
+    paymentMethod.isDefault = true;
+    await paymentMethod.save();
+
+    res.send({
+      message: "Default payment method updated.",
+      paymentMethod: toMaskedPaymentMethod(paymentMethod),
+    });
+  } catch (error) {
+    console.error("Error updating default payment method:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
+// Remove a saved payment method
+app.delete("/account/payment/:id", authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).send("Payment method not found.");
+  }
+
+  try {
+    const paymentMethod = await PaymentMethod.findOneAndDelete({
+      _id: id,
+      userId: req.user.id,
+    });
+    if (!paymentMethod) {
+      return res.status(404).send("Payment method not found.");
+    }
+
+    await paymentProvider.deleteToken(paymentMethod.token);
+
+    // Promote the most recent remaining card if the default was removed
+    if (paymentMethod.isDefault) {
+      const next = await PaymentMethod.findOne({ userId: req.user.id }).sort({
+        createdAt: -1,
+      });
+      if (next) {
+        next.isDefault = true;
+        await next.save();
+      }
+    }
+
+    res.send({ message: "Payment method removed." });
+  } catch (error) {
+    console.error("Error removing payment method:", error);
+    res.status(500).send("Internal server error.");
+  }
+});
+
 // Review System
 
 // Add a review to a product
@@ -1047,6 +6677,7 @@ app.post(
       });
 
       await review.save();
+      await refreshProductRating(productId);
       res.status(201).send(review);
     } catch (error) {
       console.error("Error adding review:", error);
@@ -1114,12 +6745,6 @@ app.post(
         email,
         password: hashedPassword,
         isAdmin: true, // Set admin flag to true
-        savedPaymentInfo: {
-          cardNumber: "0000000000000000",
-          cardHolderName: "Admin",
-          expiryDate: "01/30",
-          cvv: "000",
-        },
         shippingInfo: {
           address: "Admin Address",
           state: "Admin State",
@@ -1188,29 +6813,13 @@ app.post(
     body("quantity")
       .isInt({ gt: 0 })
       .withMessage("Quantity must be a positive integer."),
-    body("size")
-      .isIn(["XS", "S", "M", "L", "XL", "XXL"])
-      .withMessage("Invalid size. Available sizes: XS, S, M, L, XL, XXL."),
-    body("shippingInfo.address").notEmpty().withMessage("Address is required."),
-    body("shippingInfo.state").notEmpty().withMessage("State is required."),
-    body("shippingInfo.zipcode")
-      .matches(/^\d{5}(-\d{4})?$/)
-      .withMessage("Invalid zipcode."),
-    body("shippingInfo.city").notEmpty().withMessage("City is required."),
-    body("paymentInfo.cardNumber")
-      .matches(/^\d{13,19}$/)
-      .withMessage("Invalid card number format.")
-      .custom((value) => validateLuhn(value))
-      .withMessage("Invalid credit card number."),
-    body("paymentInfo.cardHolderName")
-      .notEmpty()
-      .withMessage("Card holder name is required."),
-    body("paymentInfo.expiryDate")
-      .matches(/^(0[1-9]|1[0-2])\/?([0-9]{2})$/)
-      .withMessage("Invalid expiry date. Format: MM/YY"),
-    body("paymentInfo.cvv")
-      .matches(/^\d{3,4}$/)
-      .withMessage("Invalid CVV."),
+    body("sku").optional().isString().withMessage("Invalid SKU."),
+    body("size").optional().isString().withMessage("Invalid size."), // Older clients pick by size
+    ...guestCheckoutValidators(),
+    body("shippingMethod")
+      .optional()
+      .isIn(Object.keys(SHIPPING_METHODS))
+      .withMessage("Invalid shipping method."),
   ],
   async (req, res) => {
     // Validate input
@@ -1220,41 +6829,95 @@ app.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { quantity, shippingInfo, paymentInfo, size } = req.body;
+    const {
+      quantity,
+      shippingInfo,
+      paymentInfo,
+      sku,
+      size,
+      shippingMethod = "standard",
+    } = req.body;
     try {
-      //First of all, we need to actually use paymentInfo and verify the paymentInfo is valid, just like in the register endpoint.
-
       // Check if product exists
       const product = await Product.findById(productId);
       if (!product) return res.status(404).send("Product not found.");
 
+      // Check that the requested variant is sold for the product
+      const variant = findVariant(product, { sku, size });
+      if (!variant) {
+        return res
+          .status(400)
+          .send("Please choose an available option for this product.");
+      }
+
       // Calculate total
-      const total = product.price * quantity;
+      const line = buildOrderLine(product, quantity, variant);
+      const { subtotal, shippingCost, tax, taxRate, total } = priceOrder(
+        [line],
+        shippingInfo,
+        shippingMethod
+      );
+
+      // The guest's card is tokenized for this charge only and never saved
+      const card = await paymentProvider.tokenizeCard(paymentInfo);
 
-      // Here, integrate with a payment gateway to process the payment.
-      // Since this is a demonstration, we'll assume the payment is successful.
+      await reserveStock(product, variant, quantity);
 
       // Create a new order
+      const estimate = estimateDelivery(shippingInfo, shippingMethod);
       const order = new Order({
         userId: null, // Indicates a guest purchase
-        products: [{ productId, quantity }],
+        products: [line],
+        subtotal,
+        shippingCost,
+        tax,
+        taxRate,
         total,
         shippingInfo,
-        size,
+        shippingMethod,
+        deliveryEstimate: {
+          earliest: estimate.earliest,
+          latest: estimate.latest,
+        },
+        size: line.size,
       });
-      await order.save();
+      let payment;
+      try {
+        payment = await paymentService.authorize({
+          orderId: order._id,
+          token: card.token,
+          brand: card.brand,
+          last4: card.last4,
+          amount: total,
+        });
+        order.paymentId = payment._id;
+        await order.save();
+      } catch (error) {
+        // Give the units and the hold back if the order couldn't be recorded
+        await releaseStock(productId, variant.sku, quantity);
+        if (payment) await paymentService.void(payment);
+        throw error;
+      }
+
+      await settleOrderPayment(order, payment);
 
       res.status(201).send({
         message: "Purchase successful.",
         order: {
           id: order._id,
           products: order.products,
+          subtotal: order.subtotal,
+          shippingCost: order.shippingCost,
+          tax: order.tax,
           total: order.total,
           shippingInfo: order.shippingInfo,
+          shippingMethod: order.shippingMethod,
+          deliveryEstimate: order.deliveryEstimate,
           size: order.size,
         },
       });
     } catch (error) {
+      if (error.status) return sendHttpError(res, error);
       console.error("Error processing guest purchase:", error);
       res.status(500).send("Internal server error.");
     }
@@ -11,8 +11,15 @@ import RegisterPage from "./pages/RegisterPage";
 import { CartProvider } from "./contexts/CartContext";
 import { AuthProvider } from "./contexts/AuthContext";
 import { ProductProvider } from "./contexts/ProductContext";
+import { ShippingProvider } from "./contexts/ShippingContext";
+import { WishlistProvider } from "./contexts/WishlistContext";
 import CheckoutPage from "./components/CheckoutPage";
 import AccountPage from "./pages/AccountPage";
+import OrdersPage from "./pages/OrdersPage";
+import OrderDetailPage from "./pages/OrderDetailPage";
+import WishlistPage from "./pages/WishlistPage";
+import SearchPage from "./pages/SearchPage";
+import CategoryPage from "./pages/CategoryPage";
 
 const queryClient = new QueryClient(); // Initialize a Query Client
 
@@ -21,20 +28,35 @@ function App() {
     <QueryClientProvider client={queryClient}>
       <AuthProvider>
         <CartProvider>
-          <ProductProvider>
-            <Router>
-              <Navbar />
-              <Routes>
-                <Route path="/" element={<HomePage />} />
-                <Route path="/product/:productId" element={<ProductDetail />} />
-                <Route path="/cart" element={<CartPage />} />
-                <Route path="/checkout" element={<CheckoutPage />} />
-                <Route path="/login" element={<LoginPage />} />
-                <Route path="/register" element={<RegisterPage />} />
-                <Route path="/account" element={<AccountPage />} />
-              </Routes>
-            </Router>
-          </ProductProvider>
+          <WishlistProvider>
+            <ProductProvider>
+              <ShippingProvider>
+                <Router>
+                  <Navbar />
+                  <Routes>
+                    <Route path="/" element={<HomePage />} />
+                    <Route
+                      path="/product/:productId"
+                      element={<ProductDetail />}
+                    />
+                    <Route path="/cart" element={<CartPage />} />
+                    <Route path="/checkout" element={<CheckoutPage />} />
+                    <Route path="/login" element={<LoginPage />} />
+                    <Route path="/register" element={<RegisterPage />} />
+                    <Route path="/account" element={<AccountPage />} />
+                    <Route path="/orders" element={<OrdersPage />} />
+                    <Route path="/wishlist" element={<WishlistPage />} />
+                    <Route path="/search" element={<SearchPage />} />
+                    <Route path="/category/:slug" element={<CategoryPage />} />
+                    <Route
+                      path="/orders/:orderId"
+                      element={<OrderDetailPage />}
+                    />
+                  </Routes>
+                </Router>
+              </ShippingProvider>
+            </ProductProvider>
+          </WishlistProvider>
         </CartProvider>
       </AuthProvider>
     </QueryClientProvider>
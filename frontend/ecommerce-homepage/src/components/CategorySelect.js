@@ -0,0 +1,53 @@
+// src/components/CategorySelect.js
+import React from "react";
+import { useProduct } from "../contexts/ProductContext";
+import "../pages/AdminPage.css";
+
+// Depth-first list of the category tree, each entry with its depth
+const flattenTree = (categories, depth = 0) =>
+  categories.flatMap((category) => [
+    { ...category, depth },
+    ...flattenTree(category.children, depth + 1),
+  ]);
+
+/**
+ * Admin checklist of the categories a product is listed under, indented to
+ * follow the tree. A product in Jackets also shows on the pages of the
+ * categories above it, so only the most specific ones need ticking.
+ */
+const CategorySelect = ({ value = [], onChange }) => {
+  const { useCategories } = useProduct();
+  const { data: categories = [] } = useCategories();
+
+  const toggleCategory = (categoryId) => {
+    onChange(
+      value.includes(categoryId)
+        ? value.filter((id) => id !== categoryId)
+        : [...value, categoryId]
+    );
+  };
+
+  if (categories.length === 0) return null;
+
+  return (
+    <fieldset className="form-group category-select">
+      <legend>Categories</legend>
+      {flattenTree(categories).map((category) => (
+        <label
+          key={category._id}
+          className="category-option"
+          style={{ paddingLeft: `${category.depth * 20}px` }}
+        >
+          <input
+            type="checkbox"
+            checked={value.includes(category._id)}
+            onChange={() => toggleCategory(category._id)}
+          />
+          {category.name}
+        </label>
+      ))}
+    </fieldset>
+  );
+};
+
+export default CategorySelect;
@@ -1,33 +1,64 @@
 import React, { useState, useEffect } from "react";
-import { useLocation, useNavigate } from "react-router-dom";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import { useCart } from "../contexts/CartContext";
 import { useAuth } from "../contexts/AuthContext";
+import {
+  useProduct,
+  findVariant,
+  variantPrice,
+} from "../contexts/ProductContext";
+import { useShipping, formatDeliveryWindow } from "../contexts/ShippingContext";
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
 import axios from "axios";
 import "../pages/CheckoutPage.css";
 
+// Price the order (subtotal, shipping, tax, total) for the chosen shipping method.
+// Carts are quoted on the server, a signed-in user's for their saved address and
+// a guest's for the one typed; guests buying a single product are quoted that.
+const fetchQuote = async ({
+  cartHeaders,
+  items,
+  shippingInfo,
+  shippingMethod,
+}) => {
+  if (cartHeaders) {
+    const response = await axios.get("http://localhost:3001/cart/total", {
+      params: { shippingMethod, ...shippingInfo },
+      headers: cartHeaders,
+    });
+    return response.data;
+  }
+
+  const response = await axios.post("http://localhost:3001/pricing/quote", {
+    items,
+    shippingInfo,
+    shippingMethod,
+  });
+  return response.data;
+};
+
 const CheckoutPage = () => {
   const location = useLocation();
   const navigate = useNavigate();
-  const { cartItems, clearCart } = useCart();
+  const { purchaseCart, cartHeaders, cartTotal, cartItemCount } = useCart();
   const { user } = useAuth();
+  const { useProductDetail } = useProduct();
+  const { useShippingOptions } = useShipping();
 
-  const { productId, quantity } = location.state || {}; // Product details for guest checkout
+  const { productId, sku, quantity } = location.state || {}; // Product and variant for guest checkout
+  const { data: guestProduct } = useProductDetail(user ? null : productId);
 
   const [address, setAddress] = useState(user?.shippingInfo?.address || "");
   const [city, setCity] = useState(user?.shippingInfo?.city || "");
   const [state, setState] = useState(user?.shippingInfo?.state || "");
   const [zipCode, setZipCode] = useState(user?.shippingInfo?.zipcode || "");
-  const [cardNumber, setCardNumber] = useState(
-    user?.savedPaymentInfo?.cardNumber || ""
-  );
-  const [cardHolderName, setCardHolderName] = useState(
-    user?.savedPaymentInfo?.cardHolderName || ""
-  );
-  const [expiryDate, setExpiryDate] = useState(
-    user?.savedPaymentInfo?.expiryDate || ""
-  );
-  const [cvv, setCvv] = useState(user?.savedPaymentInfo?.cvv || "");
-  const [deliveryDate, setDeliveryDate] = useState("");
+  // Card fields are only used for guests; signed-in users pick a saved card
+  const [cardNumber, setCardNumber] = useState("");
+  const [cardHolderName, setCardHolderName] = useState("");
+  const [expiryDate, setExpiryDate] = useState("");
+  const [cvv, setCvv] = useState("");
+  const [paymentMethodId, setPaymentMethodId] = useState("");
+  const [shippingMethod, setShippingMethod] = useState("standard");
   const [errorMessage, setErrorMessage] = useState("");
 
   const isCvvValid = (cvv) => /^\d{3}$/.test(cvv);
@@ -48,17 +79,66 @@ const CheckoutPage = () => {
     return true; // Expiry date is valid
   };
 
+  // Preselect the user's default saved card
   useEffect(() => {
-    const generateRandomDeliveryDate = () => {
-      const today = new Date();
-      const randomDays = Math.floor(Math.random() * 5) + 3;
-      const delivery = new Date(today);
-      delivery.setDate(today.getDate() + randomDays);
-      return delivery.toDateString();
-    };
+    const defaultMethod =
+      user?.paymentMethods?.find((method) => method.isDefault) ||
+      user?.paymentMethods?.[0];
+    setPaymentMethodId(defaultMethod?.id || "");
+  }, [user]);
 
-    setDeliveryDate(generateRandomDeliveryDate());
-  }, []);
+  // Guests check out their cart too, unless they came to buy a single product
+  const buyingCart = !!user || !productId;
+  const subtotal = buyingCart
+    ? cartTotal
+    : (variantPrice(guestProduct, findVariant(guestProduct, sku)) || 0) *
+      (quantity || 0);
+  const itemCount = buyingCart ? cartItemCount : quantity;
+  // A guest who hasn't added anything yet has no cart to quote
+  const quoteCartHeaders = buyingCart ? cartHeaders() : null;
+
+  // Signed-in users ship to their saved address; guests to what they've typed
+  const { data: shippingOptions = [] } = useShippingOptions({
+    ...(user
+      ? {
+          zipcode: user.shippingInfo?.zipcode,
+          state: user.shippingInfo?.state,
+        }
+      : { zipcode: zipCode, state }),
+    itemCount,
+    subtotal,
+  });
+  const selectedShipping = shippingOptions.find(
+    (option) => option.method === shippingMethod
+  );
+  const shippingCost = selectedShipping?.cost || 0;
+  const deliveryWindow = formatDeliveryWindow(selectedShipping);
+
+  const { data: quote } = useQuery({
+    queryKey: [
+      "checkoutQuote",
+      user?._id || null,
+      productId,
+      sku,
+      quantity,
+      state,
+      zipCode,
+      shippingMethod,
+      cartTotal,
+      cartItemCount,
+    ],
+    queryFn: () =>
+      fetchQuote({
+        cartHeaders: quoteCartHeaders,
+        items: [{ productId, sku, quantity }],
+        shippingInfo: { state, zipcode: zipCode },
+        shippingMethod,
+      }),
+    enabled: buyingCart ? !!quoteCartHeaders : true,
+    placeholderData: keepPreviousData,
+  });
+
+  const formatCost = (cost) => (cost === 0 ? "Free" : `$${cost.toFixed(2)}`);
 
   const handleConfirmPurchase = async () => {
     setErrorMessage("");
@@ -78,59 +158,68 @@ const CheckoutPage = () => {
       return;
     }
 
-    if (!isCvvValid(cvv)) {
+    if (user && !paymentMethodId) {
+      setErrorMessage(
+        "Please add a payment method to your account before checking out."
+      );
+      return;
+    }
+
+    if (!user && !isCvvValid(cvv)) {
       setErrorMessage("Invalid CVV. It must be exactly 3 digits.");
       return;
     }
 
-    if (!isExpiryDateValid(expiryDate)) {
+    if (!user && !isExpiryDateValid(expiryDate)) {
       setErrorMessage(
         "Invalid Expiry Date. It must be a valid future date (MM/YY)."
       );
       return;
     }
 
+    const shippingInfo = { address, city, state, zipcode: zipCode };
+    const paymentInfo = { cardNumber, cardHolderName, expiryDate, cvv };
     try {
-      if (user) {
-        const token = localStorage.getItem("token");
-
-        for (const item of cartItems) {
-          if (!item.size || !item.quantity) {
-            alert(
-              `Error: Item "${item.productId}" is missing size or quantity.`
-            );
-            return;
-          }
-
-          await axios.post(
-            `http://localhost:3001/purchase/${item.productId}`,
-            {
-              size: item.size,
-              quantity: item.quantity,
-            },
-            {
-              headers: {
-                Authorization: `Bearer ${token}`,
-              },
-            }
+      if (buyingCart) {
+        // The server empties the cart only once the order is placed
+        const result = await purchaseCart(
+          paymentMethodId,
+          shippingMethod,
+          user ? undefined : { shippingInfo, paymentInfo }
+        );
+        if (!result.success) {
+          setErrorMessage(
+            result.declineCode
+              ? `Payment declined: ${result.message}`
+              : result.message || "There was an error processing your purchase."
           );
+          return;
         }
-      } else if (productId) {
+      } else {
         await axios.post(`http://localhost:3001/purchase/${productId}/guest`, {
+          sku,
           quantity,
-          shippingInfo: { address, city, state, zipcode: zipCode },
-          paymentInfo: { cardNumber, cardHolderName, expiryDate, cvv },
+          shippingInfo,
+          paymentInfo,
+          shippingMethod,
         });
       }
 
       alert(
-        `Purchase confirmed! Your order will be delivered on ${deliveryDate}.`
+        deliveryWindow
+          ? `Purchase confirmed! Estimated delivery: ${deliveryWindow}.`
+          : "Purchase confirmed!"
       );
-      clearCart();
       navigate("/");
     } catch (error) {
       console.error("Error confirming purchase:", error);
-      setErrorMessage("There was an error processing your purchase.");
+      if (error.response?.status === 402) {
+        setErrorMessage(`Payment declined: ${error.response.data.message}`);
+      } else if (typeof error.response?.data === "string") {
+        setErrorMessage(error.response.data);
+      } else {
+        setErrorMessage("There was an error processing your purchase.");
+      }
     }
   };
 
@@ -204,7 +293,74 @@ const CheckoutPage = () => {
           </>
         )}
 
-        <h3>Estimated Delivery Date: {deliveryDate}</h3>
+        {user && (
+          <>
+            <h2>Payment Method</h2>
+            {user.paymentMethods?.length > 0 ? (
+              <select
+                className="checkout-form-select"
+                value={paymentMethodId}
+                onChange={(e) => setPaymentMethodId(e.target.value)}
+              >
+                {user.paymentMethods.map((method) => (
+                  <option key={method.id} value={method.id}>
+                    {method.brand} •••• {method.last4} (exp {method.expiryDate})
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <p>
+                No saved cards.{" "}
+                <Link to="/account">Add one in your account</Link>.
+              </p>
+            )}
+          </>
+        )}
+
+        <h2>Shipping Method</h2>
+        <div className="shipping-options">
+          {shippingOptions.map((option) => (
+            <label key={option.method} className="shipping-option">
+              <input
+                type="radio"
+                name="shippingMethod"
+                value={option.method}
+                checked={shippingMethod === option.method}
+                onChange={(e) => setShippingMethod(e.target.value)}
+              />
+              <span className="shipping-option-label">{option.label}</span>
+              <span className="shipping-option-cost">
+                {formatCost(option.cost)}
+              </span>
+              <span className="shipping-option-window">
+                {formatDeliveryWindow(option)}
+              </span>
+            </label>
+          ))}
+        </div>
+        {selectedShipping?.freeShippingThreshold > 0 &&
+          selectedShipping.cost > 0 && (
+            <p className="shipping-note">
+              Free standard shipping on orders over $
+              {selectedShipping.freeShippingThreshold}.
+            </p>
+          )}
+
+        <div className="checkout-summary">
+          <p>Subtotal: ${(quote?.subtotal ?? subtotal).toFixed(2)}</p>
+          {quote?.discount > 0 && (
+            <p>
+              Discount ({quote.couponCode}): -${quote.discount.toFixed(2)}
+            </p>
+          )}
+          <p>Shipping: {formatCost(quote?.shippingCost ?? shippingCost)}</p>
+          <p>Tax: ${(quote?.tax || 0).toFixed(2)}</p>
+          <p className="checkout-summary-total">
+            Total: ${(quote?.total ?? subtotal + shippingCost).toFixed(2)}
+          </p>
+        </div>
+
+        <h3>Estimated Delivery: {deliveryWindow || "Calculating..."}</h3>
         <button className="checkout-button" onClick={handleConfirmPurchase}>
           Confirm Purchase
         </button>
@@ -0,0 +1,189 @@
+// src/components/ImageGalleryEditor.js
+import React, { useState, useRef } from "react";
+import { FaArrowUp, FaArrowDown, FaTrash } from "react-icons/fa";
+import axios from "axios";
+import { formatVariant } from "../contexts/ProductContext";
+import ProductImage from "./ProductImage";
+import "../pages/AdminPage.css";
+
+// Drop links to variants that no longer exist, e.g. after renaming a SKU
+export const galleryPayload = (images, variants) =>
+  images.map((image) =>
+    variants.some((variant) => variant.sku === image.sku)
+      ? image
+      : { ...image, sku: undefined }
+  );
+
+/**
+ * Admin editor for a product's image gallery: upload images or add them by
+ * URL, reorder and remove them, give each alt text, and optionally link one
+ * to a variant so it shows when that variant is picked. The first image is
+ * the main one.
+ */
+const ImageGalleryEditor = ({ images, variants, onChange }) => {
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const updateImage = (index, changes) => {
+    onChange(
+      images.map((image, i) => (i === index ? { ...image, ...changes } : image))
+    );
+  };
+
+  const moveImage = (index, offset) => {
+    const next = [...images];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  const removeImage = (index) => {
+    onChange(images.filter((_, i) => i !== index));
+  };
+
+  // Upload the picked files and append them, replacing rows still without a URL
+  const uploadImages = async (files) => {
+    if (files.length === 0) return;
+    const formData = new FormData();
+    files.forEach((file) => formData.append("images", file));
+
+    setUploading(true);
+    try {
+      const token = localStorage.getItem("token");
+      const response = await axios.post(
+        "http://localhost:3001/admin/uploads",
+        formData,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      // The server stores the upload; url and renditions are for previews
+      const uploaded = response.data.images.map(
+        ({ url, upload, renditions }) => ({ url, alt: "", upload, renditions })
+      );
+      onChange([...images.filter((image) => image.url), ...uploaded]);
+    } catch (error) {
+      console.error("Error uploading images:", error);
+      alert(error.response?.data || "Error uploading images");
+    } finally {
+      setUploading(false);
+      fileInputRef.current.value = "";
+    }
+  };
+
+  // Only variants with a SKU can be linked
+  const linkable = variants.filter((variant) => variant.sku);
+
+  return (
+    <div className="gallery-editor">
+      {images.map((image, index) => (
+        <div key={index} className="gallery-editor-row">
+          {image.url ? (
+            <ProductImage
+              image={image}
+              size="thumbnail"
+              alt=""
+              className="gallery-editor-preview"
+            />
+          ) : (
+            <div className="gallery-editor-preview" />
+          )}
+          <div className="gallery-editor-fields">
+            <input
+              type="text"
+              placeholder={index === 0 ? "Main image URL" : "Image URL"}
+              value={image.url}
+              onChange={(e) =>
+                // A typed URL replaces the uploaded file and its resized copies
+                updateImage(index, {
+                  url: e.target.value,
+                  upload: undefined,
+                  renditions: undefined,
+                })
+              }
+              required
+              className="form-input"
+            />
+            <input
+              type="text"
+              placeholder="Alt text (what the picture shows)"
+              value={image.alt || ""}
+              onChange={(e) => updateImage(index, { alt: e.target.value })}
+              className="form-input"
+            />
+            {linkable.length > 1 && (
+              <select
+                value={
+                  linkable.some((variant) => variant.sku === image.sku)
+                    ? image.sku
+                    : ""
+                }
+                onChange={(e) =>
+                  updateImage(index, { sku: e.target.value || undefined })
+                }
+                className="form-input"
+              >
+                <option value="">All variants</option>
+                {linkable.map((variant) => (
+                  <option key={variant.sku} value={variant.sku}>
+                    {formatVariant(variant.options) || variant.sku}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+          <div className="gallery-editor-actions">
+            <button
+              type="button"
+              onClick={() => moveImage(index, -1)}
+              disabled={index === 0}
+              aria-label="Move image up"
+            >
+              <FaArrowUp />
+            </button>
+            <button
+              type="button"
+              onClick={() => moveImage(index, 1)}
+              disabled={index === images.length - 1}
+              aria-label="Move image down"
+            >
+              <FaArrowDown />
+            </button>
+            <button
+              type="button"
+              onClick={() => removeImage(index)}
+              disabled={images.length === 1}
+              aria-label="Remove image"
+            >
+              <FaTrash />
+            </button>
+          </div>
+        </div>
+      ))}
+      <div className="gallery-editor-buttons">
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={() => fileInputRef.current.click()}
+          disabled={uploading}
+        >
+          {uploading ? "Uploading..." : "Upload Images"}
+        </button>
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={() => onChange([...images, { url: "", alt: "" }])}
+        >
+          Add Image by URL
+        </button>
+      </div>
+      <input
+        type="file"
+        accept="image/jpeg,image/png,image/webp,image/gif"
+        multiple
+        ref={fileInputRef}
+        onChange={(e) => uploadImages([...e.target.files])}
+        hidden
+      />
+    </div>
+  );
+};
+
+export default ImageGalleryEditor;
@@ -1,19 +1,53 @@
 // src/components/Navbar.js
 import React, { useState, useRef, useEffect } from "react";
 import { Link, useNavigate } from "react-router-dom";
+import axios from "axios";
 import { useAuth } from "../contexts/AuthContext";
 import { useCart } from "../contexts/CartContext";
+import { useProduct, formatPriceRange } from "../contexts/ProductContext";
 import { ReactComponent as UserIcon } from "../assets/user.svg"; // Ensure you have these SVGs
 import { ReactComponent as CartIcon } from "../assets/cart.svg";
 import { ReactComponent as SearchIcon } from "../assets/search.svg"; // Add a search SVG in your assets
 
+const RECENT_SEARCH_LIMIT = 8;
+
+// Guests' recent searches stay in this browser; users' are kept on the server
+const readGuestSearches = () =>
+  JSON.parse(localStorage.getItem("recentSearches")) || [];
+
+const rememberGuestSearch = (query) => {
+  const searches = [
+    query,
+    ...readGuestSearches().filter((search) => search !== query),
+  ];
+  localStorage.setItem(
+    "recentSearches",
+    JSON.stringify(searches.slice(0, RECENT_SEARCH_LIMIT))
+  );
+};
+
+// Signed-in users get their own recent searches. Requests go through axios so
+// an expired token is renewed (see AuthContext) instead of read as a guest's.
+const authHeaders = () => {
+  const token = localStorage.getItem("token");
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
 const Navbar = () => {
   const { user, logout, loading } = useAuth();
   const { cartItemCount } = useCart();
+  const { useCategories } = useProduct();
+  const { data: categories = [] } = useCategories();
+  const [openCategory, setOpenCategory] = useState(null); // Top-level category whose mega-menu is showing
   const [dropdownOpen, setDropdownOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
-  const [searchResults, setSearchResults] = useState([]);
+  const [suggestions, setSuggestions] = useState({
+    products: [],
+    recent: [],
+    popular: [],
+  });
   const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1); // Option highlighted with the arrow keys
   const dropdownRef = useRef();
   const navigate = useNavigate();
   const searchRef = useRef();
@@ -40,10 +74,49 @@ const Navbar = () => {
     };
   }, []);
 
+  // Keep the highlighted option visible while arrowing through a long list
+  useEffect(() => {
+    if (activeIndex >= 0) {
+      document
+        .getElementById(`search-option-${activeIndex}`)
+        ?.scrollIntoView({ block: "nearest" });
+    }
+  }, [activeIndex]);
+
   const toggleDropdown = () => {
     setDropdownOpen((prev) => !prev);
   };
 
+  // Recent searches first, then popular ones, then matching products
+  const options = [
+    ...suggestions.recent.map((query) => ({ type: "recent", query })),
+    ...suggestions.popular
+      .filter((query) => !suggestions.recent.includes(query))
+      .map((query) => ({ type: "popular", query })),
+    ...suggestions.products.map((product) => ({ type: "product", product })),
+  ];
+
+  const fetchSuggestions = async (query) => {
+    try {
+      const { data } = await axios.get(
+        "http://localhost:3001/product/suggest",
+        { params: { q: query }, headers: authHeaders() }
+      );
+      if (!localStorage.getItem("token")) {
+        const prefix = query.trim().toLowerCase();
+        data.recent = readGuestSearches().filter((search) =>
+          search.startsWith(prefix)
+        );
+      }
+      setSuggestions(data);
+      setActiveIndex(-1);
+      setShowSuggestions(true);
+    } catch (error) {
+      console.error("Error fetching suggestions:", error);
+      setShowSuggestions(false);
+    }
+  };
+
   const handleSearchChange = (e) => {
     const query = e.target.value;
     setSearchQuery(query);
@@ -52,47 +125,101 @@ const Navbar = () => {
       clearTimeout(debounceTimeoutRef.current);
     }
 
-    if (query.trim() === "") {
-      setSearchResults([]);
-      setShowSuggestions(false);
-      return;
-    }
-
     // Debounce the API call by 300ms
     debounceTimeoutRef.current = setTimeout(() => {
-      fetchSearchResults(query);
+      fetchSuggestions(query);
     }, 300);
   };
 
-  const fetchSearchResults = async (query) => {
-    try {
-      const response = await fetch(
-        `http://localhost:3001/product/search?query=${encodeURIComponent(
-          query
-        )}`
-      );
-      if (response.ok) {
-        const data = await response.json();
-        setSearchResults(data);
-        setShowSuggestions(true);
-      } else {
-        console.error("Error fetching search results:", response.statusText);
-        setSearchResults([]);
-        setShowSuggestions(false);
+  // Remember the search, then open the full results page for it
+  const runSearch = (query) => {
+    if (debounceTimeoutRef.current) {
+      clearTimeout(debounceTimeoutRef.current);
+    }
+    setSearchQuery(query);
+    setShowSuggestions(false);
+    setActiveIndex(-1);
+
+    if (localStorage.getItem("token")) {
+      axios
+        .post(
+          "http://localhost:3001/search/history",
+          { query },
+          { headers: authHeaders() }
+        )
+        .catch((error) => console.error("Error recording search:", error));
+    } else {
+      rememberGuestSearch(query.toLowerCase());
+    }
+
+    navigate(`/search?q=${encodeURIComponent(query)}`);
+  };
+
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    const query = searchQuery.trim();
+    if (query) runSearch(query);
+  };
+
+  const selectOption = (option) => {
+    if (option.type === "product") {
+      setSearchQuery("");
+      setShowSuggestions(false);
+      setActiveIndex(-1);
+      navigate(`/product/${option.product._id}`);
+    } else {
+      runSearch(option.query);
+    }
+  };
+
+  const clearRecentSearches = async () => {
+    if (localStorage.getItem("token")) {
+      try {
+        await axios.delete("http://localhost:3001/search/history", {
+          headers: authHeaders(),
+        });
+      } catch (error) {
+        console.error("Error clearing recent searches:", error);
       }
-    } catch (error) {
-      console.error("Error fetching search results:", error);
-      setSearchResults([]);
+    } else {
+      localStorage.removeItem("recentSearches");
+    }
+    setSuggestions((prev) => ({ ...prev, recent: [] }));
+    setActiveIndex(-1);
+  };
+
+  // Combobox keys: arrows move through the options, Enter picks the
+  // highlighted one (or searches for the typed text), Escape closes the list
+  const handleSearchKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!showSuggestions) {
+        fetchSuggestions(searchQuery);
+        return;
+      }
+      if (options.length === 0) return;
+      setActiveIndex((prev) =>
+        e.key === "ArrowDown"
+          ? (prev + 1) % options.length
+          : prev <= 0
+          ? options.length - 1
+          : prev - 1
+      );
+    } else if (e.key === "Enter" && showSuggestions && activeIndex >= 0) {
+      e.preventDefault();
+      selectOption(options[activeIndex]);
+    } else if (e.key === "Escape") {
       setShowSuggestions(false);
+      setActiveIndex(-1);
     }
   };
 
-  const handleSuggestionClick = (productId) => {
-    setSearchQuery("");
-    setSearchResults([]);
-    setShowSuggestions(false);
-    navigate(`/product/${productId}`);
+  const groupLabels = {
+    recent: "Recent searches",
+    popular: "Popular searches",
+    product: "Products",
   };
+  const listOpen = showSuggestions && options.length > 0;
 
   return (
     <header className="navbar">
@@ -100,34 +227,90 @@ const Navbar = () => {
         <Link to="/" className="nav-logo">
           E-Commerce
         </Link>
-        <div className="nav-search" ref={searchRef}>
+        <form
+          className="nav-search"
+          ref={searchRef}
+          onSubmit={handleSearchSubmit}
+          role="search"
+        >
           <input
             type="text"
             placeholder="Search products..."
             value={searchQuery}
             onChange={handleSearchChange}
+            onKeyDown={handleSearchKeyDown}
+            onFocus={() => fetchSuggestions(searchQuery)}
             aria-label="Search products"
-            onFocus={() => {
-              if (searchResults.length > 0) setShowSuggestions(true);
-            }}
+            role="combobox"
+            aria-autocomplete="list"
+            aria-expanded={listOpen}
+            aria-controls="search-suggestions"
+            aria-activedescendant={
+              listOpen && activeIndex >= 0
+                ? `search-option-${activeIndex}`
+                : undefined
+            }
+            autoComplete="off"
           />
-          <button type="button" className="search-button" aria-label="Search">
+          <button type="submit" className="search-button" aria-label="Search">
             <SearchIcon className="nav-icon" />
           </button>
-          {showSuggestions && searchResults.length > 0 && (
-            <div className="search-suggestions">
-              {searchResults.map((product) => (
-                <div
-                  key={product._id}
-                  className="suggestion-item"
-                  onClick={() => handleSuggestionClick(product._id)}
-                >
-                  {product.name}
-                </div>
+          {listOpen && (
+            <ul
+              className="search-suggestions"
+              id="search-suggestions"
+              role="listbox"
+              aria-label="Search suggestions"
+            >
+              {options.map((option, index) => (
+                <React.Fragment key={`${option.type}-${index}`}>
+                  {option.type !== options[index - 1]?.type && (
+                    <li className="suggestion-group" role="presentation">
+                      {groupLabels[option.type]}
+                      {option.type === "recent" && (
+                        <button
+                          type="button"
+                          className="suggestion-clear"
+                          onClick={clearRecentSearches}
+                        >
+                          Clear
+                        </button>
+                      )}
+                    </li>
+                  )}
+                  <li
+                    id={`search-option-${index}`}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    className={`suggestion-item${
+                      index === activeIndex ? " active" : ""
+                    }`}
+                    onMouseEnter={() => setActiveIndex(index)}
+                    onClick={() => selectOption(option)}
+                  >
+                    {option.type === "product" ? (
+                      <>
+                        <img
+                          src={option.product.imageUrl}
+                          alt=""
+                          className="suggestion-thumbnail"
+                        />
+                        <span className="suggestion-name">
+                          {option.product.name}
+                        </span>
+                        <span className="suggestion-price">
+                          {formatPriceRange(option.product)}
+                        </span>
+                      </>
+                    ) : (
+                      <span className="suggestion-name">{option.query}</span>
+                    )}
+                  </li>
+                </React.Fragment>
               ))}
-            </div>
+            </ul>
           )}
-        </div>
+        </form>
 
         <div className="nav-links">
           <div className="nav-item" ref={dropdownRef}>
@@ -148,6 +331,12 @@ const Navbar = () => {
                     <Link to="/account" className="dropdown-item">
                       Update Account
                     </Link>
+                    <Link to="/orders" className="dropdown-item">
+                      My Orders
+                    </Link>
+                    <Link to="/wishlist" className="dropdown-item">
+                      Wishlist
+                    </Link>
                     <button onClick={logout} className="dropdown-item">
                       Logout
                     </button>
@@ -160,6 +349,9 @@ const Navbar = () => {
                     <Link to="/register" className="dropdown-item">
                       Register
                     </Link>
+                    <Link to="/wishlist" className="dropdown-item">
+                      Wishlist
+                    </Link>
                   </>
                 )}
               </div>
@@ -175,6 +367,66 @@ const Navbar = () => {
           </div>
         </div>
       </nav>
+
+      {/* Category mega-menu: top-level categories, each opening its subcategories */}
+      {categories.length > 0 && (
+        <nav
+          className="category-menu"
+          aria-label="Shop by category"
+          onMouseLeave={() => setOpenCategory(null)}
+          onKeyDown={(e) => e.key === "Escape" && setOpenCategory(null)}
+        >
+          <ul className="category-menu-list">
+            {categories.map((category) => (
+              <li
+                key={category._id}
+                className="category-menu-item"
+                onMouseEnter={() => setOpenCategory(category._id)}
+                onFocus={() => setOpenCategory(category._id)}
+              >
+                <Link
+                  to={`/category/${category.slug}`}
+                  className="category-menu-link"
+                  aria-expanded={
+                    category.children.length > 0
+                      ? openCategory === category._id
+                      : undefined
+                  }
+                  onClick={() => setOpenCategory(null)}
+                >
+                  {category.name}
+                </Link>
+                {openCategory === category._id &&
+                  category.children.length > 0 && (
+                    <div className="mega-menu">
+                      {category.children.map((child) => (
+                        <div key={child._id} className="mega-menu-column">
+                          <Link
+                            to={`/category/${child.slug}`}
+                            className="mega-menu-heading"
+                            onClick={() => setOpenCategory(null)}
+                          >
+                            {child.name}
+                          </Link>
+                          {child.children.map((grandchild) => (
+                            <Link
+                              key={grandchild._id}
+                              to={`/category/${grandchild.slug}`}
+                              className="mega-menu-link"
+                              onClick={() => setOpenCategory(null)}
+                            >
+                              {grandchild.name}
+                            </Link>
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+              </li>
+            ))}
+          </ul>
+        </nav>
+      )}
     </header>
   );
 };
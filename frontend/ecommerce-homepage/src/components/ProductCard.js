@@ -2,17 +2,35 @@ import React, { useState } from "react";
 import { Link } from "react-router-dom";
 import "../App.css";
 import "../pages/AdminPage.css";
-import { useProduct } from "../contexts/ProductContext";
+import {
+  useProduct,
+  productImages,
+  formatPriceRange,
+} from "../contexts/ProductContext";
+import { useWishlist } from "../contexts/WishlistContext";
+import { FaHeart, FaRegHeart } from "react-icons/fa";
 import axios from "axios";
+import VariantEditor from "./VariantEditor";
+import SizeChartSelect from "./SizeChartSelect";
+import CategorySelect from "./CategorySelect";
+import ImageGalleryEditor, { galleryPayload } from "./ImageGalleryEditor";
+import ProductImage from "./ProductImage";
 
 const ProductCard = ({ product, isAdmin }) => {
   const { useProductReviews } = useProduct();
   const { data: reviewsData, error } = useProductReviews(product._id);
 
   const averageRating = reviewsData?.averageRating || 0;
+  const { isWishlisted, toggleWishlist } = useWishlist();
+  const saved = isWishlisted(product._id);
 
   const [isEditing, setIsEditing] = useState(false); // Toggle edit mode
   const [editedProduct, setEditedProduct] = useState(product); // Store edited product details
+  const [variantData, setVariantData] = useState({
+    options: product.options || [],
+    variants: product.variants || [],
+  }); // Option axes and per-variant SKU, price and stock
+  const [images, setImages] = useState(productImages(product)); // Gallery, main image first
 
   // Function to render stars based on rating
   const renderStars = (rating) => {
@@ -57,18 +75,19 @@ const ProductCard = ({ product, isAdmin }) => {
       const token = localStorage.getItem("token"); // Get the token
 
       // Prepare the edited product data
-      const { name, price, description, imageUrl, tags, sizes } = editedProduct;
+      const { name, price, description, tags, sizeChartId, categoryIds } =
+        editedProduct;
       const updatedProduct = {
         name,
         price,
         description,
-        imageUrl,
+        images: galleryPayload(images, variantData.variants),
+        sizeChartId,
+        categoryIds,
         tags: Array.isArray(tags)
           ? tags
           : tags.split(",").map((tag) => tag.trim()),
-        sizes: Array.isArray(sizes)
-          ? sizes
-          : sizes.split(",").map((size) => size.trim()),
+        ...variantData,
       };
 
       // Make the PUT request
@@ -135,18 +154,11 @@ const ProductCard = ({ product, isAdmin }) => {
               className="form-textarea"
             />
           </div>
-          <div className="form-group">
-            <input
-              type="text"
-              placeholder="Image URL"
-              value={editedProduct.imageUrl}
-              onChange={(e) =>
-                setEditedProduct({ ...editedProduct, imageUrl: e.target.value })
-              }
-              required
-              className="form-input"
-            />
-          </div>
+          <ImageGalleryEditor
+            images={images}
+            variants={variantData.variants}
+            onChange={setImages}
+          />
           <div className="form-group">
             <input
               type="text"
@@ -162,21 +174,24 @@ const ProductCard = ({ product, isAdmin }) => {
               className="form-input"
             />
           </div>
-          <div className="form-group">
-            <input
-              type="text"
-              placeholder="Sizes (comma-separated)"
-              value={editedProduct.sizes.join(", ")}
-              onChange={(e) =>
-                setEditedProduct({
-                  ...editedProduct,
-                  sizes: e.target.value.split(",").map((size) => size.trim()),
-                })
-              }
-              required
-              className="form-input"
-            />
-          </div>
+          <SizeChartSelect
+            value={editedProduct.sizeChartId}
+            onChange={(sizeChartId) =>
+              setEditedProduct({ ...editedProduct, sizeChartId })
+            }
+          />
+          <CategorySelect
+            value={editedProduct.categoryIds}
+            onChange={(categoryIds) =>
+              setEditedProduct({ ...editedProduct, categoryIds })
+            }
+          />
+          <VariantEditor
+            options={variantData.options}
+            variants={variantData.variants}
+            skuPrefix={editedProduct.name}
+            onChange={setVariantData}
+          />
           <div className="form-actions">
             <button type="submit" className="btn-primary">
               Save
@@ -192,15 +207,25 @@ const ProductCard = ({ product, isAdmin }) => {
         </form>
       ) : (
         <>
+          <button
+            type="button"
+            className="wishlist-toggle"
+            onClick={() => toggleWishlist(product._id)}
+            aria-label={saved ? "Remove from wishlist" : "Add to wishlist"}
+          >
+            {saved ? <FaHeart /> : <FaRegHeart />}
+          </button>
           <Link to={`/product/${product._id}`}>
-            <img
-              src={product.imageUrl}
+            <ProductImage
+              image={productImages(product)[0]}
+              size="small"
               alt={product.name}
               className="product-image"
+              loading="lazy"
             />
             <h3 className="product-name">{product.name}</h3>
           </Link>
-          <p className="product-price">${product.price.toFixed(2)}</p>
+          <p className="product-price">{formatPriceRange(product)}</p>
           <div className="product-rating">
             {error ? (
               <span>Error loading rating</span>
@@ -0,0 +1,128 @@
+// src/components/ProductGallery.js
+import React, { useState, useRef } from "react";
+import { FaChevronLeft, FaChevronRight } from "react-icons/fa";
+import ProductImage from "./ProductImage";
+import "../pages/ProductDetail.css";
+
+// Horizontal distance in pixels a touch must travel to count as a swipe
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * Product image gallery: the current image with a thumbnail strip below it.
+ * Clicking the image zooms in around the pointer and clicking again zooms
+ * back out; on touch screens a swipe moves to the next or previous image.
+ * Remount it (e.g. with a new key) to start over from the first image.
+ */
+const ProductGallery = ({ images }) => {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [zoomed, setZoomed] = useState(false);
+  const [zoomOrigin, setZoomOrigin] = useState("50% 50%");
+  const touchStartX = useRef(null);
+
+  const current = images[Math.min(activeIndex, images.length - 1)];
+
+  const showImage = (index) => {
+    setActiveIndex((index + images.length) % images.length);
+    setZoomed(false);
+  };
+
+  // Zoom in on the point under the pointer
+  const followPointer = (e) => {
+    const { left, top, width, height } =
+      e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - left) / width) * 100;
+    const y = ((e.clientY - top) / height) * 100;
+    setZoomOrigin(`${x}% ${y}%`);
+  };
+
+  const handleTouchStart = (e) => {
+    touchStartX.current = e.touches[0].clientX;
+  };
+
+  const handleTouchEnd = (e) => {
+    if (touchStartX.current === null || zoomed) return;
+    const distance = e.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+    if (Math.abs(distance) >= SWIPE_THRESHOLD) {
+      showImage(activeIndex + (distance < 0 ? 1 : -1));
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowRight") showImage(activeIndex + 1);
+    else if (e.key === "ArrowLeft") showImage(activeIndex - 1);
+    else if (e.key === "Escape") setZoomed(false);
+  };
+
+  if (!current) return null;
+
+  return (
+    <div className="product-gallery" onKeyDown={handleKeyDown}>
+      <div
+        className={`gallery-stage${zoomed ? " zoomed" : ""}`}
+        onClick={(e) => {
+          followPointer(e);
+          setZoomed((prev) => !prev);
+        }}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            setZoomed((prev) => !prev);
+          }
+        }}
+        onMouseMove={zoomed ? followPointer : undefined}
+        onMouseLeave={() => setZoomed(false)}
+        onTouchStart={handleTouchStart}
+        onTouchEnd={handleTouchEnd}
+        role="button"
+        tabIndex={0}
+        aria-label={zoomed ? "Zoom out" : "Zoom in"}
+      >
+        <ProductImage
+          image={current}
+          size="large"
+          className="product-detail-image"
+          style={{ transformOrigin: zoomOrigin }}
+          draggable={false}
+        />
+      </div>
+
+      {images.length > 1 && (
+        <div className="gallery-thumbnails">
+          <button
+            type="button"
+            className="gallery-arrow"
+            onClick={() => showImage(activeIndex - 1)}
+            aria-label="Previous image"
+          >
+            <FaChevronLeft />
+          </button>
+          {images.map((image, index) => (
+            <button
+              type="button"
+              key={`${image.url}-${index}`}
+              className={`gallery-thumbnail${
+                index === activeIndex ? " active" : ""
+              }`}
+              onClick={() => showImage(index)}
+              aria-label={`Show image ${index + 1} of ${images.length}`}
+              aria-current={index === activeIndex}
+            >
+              <ProductImage image={image} size="thumbnail" alt="" />
+            </button>
+          ))}
+          <button
+            type="button"
+            className="gallery-arrow"
+            onClick={() => showImage(activeIndex + 1)}
+            aria-label="Next image"
+          >
+            <FaChevronRight />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductGallery;
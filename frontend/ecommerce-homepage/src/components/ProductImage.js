@@ -0,0 +1,23 @@
+// src/components/ProductImage.js
+import React from "react";
+
+/**
+ * A product picture at the given rendition size ("thumbnail", "small" or
+ * "large"). Uploaded images offer WebP with a JPEG/PNG fallback; images
+ * added by URL have no renditions and show as they are.
+ */
+const ProductImage = ({ image, size, alt, ...imgProps }) => {
+  const rendition = image.renditions?.[size];
+  const text = alt ?? image.alt;
+
+  if (!rendition) return <img src={image.url} alt={text} {...imgProps} />;
+
+  return (
+    <picture>
+      <source type="image/webp" srcSet={rendition.webp} />
+      <img src={rendition.url} alt={text} {...imgProps} />
+    </picture>
+  );
+};
+
+export default ProductImage;
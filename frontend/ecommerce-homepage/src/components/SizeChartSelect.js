@@ -0,0 +1,39 @@
+// src/components/SizeChartSelect.js
+import React from "react";
+import { useProduct } from "../contexts/ProductContext";
+import "../pages/AdminPage.css";
+
+/**
+ * Admin picker for the size chart a product is sold in. The chart's labels
+ * are listed below it, since the product's Size option must use them.
+ */
+const SizeChartSelect = ({ value, onChange }) => {
+  const { useSizeCharts } = useProduct();
+  const { data: sizeCharts = [] } = useSizeCharts();
+  const chart = sizeCharts.find((candidate) => candidate._id === value);
+
+  return (
+    <div className="form-group">
+      <select
+        value={value || ""}
+        onChange={(e) => onChange(e.target.value)}
+        required
+        className="form-input"
+      >
+        <option value="">Select a size chart</option>
+        {sizeCharts.map((candidate) => (
+          <option key={candidate._id} value={candidate._id}>
+            {candidate.name}
+          </option>
+        ))}
+      </select>
+      {chart && (
+        <p className="size-chart-hint">
+          Size values: {chart.sizes.map((size) => size.label).join(", ")}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SizeChartSelect;
@@ -0,0 +1,165 @@
+// src/components/VariantEditor.js
+import React, { useState } from "react";
+import { formatVariant } from "../contexts/ProductContext";
+import "../pages/AdminPage.css";
+
+// Parse "Color: Black, Brown; Size: S, M" into option axes
+const parseOptions = (input) =>
+  input
+    .split(";")
+    .map((entry) => entry.split(":"))
+    .filter(([name, values]) => name.trim() && values !== undefined)
+    .map(([name, values]) => ({
+      name: name.trim(),
+      values: [
+        ...new Set(
+          values
+            .split(",")
+            .map((value) => value.trim())
+            .filter(Boolean)
+        ),
+      ],
+    }))
+    .filter((option) => option.values.length > 0);
+
+// Format option axes back into "Color: Black, Brown; Size: S, M"
+const formatOptions = (options = []) =>
+  options.map(({ name, values }) => `${name}: ${values.join(", ")}`).join("; ");
+
+// Every combination of option values, e.g. [{ Color: "Black", Size: "S" }, ...]
+const combineOptions = (options) =>
+  options.reduce(
+    (combinations, { name, values }) =>
+      combinations.flatMap((combination) =>
+        values.map((value) => ({ ...combination, [name]: value }))
+      ),
+    [{}]
+  );
+
+const sameOptions = (a, b) =>
+  Object.keys(a).length === Object.keys(b).length &&
+  Object.entries(a).every(([name, value]) => b[name] === value);
+
+// "Leather jacket" and "Black" become "LEATHER-JACKET-BLACK"
+const toSku = (parts) =>
+  parts
+    .map((part) =>
+      part
+        .toUpperCase()
+        .replace(/[^A-Z0-9]+/g, "-")
+        .replace(/^-|-$/g, "")
+    )
+    .filter(Boolean)
+    .join("-");
+
+// A variant row for a product without options, for new products
+export const defaultVariants = () => [{ sku: "", options: {}, stock: 0 }];
+
+/**
+ * Admin editor for a product's option axes and its variants: one row per
+ * combination of option values with its SKU, price and stock.
+ * Rows are rebuilt as the options change, keeping what was entered for
+ * combinations that still exist. Pictures are linked to variants from the
+ * ImageGalleryEditor.
+ */
+const VariantEditor = ({ options, variants, skuPrefix = "", onChange }) => {
+  const [optionsInput, setOptionsInput] = useState(formatOptions(options));
+
+  const handleOptionsChange = (input) => {
+    setOptionsInput(input);
+    const nextOptions = parseOptions(input);
+    const nextVariants = combineOptions(nextOptions).map(
+      (combination) =>
+        variants.find((variant) =>
+          sameOptions(variant.options, combination)
+        ) || {
+          sku: toSku([skuPrefix, ...Object.values(combination)]),
+          options: combination,
+          stock: 0,
+        }
+    );
+    onChange({ options: nextOptions, variants: nextVariants });
+  };
+
+  const updateVariant = (index, changes) => {
+    onChange({
+      options,
+      variants: variants.map((variant, i) =>
+        i === index ? { ...variant, ...changes } : variant
+      ),
+    });
+  };
+
+  return (
+    <div className="variant-editor">
+      <div className="form-group">
+        <input
+          type="text"
+          placeholder="Options (e.g. Color: Black, Brown; Size: S, M, L)"
+          value={optionsInput}
+          onChange={(e) => handleOptionsChange(e.target.value)}
+          className="form-input"
+        />
+      </div>
+      <table className="variant-table">
+        <thead>
+          <tr>
+            <th>Variant</th>
+            <th>SKU</th>
+            <th>Price</th>
+            <th>Stock</th>
+          </tr>
+        </thead>
+        <tbody>
+          {variants.map((variant, index) => (
+            <tr key={formatVariant(variant.options) || index}>
+              <td>{formatVariant(variant.options) || "Default"}</td>
+              <td>
+                <input
+                  type="text"
+                  value={variant.sku}
+                  onChange={(e) =>
+                    updateVariant(index, { sku: e.target.value })
+                  }
+                  required
+                  className="form-input"
+                />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder="Product price"
+                  value={variant.price ?? ""}
+                  onChange={(e) =>
+                    updateVariant(index, {
+                      price:
+                        e.target.value === ""
+                          ? undefined
+                          : Number(e.target.value),
+                    })
+                  }
+                  className="form-input"
+                />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  min="0"
+                  value={variant.stock}
+                  onChange={(e) =>
+                    updateVariant(index, { stock: Number(e.target.value) })
+                  }
+                  className="form-input"
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default VariantEditor;
@@ -4,6 +4,28 @@ import axios from "axios";
 
 const AuthContext = createContext();
 
+// Shared in-flight refresh so concurrent 401s only trigger one renewal
+let refreshPromise = null;
+
+// Trade the stored refresh token for a new access/refresh token pair
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (!refreshToken) throw new Error("No refresh token available.");
+
+  const response = await axios.post("http://localhost:3001/account/refresh", {
+    refreshToken,
+  });
+  localStorage.setItem("token", response.data.token);
+  localStorage.setItem("refreshToken", response.data.refreshToken);
+  return response.data.token;
+};
+
+// Send the guest's cart id on sign-in so the server can merge that cart
+const guestCartHeaders = () => {
+  const guestCartId = localStorage.getItem("guestCartId");
+  return guestCartId ? { "X-Cart-Id": guestCartId } : {};
+};
+
 export const useAuth = () => useContext(AuthContext);
 
 export const AuthProvider = ({ children }) => {
@@ -22,11 +44,13 @@ export const AuthProvider = ({ children }) => {
           setUser(response.data);
         } else {
           localStorage.removeItem("token");
+          localStorage.removeItem("refreshToken");
           setUser(null);
         }
       } catch (error) {
         console.error("Error fetching user profile:", error);
         localStorage.removeItem("token");
+        localStorage.removeItem("refreshToken");
         setUser(null);
       }
     }
@@ -38,9 +62,16 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await axios.post(
         "http://localhost:3001/account/register",
-        userData
+        userData,
+        { headers: guestCartHeaders() }
       );
-      return { success: true, message: response.data.message };
+      // The server moved the guest cart into the new account
+      localStorage.removeItem("guestCartId");
+      return {
+        success: true,
+        message: response.data.message,
+        cartAdjustments: response.data.cartAdjustments || [],
+      };
     } catch (error) {
       console.error("Registration error:", error);
 
@@ -68,14 +99,21 @@ export const AuthProvider = ({ children }) => {
   const login = async (email, password) => {
     setLoading(true);
     try {
-      const response = await axios.post("http://localhost:3001/account/login", {
-        email,
-        password,
-      });
+      const response = await axios.post(
+        "http://localhost:3001/account/login",
+        { email, password },
+        { headers: guestCartHeaders() }
+      );
       if (response.status === 200) {
         localStorage.setItem("token", response.data.token);
+        localStorage.setItem("refreshToken", response.data.refreshToken);
+        // The server merged the guest cart into the user's cart
+        localStorage.removeItem("guestCartId");
         await fetchUserProfile();
-        return { success: true };
+        return {
+          success: true,
+          cartAdjustments: response.data.cartAdjustments || [],
+        };
       } else {
         return {
           success: false,
@@ -128,18 +166,154 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  // Payment method vault: the backend only ever returns masked cards
+
+  const addPaymentMethod = async (cardInfo, makeDefault = false) => {
+    const token = localStorage.getItem("token");
+    try {
+      const response = await axios.post(
+        "http://localhost:3001/account/payment",
+        { savedPaymentInfo: cardInfo, makeDefault },
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+      await fetchUserProfile(); // Refresh profile to pick up the new card
+      return {
+        success: true,
+        message: response.data.message,
+        paymentMethod: response.data.paymentMethod,
+      };
+    } catch (error) {
+      console.error("Error saving payment method:", error);
+      if (error.response?.data?.errors) {
+        return { success: false, message: error.response.data.errors[0].msg };
+      }
+      return { success: false, message: "An unexpected error occurred." };
+    }
+  };
+
+  const removePaymentMethod = async (paymentMethodId) => {
+    const token = localStorage.getItem("token");
+    try {
+      const response = await axios.delete(
+        `http://localhost:3001/account/payment/${paymentMethodId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+      await fetchUserProfile();
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      console.error("Error removing payment method:", error);
+      return { success: false, message: "An unexpected error occurred." };
+    }
+  };
+
+  const setDefaultPaymentMethod = async (paymentMethodId) => {
+    const token = localStorage.getItem("token");
+    try {
+      const response = await axios.put(
+        `http://localhost:3001/account/payment/${paymentMethodId}/default`,
+        {},
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+      await fetchUserProfile();
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      console.error("Error updating default payment method:", error);
+      return { success: false, message: "An unexpected error occurred." };
+    }
+  };
+
+  const logout = async () => {
+    const refreshToken = localStorage.getItem("refreshToken");
     localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
     setUser(null);
+
+    // Revoke the refresh token so it can't be used again
+    if (refreshToken) {
+      try {
+        await axios.post("http://localhost:3001/account/logout", {
+          refreshToken,
+        });
+      } catch (error) {
+        console.error("Error revoking session:", error);
+      }
+    }
   };
 
+  // Renew the access token and retry when an authenticated request is rejected
+  // as unauthenticated; a 403 means the user lacks rights, which renewing won't fix
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const originalRequest = error.config;
+        const status = error.response?.status;
+        const authHeader = originalRequest?.headers?.Authorization;
+
+        if (
+          !originalRequest ||
+          originalRequest._retry ||
+          status !== 401 ||
+          !authHeader ||
+          originalRequest.url.includes("/account/refresh")
+        ) {
+          return Promise.reject(error);
+        }
+        originalRequest._retry = true;
+
+        try {
+          // Another request may already have renewed the token
+          const currentToken = localStorage.getItem("token");
+          let newToken = currentToken;
+          if (!currentToken || authHeader === `Bearer ${currentToken}`) {
+            if (!refreshPromise) {
+              refreshPromise = refreshAccessToken().finally(() => {
+                refreshPromise = null;
+              });
+            }
+            newToken = await refreshPromise;
+          }
+
+          originalRequest.headers.Authorization = `Bearer ${newToken}`;
+          return axios(originalRequest);
+        } catch (refreshError) {
+          // The session can't be renewed, so sign the user out
+          localStorage.removeItem("token");
+          localStorage.removeItem("refreshToken");
+          setUser(null);
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => {
+      axios.interceptors.response.eject(interceptor);
+    };
+  }, []);
+
   useEffect(() => {
     fetchUserProfile();
   }, []);
 
   return (
     <AuthContext.Provider
-      value={{ user, register, login, logout, updateAccount, loading }}
+      value={{
+        user,
+        register,
+        login,
+        logout,
+        updateAccount,
+        addPaymentMethod,
+        removePaymentMethod,
+        setDefaultPaymentMethod,
+        loading,
+      }}
     >
       {children}
     </AuthContext.Provider>
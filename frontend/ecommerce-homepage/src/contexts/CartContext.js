@@ -8,23 +8,36 @@ import React, {
 } from "react";
 import axios from "axios";
 import { useAuth } from "./AuthContext";
+import { findVariant, variantPrice } from "./ProductContext";
 import { useQueryClient } from "@tanstack/react-query";
 
 const CartContext = createContext();
 
 export const useCart = () => useContext(CartContext);
 
+// Describe guest cart lines that couldn't be fully merged on sign-in
+export const describeCartAdjustments = (adjustments = []) =>
+  adjustments
+    .map(
+      (item) =>
+        `${item.name || "An item"}${item.size ? ` (${item.size})` : ""}: ${
+          item.added > 0 ? `added ${item.added} of ${item.requested}. ` : ""
+        }${item.reason}`
+    )
+    .join("\n");
+
 export const CartProvider = ({ children }) => {
   const { user } = useAuth();
   const token = user ? localStorage.getItem("token") : null;
   const queryClient = useQueryClient();
 
-  // State for managing the guest user's cart
-  const [localCart, setLocalCart] = useState(
-    JSON.parse(localStorage.getItem("guestCart")) || []
+  // Guests get an anonymous server-side cart; its id is kept across visits
+  const [guestCartId, setGuestCartId] = useState(
+    localStorage.getItem("guestCartId")
   );
   const [cartItems, setCartItems] = useState([]);
-  const [cartTotal, setCartTotal] = useState(0);
+  const [cartTotal, setCartTotal] = useState(0); // Merchandise subtotal
+  const [cartBreakdown, setCartBreakdown] = useState(null); // Subtotal, shipping, tax and total for signed-in users
   const [isFetching, setIsFetching] = useState(false);
   const [purchaseLoading, setPurchaseLoading] = useState(false);
   const [purchaseError, setPurchaseError] = useState(null);
@@ -50,31 +63,68 @@ export const CartProvider = ({ children }) => {
     return product;
   };
 
+  // Headers naming the cart to use: the user's, or the guest's anonymous one
+  const cartHeaders = useCallback(
+    (cartId = guestCartId) =>
+      token
+        ? { Authorization: `Bearer ${token}` }
+        : cartId
+        ? { "X-Cart-Id": cartId }
+        : null,
+    [token, guestCartId]
+  );
+
+  // Return the guest's cart id, starting a new server-side cart if needed
+  const ensureGuestCart = async () => {
+    if (guestCartId) return guestCartId;
+
+    const response = await axios.post("http://localhost:3001/cart/guest");
+    const { cartId } = response.data;
+    localStorage.setItem("guestCartId", cartId);
+    setGuestCartId(cartId);
+    return cartId;
+  };
+
   // Fetch detailed cart items for both authenticated and guest users
   const fetchCartWithDetails = useCallback(async () => {
+    const headers = cartHeaders();
+    if (!headers) {
+      // A guest who hasn't added anything yet has no cart
+      setCartItems([]);
+      return;
+    }
+
     setIsFetching(true);
     try {
       let products = [];
 
-      if (token) {
-        // Fetch cart array for authenticated users
+      try {
         const cartResponse = await axios.get("http://localhost:3001/cart", {
-          headers: { Authorization: `Bearer ${token}` },
+          headers,
         });
-        const cart = cartResponse.data;
-
         // Since the backend returns an array directly, use it as products
-        if (Array.isArray(cart)) {
-          products = cart;
+        if (Array.isArray(cartResponse.data)) {
+          products = cartResponse.data;
+        }
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        // The guest cart expired on the server; start over on the next add
+        if (!token) {
+          localStorage.removeItem("guestCartId");
+          setGuestCartId(null);
         }
-      } else {
-        // Use localCart for guest users
-        products = localCart;
       }
 
-      // Fetch detailed product information
+      // Fetch detailed product information; the server may already have populated it
       const detailedItems = await Promise.all(
         products.map(async (item) => {
+          if (item.productId && typeof item.productId === "object") {
+            return {
+              ...item,
+              productId: item.productId._id,
+              productDetail: item.productId,
+            };
+          }
           const productDetail = await fetchProductWithFallback(item.productId);
           return {
             ...item,
@@ -91,19 +141,24 @@ export const CartProvider = ({ children }) => {
     } finally {
       setIsFetching(false);
     }
-  }, [token, localCart, queryClient]);
+  }, [token, cartHeaders, queryClient]);
 
-  // Fetch cart items on load and whenever token or localCart changes
+  // Fetch cart items on load and whenever the user or guest cart changes
   useEffect(() => {
     fetchCartWithDetails();
   }, [fetchCartWithDetails]);
 
-  // Save localCart to localStorage whenever it changes for guest users
+  // Signing in merges the guest cart into the user's on the server
   useEffect(() => {
-    if (!token) {
-      localStorage.setItem("guestCart", JSON.stringify(localCart));
+    if (token) {
+      setGuestCartId(null);
+    } else {
+      setGuestCartId(localStorage.getItem("guestCartId"));
     }
-  }, [localCart, token]);
+  }, [token]);
+
+  // Checkout waits until the shopper has seen every price change
+  const hasPriceChanges = cartItems.some((item) => item.priceChange);
 
   // Calculate total item count in the cart
   const cartItemCount = cartItems.reduce(
@@ -120,19 +175,26 @@ export const CartProvider = ({ children }) => {
           const response = await axios.get("http://localhost:3001/cart/total", {
             headers: { Authorization: `Bearer ${token}` },
           });
-          setCartTotal(response.data.total || 0);
+          setCartTotal(response.data.subtotal || 0);
+          setCartBreakdown(response.data);
         } catch (error) {
           console.error("Error fetching cart total:", error);
           setCartTotal(0);
+          setCartBreakdown(null);
         }
       } else {
         // For guest users, calculate total locally
         const total = items.reduce((sum, item) => {
-          const price = item.productDetail?.price || 0;
+          const price =
+            variantPrice(
+              item.productDetail,
+              findVariant(item.productDetail, item.sku)
+            ) || 0;
           const quantity = item.quantity || 0;
           return sum + price * quantity;
         }, 0);
         setCartTotal(total);
+        setCartBreakdown(null); // Tax and shipping depend on the address given at checkout
       }
     },
     [user, token]
@@ -143,212 +205,188 @@ export const CartProvider = ({ children }) => {
     calculateCartTotal(cartItems);
   }, [cartItems, calculateCartTotal]);
 
-  // Add a product to the cart
-  const addToCart = async ({ productId, size, quantity }) => {
-    if (token) {
-      // For authenticated users, add item via server
-      try {
-        const payload = { productId, size, quantity };
-        await axios.post("http://localhost:3001/cart", payload, {
-          headers: { Authorization: `Bearer ${token}` },
-        });
-        await fetchCartWithDetails();
-      } catch (error) {
-        console.error("Error updating server cart:", error);
-        throw error; // Propagate error to the caller
-      }
-    } else {
-      // For guest users, update localCart directly
-      const existingItem = localCart.find(
-        (item) => item.productId === productId && item.size === size
-      );
-      let updatedCart;
-      if (existingItem) {
-        updatedCart = localCart.map((item) =>
-          item.productId === productId && item.size === size
-            ? { ...item, quantity: item.quantity + quantity }
-            : item
-        );
-      } else {
-        updatedCart = [...localCart, { productId, size, quantity }];
-      }
-
-      setLocalCart(updatedCart);
-
-      // Update cartItems for guest users
-      const productDetail = await fetchProductWithFallback(productId);
-      const existingCartItem = cartItems.find(
-        (item) => item.productId === productId && item.size === size
-      );
-      if (existingCartItem) {
-        setCartItems(
-          cartItems.map((item) =>
-            item.productId === productId && item.size === size
-              ? { ...item, quantity: item.quantity + quantity }
-              : item
-          )
-        );
-      } else {
-        setCartItems([
-          ...cartItems,
-          { productId, size, quantity, productDetail },
-        ]);
-      }
+  // Add one variant of a product to the cart
+  const addToCart = async ({ productId, sku, quantity }) => {
+    try {
+      const headers = token
+        ? cartHeaders()
+        : cartHeaders(await ensureGuestCart());
+      const payload = { productId, sku, quantity };
+      await axios.post("http://localhost:3001/cart", payload, { headers });
+      await fetchCartWithDetails();
+    } catch (error) {
+      console.error("Error updating server cart:", error);
+      throw error; // Propagate error to the caller
     }
   };
 
-  // Remove a product from the cart
-  const removeFromCart = async (productId, size) => {
-    if (token) {
-      // For authenticated users, remove item via server
-      try {
-        await axios.delete(`http://localhost:3001/cart/${productId}`, {
-          headers: { Authorization: `Bearer ${token}` },
-          data: { size }, // Backend needs size to remove specific item
-        });
-        await fetchCartWithDetails();
-      } catch (error) {
-        console.error("Error removing item from server cart:", error);
-      }
-    } else {
-      // For guest users, update localCart directly
-      const updatedCart = localCart.filter(
-        (item) => !(item.productId === productId && item.size === size)
-      );
-
-      setLocalCart(updatedCart);
-      // Update cartItems for guest users
-      setCartItems(
-        cartItems.filter(
-          (item) => !(item.productId === productId && item.size === size)
-        )
-      );
+  // Remove a line (one variant of a product) from the cart
+  const removeFromCart = async (lineId) => {
+    try {
+      await axios.delete(`http://localhost:3001/cart/lines/${lineId}`, {
+        headers: cartHeaders(),
+      });
+      await fetchCartWithDetails();
+    } catch (error) {
+      console.error("Error removing item from server cart:", error);
     }
   };
 
-  // Update the quantity of a product in the cart
-  const updateCartQuantity = async (productId, size, quantity) => {
+  // Update the quantity of a cart line
+  const updateCartQuantity = async (lineId, quantity) => {
     if (quantity < 1) {
-      removeFromCart(productId, size);
+      removeFromCart(lineId);
       return;
     }
 
-    if (token) {
-      // For authenticated users, update quantity via server
-      try {
-        const payload = { size, quantity };
-        await axios.put(`http://localhost:3001/cart/${productId}`, payload, {
-          headers: { Authorization: `Bearer ${token}` },
-        });
-        await fetchCartWithDetails();
-      } catch (error) {
-        console.error("Error updating cart quantity:", error);
-      }
-    } else {
-      // For guest users, update localCart directly
-      const updatedCart = localCart.map((item) =>
-        item.productId === productId && item.size === size
-          ? { ...item, quantity }
-          : item
+    try {
+      await axios.patch(
+        `http://localhost:3001/cart/lines/${lineId}`,
+        { quantity },
+        { headers: cartHeaders() }
       );
+      await fetchCartWithDetails();
+    } catch (error) {
+      console.error("Error updating cart quantity:", error);
+    }
+  };
+
+  // Accept the new price of a line whose price changed since it was added
+  const acknowledgePriceChange = async (lineId) => {
+    try {
+      await axios.post(
+        `http://localhost:3001/cart/lines/${lineId}/acknowledge-price`,
+        {},
+        { headers: cartHeaders() }
+      );
+      await fetchCartWithDetails();
+    } catch (error) {
+      console.error("Error acknowledging price change:", error);
+    }
+  };
 
-      setLocalCart(updatedCart);
-      // Update cartItems for guest users
-      setCartItems(
-        cartItems.map((item) =>
-          item.productId === productId && item.size === size
-            ? { ...item, quantity }
-            : item
-        )
+  // Switch a cart line to another variant; the server merges it into an
+  // existing line for that variant if there is one
+  const changeCartLineVariant = async (lineId, sku) => {
+    try {
+      await axios.patch(
+        `http://localhost:3001/cart/lines/${lineId}`,
+        { sku },
+        { headers: cartHeaders() }
       );
+      await fetchCartWithDetails();
+    } catch (error) {
+      console.error("Error changing cart line variant:", error);
     }
   };
 
   // Clear all items in the cart
   const clearCart = async () => {
-    if (token) {
-      // For authenticated users, clear cart via server
+    const headers = cartHeaders();
+    if (headers) {
       try {
         await axios.delete("http://localhost:3001/cart_all/delete", {
-          headers: { Authorization: `Bearer ${token}` },
+          headers,
         });
-        setCartItems([]);
-        setCartTotal(0);
       } catch (error) {
         console.error("Error clearing cart:", error);
+        return;
       }
-    } else {
-      // For guest users, clear local cart
-      setLocalCart([]);
-      setCartItems([]);
-      setCartTotal(0);
-      localStorage.removeItem("guestCart");
     }
+    setCartItems([]);
+    setCartTotal(0);
+    setCartBreakdown(null);
   };
 
-  /**
-   * Purchase all items in the cart.
-   * For each cart item, send a purchase request to the backend.
-   * After successful purchases, clear the cart.
-   */
-  const purchaseCart = async () => {
+  // Apply a coupon code to the server-side cart and refresh the breakdown
+  const applyCoupon = async (code) => {
     if (!token) {
-      throw new Error("User is not authenticated. Please log in to proceed.");
+      return { success: false, message: "Please log in to use a coupon." };
     }
 
-    setPurchaseLoading(true);
-    setPurchaseError(null);
-    setPurchaseSuccess(false);
+    try {
+      const response = await axios.post(
+        "http://localhost:3001/cart/coupon",
+        { code },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setCartBreakdown(response.data);
+      return { success: true, message: "Coupon applied." };
+    } catch (error) {
+      console.error("Error applying coupon:", error);
+      return {
+        success: false,
+        message:
+          typeof error.response?.data === "string"
+            ? error.response.data
+            : "Could not apply this coupon.",
+      };
+    }
+  };
 
+  // Remove the applied coupon code from the server-side cart
+  const removeCoupon = async () => {
     try {
-      // Fetch the cart data from the backend
-      const cartResponse = await axios.get("http://localhost:3001/cart", {
+      const response = await axios.delete("http://localhost:3001/cart/coupon", {
         headers: { Authorization: `Bearer ${token}` },
       });
+      setCartBreakdown(response.data);
+    } catch (error) {
+      console.error("Error removing coupon:", error);
+    }
+  };
 
-      const cartData = cartResponse.data;
-
-      // Validate that the response is an array and has items
-      if (!cartData || !Array.isArray(cartData) || cartData.length === 0) {
-        throw new Error("Cart is empty or missing required data.");
-      }
-
-      // Create an array of purchase promises for each product in the cart
-      const purchasePromises = cartData.map((item) => {
-        console.log(item);
-        if (!item.size || !item.quantity) {
-          throw new Error(
-            `Invalid cart item: Product ID ${item.productId} is missing size or quantity.`
-          );
-        }
+  /**
+   * Purchase all items in the cart.
+   * The backend turns the server-side cart into a single order and clears
+   * the cart in one transaction, so a failure leaves nothing half-bought.
+   * Signed-in users are charged the given saved payment method, or their
+   * default one; guests pass guestDetails shaped { shippingInfo, paymentInfo }.
+   * Ships with the given method (standard when omitted).
+   * Returns { success, order } or, on failure, { success, message, declineCode }.
+   */
+  const purchaseCart = async (
+    paymentMethodId,
+    shippingMethod,
+    guestDetails
+  ) => {
+    const headers = cartHeaders();
+    if (!headers) return { success: false, message: "Your cart is empty." };
 
-        return axios.post(
-          `http://localhost:3001/purchase/${item.productId}`,
-          {
-            size: item.size, // Corrected to fetch size from the current item
-            quantity: item.quantity,
-          },
-          {
-            headers: { Authorization: `Bearer ${token}` },
-          }
-        );
-      });
+    setPurchaseLoading(true);
+    setPurchaseError(null);
+    setPurchaseSuccess(false);
 
-      // Execute all purchase requests concurrently
-      await Promise.all(purchasePromises);
+    try {
+      const response = await axios.post(
+        "http://localhost:3001/checkout",
+        { paymentMethodId, shippingMethod, ...(!token && guestDetails) },
+        { headers }
+      );
 
-      // Clear the cart after successful purchases
-      await clearCart();
+      // The server already emptied the cart; mirror that locally
+      setCartItems([]);
+      setCartTotal(0);
+      setCartBreakdown(null);
 
       setPurchaseSuccess(true);
+      return { success: true, order: response.data.order };
     } catch (error) {
       console.error("Error purchasing cart items:", error);
-      setPurchaseError(
-        error.response?.data?.errors ||
-          error.response?.data?.message ||
-          error.message ||
-          "An error occurred during the purchase."
-      );
+      const message =
+        error.response?.data?.message ||
+        error.response?.data?.errors?.[0]?.msg || // Guest details that failed validation
+        (typeof error.response?.data === "string"
+          ? error.response.data
+          : null) ||
+        error.message ||
+        "An error occurred during the purchase.";
+      setPurchaseError(error.response?.data?.errors || message);
+      return {
+        success: false,
+        message,
+        declineCode: error.response?.data?.declineCode, // Set when the card was declined
+      };
     } finally {
       setPurchaseLoading(false);
     }
@@ -360,11 +398,19 @@ export const CartProvider = ({ children }) => {
         cartItems,
         cartItemCount,
         cartTotal, // Expose cart total in context
+        cartBreakdown,
+        refreshCart: fetchCartWithDetails,
+        cartHeaders,
         addToCart,
         removeFromCart,
         updateCartQuantity,
+        changeCartLineVariant,
+        acknowledgePriceChange,
+        hasPriceChanges,
         clearCart, // Expose clear cart function
         purchaseCart, // Expose purchaseCart function
+        applyCoupon,
+        removeCoupon,
         loading: isFetching,
         purchaseLoading,
         purchaseError,
@@ -1,16 +1,111 @@
 // src/contexts/ProductContext.js
-import React, { createContext, useContext } from "react";
-import { useQuery } from "@tanstack/react-query";
+import React, { createContext, useContext, useEffect, useRef } from "react";
+import {
+  useQuery,
+  useInfiniteQuery,
+  keepPreviousData,
+} from "@tanstack/react-query";
 import axios from "axios";
 
 const ProductContext = createContext();
 
 export const useProduct = () => useContext(ProductContext);
 
-// Fetch all products (for HomePage)
-const fetchProducts = async () => {
-  const response = await axios.get("http://localhost:3001/products");
-  return response.data.products;
+export const PRODUCTS_PER_PAGE = 24;
+
+// The product variant with the given SKU, or null
+export const findVariant = (product, sku) =>
+  product?.variants?.find((variant) => variant.sku === sku) || null;
+
+// Price of a variant, falling back to the product price
+export const variantPrice = (product, variant) =>
+  variant?.price ?? product?.price;
+
+// Listing price: the one price every variant sells at, or the lowest as "from $X"
+export const formatPriceRange = (product) => {
+  const prices = (product?.variants?.length ? product.variants : [null]).map(
+    (variant) => Number(variantPrice(product, variant))
+  );
+  const lowest = Math.min(...prices);
+  const label = `$${lowest.toFixed(2)}`;
+  return Math.max(...prices) > lowest ? `from ${label}` : label;
+};
+
+// A product's image gallery; products saved before galleries have just their main image
+export const productImages = (product) =>
+  product?.images?.length > 0
+    ? product.images
+    : [{ url: product?.imageUrl || "", alt: product?.name || "" }];
+
+// A variant's option values for display, e.g. "Black / M"
+export const formatVariant = (options) =>
+  Object.values(options || {}).join(" / ");
+
+// Infinite scroll for a useProducts grid: attach the returned ref to an element
+// after the grid and the next page loads when it scrolls into view
+export const useLoadMoreRef = ({
+  hasNextPage,
+  isFetchingNextPage,
+  fetchNextPage,
+}) => {
+  const loadMoreRef = useRef(null);
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasNextPage) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting && !isFetchingNextPage) {
+        fetchNextPage();
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
+  return loadMoreRef;
+};
+
+// Fetch one page of products matching the filters (for HomePage and CategoryPage)
+// Filters: tags, tagMatch, sizes, minPrice, maxPrice, category, categorySlug, minRating, sort
+const fetchProducts = async (filters, page) => {
+  const token = localStorage.getItem("token");
+  const response = await axios.get("http://localhost:3001/products", {
+    params: {
+      ...filters,
+      tags: filters.tags?.join(",") || undefined,
+      sizes: filters.sizes?.join(",") || undefined,
+      page,
+      limit: PRODUCTS_PER_PAGE,
+    },
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  return response.data; // Contains { products, recommended, page, total, totalPages }
+};
+
+// Fetch the filter options and their counts under the current filters
+const fetchFacets = async (filters) => {
+  const response = await axios.get("http://localhost:3001/products/facets", {
+    params: {
+      ...filters,
+      sort: undefined,
+      tags: filters.tags?.join(",") || undefined,
+      sizes: filters.sizes?.join(",") || undefined,
+    },
+  });
+  return response.data; // Contains { tags, sizes, categories, prices }
+};
+
+// Fetch one page of products ranked by relevance to a search (for SearchPage)
+const searchProducts = async (query, filters, page) => {
+  const response = await axios.get("http://localhost:3001/product/search", {
+    params: {
+      ...filters,
+      sizes: filters.sizes?.join(",") || undefined,
+      q: query,
+      page,
+      limit: PRODUCTS_PER_PAGE,
+    },
+  });
+  return response.data; // Contains { products, page, total, totalPages }; each product lists its matches
 };
 
 // Fetch individual product by product ID (for ProductDetail)
@@ -21,6 +116,32 @@ const fetchProduct = async (productId) => {
   return response.data;
 };
 
+// Fetch every size chart, oldest first (for the admin product forms)
+const fetchSizeCharts = async () => {
+  const response = await axios.get("http://localhost:3001/size-charts");
+  return response.data; // Each chart has { name, columns, sizes: [{ label, measurements }] }
+};
+
+// Fetch one size chart by ID (for the size guide on ProductDetail)
+const fetchSizeChart = async (sizeChartId) => {
+  const response = await axios.get(
+    `http://localhost:3001/size-charts/${sizeChartId}`
+  );
+  return response.data;
+};
+
+// Fetch the category tree, each category with its children (for the Navbar menu)
+const fetchCategories = async () => {
+  const response = await axios.get("http://localhost:3001/categories");
+  return response.data;
+};
+
+// Fetch one category by slug (for CategoryPage)
+const fetchCategory = async (slug) => {
+  const response = await axios.get(`http://localhost:3001/categories/${slug}`);
+  return response.data; // Contains { name, slug, breadcrumbs, children }
+};
+
 // Fetch all reviews for a product by product ID along with average rating
 const fetchReviews = async (productId) => {
   const response = await axios.get(
@@ -30,10 +151,31 @@ const fetchReviews = async (productId) => {
 };
 
 export const ProductProvider = ({ children }) => {
-  const useProducts = () =>
+  const useProducts = (filters = {}) =>
+    useInfiniteQuery({
+      queryKey: ["products", filters],
+      queryFn: ({ pageParam }) => fetchProducts(filters, pageParam),
+      initialPageParam: 1,
+      getNextPageParam: (lastPage) =>
+        lastPage.page < lastPage.totalPages ? lastPage.page + 1 : undefined,
+      placeholderData: keepPreviousData,
+      staleTime: 1000 * 60 * 5,
+    });
+
+  const useProductFacets = (filters = {}) =>
     useQuery({
-      queryKey: ["products"],
-      queryFn: fetchProducts,
+      queryKey: ["productFacets", { ...filters, sort: undefined }],
+      queryFn: () => fetchFacets(filters),
+      placeholderData: keepPreviousData,
+      staleTime: 1000 * 60 * 5,
+    });
+
+  const useProductSearch = (query, filters = {}, page = 1) =>
+    useQuery({
+      queryKey: ["productSearch", query, filters, page],
+      queryFn: () => searchProducts(query, filters, page),
+      enabled: !!query?.trim(),
+      placeholderData: keepPreviousData,
       staleTime: 1000 * 60 * 5,
     });
 
@@ -45,6 +187,36 @@ export const ProductProvider = ({ children }) => {
       staleTime: 1000 * 60 * 5,
     });
 
+  const useSizeCharts = () =>
+    useQuery({
+      queryKey: ["sizeCharts"],
+      queryFn: fetchSizeCharts,
+      staleTime: 1000 * 60 * 5,
+    });
+
+  const useSizeChart = (sizeChartId) =>
+    useQuery({
+      queryKey: ["sizeChart", sizeChartId],
+      queryFn: () => fetchSizeChart(sizeChartId),
+      enabled: !!sizeChartId,
+      staleTime: 1000 * 60 * 5,
+    });
+
+  const useCategories = () =>
+    useQuery({
+      queryKey: ["categories"],
+      queryFn: fetchCategories,
+      staleTime: 1000 * 60 * 5,
+    });
+
+  const useCategory = (slug) =>
+    useQuery({
+      queryKey: ["category", slug],
+      queryFn: () => fetchCategory(slug),
+      enabled: !!slug,
+      staleTime: 1000 * 60 * 5,
+    });
+
   const useProductReviews = (productId) =>
     useQuery({
       queryKey: ["reviews", productId],
@@ -55,7 +227,17 @@ export const ProductProvider = ({ children }) => {
 
   return (
     <ProductContext.Provider
-      value={{ useProducts, useProductDetail, useProductReviews }}
+      value={{
+        useProducts,
+        useProductFacets,
+        useProductSearch,
+        useProductDetail,
+        useSizeCharts,
+        useSizeChart,
+        useCategories,
+        useCategory,
+        useProductReviews,
+      }}
     >
       {children}
     </ProductContext.Provider>
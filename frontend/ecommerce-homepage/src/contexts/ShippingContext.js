@@ -0,0 +1,58 @@
+// src/contexts/ShippingContext.js
+import React, { createContext, useContext } from "react";
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
+import axios from "axios";
+
+const ShippingContext = createContext();
+
+export const useShipping = () => useContext(ShippingContext);
+
+// Fetch every shipping method's cost and delivery window for an order
+const fetchOptions = async ({ zipcode, state, itemCount, subtotal }) => {
+  const response = await axios.get("http://localhost:3001/shipping/options", {
+    params: { zipcode, state, itemCount, subtotal },
+  });
+  return response.data.options; // Each has { method, label, cost, earliest, latest }
+};
+
+// Estimates come back as YYYY-MM-DD; build local dates so they don't shift a day
+const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Format a shipping option (or a stored order estimate) as a readable window
+export const formatDeliveryWindow = (estimate) => {
+  if (!estimate?.earliest || !estimate?.latest) return "";
+
+  const toDate = (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value) ? parseDateKey(value) : new Date(value);
+  const earliest = toDate(estimate.earliest).toDateString();
+  const latest = toDate(estimate.latest).toDateString();
+
+  return earliest === latest ? earliest : `${earliest} – ${latest}`;
+};
+
+export const ShippingProvider = ({ children }) => {
+  const useShippingOptions = ({ zipcode, state, itemCount, subtotal } = {}) => {
+    // Only send complete zipcodes; partial input falls back to the widest window
+    const params = {
+      zipcode: /^\d{5}$/.test(zipcode || "") ? zipcode : undefined,
+      state: state || undefined,
+      itemCount: itemCount || 1,
+      subtotal: subtotal || 0,
+    };
+    return useQuery({
+      queryKey: ["shippingOptions", params],
+      queryFn: () => fetchOptions(params),
+      placeholderData: keepPreviousData,
+      staleTime: 1000 * 60 * 5,
+    });
+  };
+
+  return (
+    <ShippingContext.Provider value={{ useShippingOptions }}>
+      {children}
+    </ShippingContext.Provider>
+  );
+};
@@ -0,0 +1,246 @@
+// src/contexts/WishlistContext.js
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useState,
+  useCallback,
+} from "react";
+import axios from "axios";
+import { useQueryClient } from "@tanstack/react-query";
+import { useAuth } from "./AuthContext";
+import { useCart } from "./CartContext";
+
+const WishlistContext = createContext();
+
+export const useWishlist = () => useContext(WishlistContext);
+
+// Guests keep their list in localStorage until they log in
+const readGuestWishlist = () =>
+  JSON.parse(localStorage.getItem("guestWishlist")) || [];
+
+const writeGuestWishlist = (items) =>
+  localStorage.setItem("guestWishlist", JSON.stringify(items));
+
+// Items saved before variants existed only name a size
+const isSameItem = (a, b) =>
+  a.productId === b.productId &&
+  (a.sku || a.size || null) === (b.sku || b.size || null);
+
+export const WishlistProvider = ({ children }) => {
+  const { user } = useAuth();
+  const token = user ? localStorage.getItem("token") : null;
+  const { addToCart, removeFromCart, refreshCart } = useCart();
+  const queryClient = useQueryClient();
+
+  const [wishlistItems, setWishlistItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Load the list: from the server for users, from localStorage for guests
+  const fetchWishlist = useCallback(async () => {
+    setLoading(true);
+    try {
+      if (token) {
+        const response = await axios.get("http://localhost:3001/wishlist", {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        setWishlistItems(
+          response.data.map((item) => ({
+            ...item,
+            productId: item.productId._id,
+            productDetail: item.productId,
+          }))
+        );
+      } else {
+        const items = await Promise.all(
+          readGuestWishlist().map(async (item) => {
+            try {
+              const productDetail = await queryClient.fetchQuery({
+                queryKey: ["product", item.productId],
+                queryFn: async () =>
+                  (
+                    await axios.get(
+                      `http://localhost:3001/products/${item.productId}`
+                    )
+                  ).data,
+              });
+              return { ...item, productDetail };
+            } catch (error) {
+              return null; // The product was deleted
+            }
+          })
+        );
+        setWishlistItems(items.filter(Boolean));
+      }
+    } catch (error) {
+      console.error("Error fetching wishlist:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [token, queryClient]);
+
+  // On login, move the guest's local list into their account, then load it
+  useEffect(() => {
+    const syncWishlist = async () => {
+      const guestItems = readGuestWishlist();
+      if (token && guestItems.length > 0) {
+        try {
+          await axios.post(
+            "http://localhost:3001/wishlist/merge",
+            { items: guestItems },
+            { headers: { Authorization: `Bearer ${token}` } }
+          );
+          localStorage.removeItem("guestWishlist");
+        } catch (error) {
+          console.error("Error merging wishlist:", error);
+        }
+      }
+      await fetchWishlist();
+    };
+    syncWishlist();
+  }, [token, fetchWishlist]);
+
+  // Saved entries for one variant of a product, or for any of it without a SKU
+  const savedEntries = (productId, sku) =>
+    wishlistItems.filter((item) =>
+      sku === undefined
+        ? item.productId === productId
+        : isSameItem(item, { productId, sku })
+    );
+
+  const isWishlisted = (productId, sku) =>
+    savedEntries(productId, sku).length > 0;
+
+  // Save a product (optionally one variant of it) to the list
+  const addToWishlist = async (productId, sku) => {
+    if (token) {
+      try {
+        await axios.post(
+          "http://localhost:3001/wishlist",
+          { productId, sku },
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+      } catch (error) {
+        console.error("Error adding to wishlist:", error);
+        return;
+      }
+    } else {
+      const items = readGuestWishlist();
+      const newItem = { productId, sku, addedAt: new Date().toISOString() };
+      if (!items.some((item) => isSameItem(item, newItem))) {
+        writeGuestWishlist([newItem, ...items]);
+      }
+    }
+    await fetchWishlist();
+  };
+
+  // Remove one item from the list
+  const removeFromWishlist = async (item) => {
+    if (token) {
+      try {
+        await axios.delete(`http://localhost:3001/wishlist/${item._id}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+      } catch (error) {
+        console.error("Error removing from wishlist:", error);
+        return;
+      }
+    } else {
+      writeGuestWishlist(
+        readGuestWishlist().filter((saved) => !isSameItem(saved, item))
+      );
+    }
+    await fetchWishlist();
+  };
+
+  // Heart toggle: saves the product (or the given variant of it), or removes
+  // what isWishlisted found saved for it
+  const toggleWishlist = async (productId, sku) => {
+    const saved = savedEntries(productId, sku);
+    if (saved.length === 0) {
+      await addToWishlist(productId, sku);
+      return;
+    }
+    for (const item of saved) {
+      await removeFromWishlist(item);
+    }
+  };
+
+  /**
+   * Move a saved item into the cart as the given variant.
+   * Returns { success } or { success: false, message }.
+   */
+  const moveToCart = async (item, sku) => {
+    try {
+      if (token) {
+        await axios.post(
+          `http://localhost:3001/wishlist/${item._id}/move-to-cart`,
+          { sku },
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        await refreshCart();
+      } else {
+        await addToCart({ productId: item.productId, sku, quantity: 1 });
+        writeGuestWishlist(
+          readGuestWishlist().filter((saved) => !isSameItem(saved, item))
+        );
+      }
+      await fetchWishlist();
+      return { success: true };
+    } catch (error) {
+      console.error("Error moving wishlist item to cart:", error);
+      return {
+        success: false,
+        message:
+          typeof error.response?.data === "string"
+            ? error.response.data
+            : "Could not move this item to your cart.",
+      };
+    }
+  };
+
+  // "Save for later" on a cart line: move it from the cart to the list
+  const saveForLater = async (cartItem) => {
+    try {
+      if (token) {
+        await axios.post(
+          `http://localhost:3001/cart/lines/${cartItem._id}/save-for-later`,
+          {},
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        await refreshCart();
+      } else {
+        const items = readGuestWishlist();
+        const newItem = {
+          productId: cartItem.productId,
+          sku: cartItem.sku,
+          addedAt: new Date().toISOString(),
+        };
+        if (!items.some((item) => isSameItem(item, newItem))) {
+          writeGuestWishlist([newItem, ...items]);
+        }
+        await removeFromCart(cartItem._id);
+      }
+      await fetchWishlist();
+    } catch (error) {
+      console.error("Error saving item for later:", error);
+    }
+  };
+
+  return (
+    <WishlistContext.Provider
+      value={{
+        wishlistItems,
+        loading,
+        isWishlisted,
+        addToWishlist,
+        removeFromWishlist,
+        toggleWishlist,
+        moveToCart,
+        saveForLater,
+      }}
+    >
+      {children}
+    </WishlistContext.Provider>
+  );
+};
@@ -4,8 +4,21 @@ import { useAuth } from "../contexts/AuthContext";
 import { useNavigate } from "react-router-dom";
 import "./AccountPage.css";
 
+const emptyCard = {
+  cardNumber: "",
+  cardHolderName: "",
+  expiryDate: "",
+  cvv: "",
+};
+
 const AccountPage = () => {
-  const { user, updateAccount } = useAuth();
+  const {
+    user,
+    updateAccount,
+    addPaymentMethod,
+    removePaymentMethod,
+    setDefaultPaymentMethod,
+  } = useAuth();
   const navigate = useNavigate();
 
   const [formData, setFormData] = useState({
@@ -15,13 +28,15 @@ const AccountPage = () => {
     state: "",
     city: "",
     zipcode: "",
-    cardNumber: "",
-    cardHolderName: "",
-    expiryDate: "",
-    cvv: "",
   });
   const [message, setMessage] = useState(null);
   const [loading, setLoading] = useState(false);
+
+  // New card details are only sent to be tokenized; saved cards come back masked
+  const [cardData, setCardData] = useState(emptyCard);
+  const [makeDefault, setMakeDefault] = useState(false);
+  const [cardMessage, setCardMessage] = useState(null);
+  const [cardLoading, setCardLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
   // Redirect to login page if user logs out
@@ -41,23 +56,26 @@ const AccountPage = () => {
         state: user.shippingInfo?.state || "",
         city: user.shippingInfo?.city || "",
         zipcode: user.shippingInfo?.zipcode || "",
-        cardNumber: user.savedPaymentInfo?.cardNumber || "",
-        cardHolderName: user.savedPaymentInfo?.cardHolderName || "",
-        expiryDate: user.savedPaymentInfo?.expiryDate || "",
-        cvv: user.savedPaymentInfo?.cvv || "",
       });
     }
   }, [user]);
 
-  const validateInputs = () => {
+  const validateCard = () => {
     const newErrors = {};
 
+    if (!/^\d{13,19}$/.test(cardData.cardNumber)) {
+      newErrors.cardNumber = "Invalid card number format.";
+    }
+    if (!cardData.cardHolderName) {
+      newErrors.cardHolderName = "Card holder name is required.";
+    }
+
     // Expiry Date validation: format should be MM/YY
     const expiryDateRegex = /^(0[1-9]|1[0-2])\/([0-9]{2})$/;
-    if (!expiryDateRegex.test(formData.expiryDate)) {
+    if (!expiryDateRegex.test(cardData.expiryDate)) {
       newErrors.expiryDate = "Expiry date must be in MM/YY format.";
     } else {
-      const [month, year] = formData.expiryDate.split("/").map(Number);
+      const [month, year] = cardData.expiryDate.split("/").map(Number);
       const currentYear = new Date().getFullYear() % 100; // Get last two digits of the current year
       const currentMonth = new Date().getMonth() + 1; // JavaScript months are 0-based
 
@@ -74,7 +92,7 @@ const AccountPage = () => {
     }
 
     // CVV validation: must be exactly 3 digits
-    if (!/^\d{3}$/.test(formData.cvv)) {
+    if (!/^\d{3}$/.test(cardData.cvv)) {
       newErrors.cvv = "CVV must be exactly 3 digits.";
     }
 
@@ -86,37 +104,60 @@ const AccountPage = () => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  const handleCardChange = (e) => {
+    setCardData({ ...cardData, [e.target.name]: e.target.value });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setMessage(null);
 
-    if (validateInputs()) {
-      const updates = {
-        username: formData.username,
-        email: formData.email,
-        shippingInfo: {
-          address: formData.address,
-          state: formData.state,
-          city: formData.city,
-          zipcode: formData.zipcode,
-        },
-        savedPaymentInfo: {
-          cardNumber: formData.cardNumber,
-          cardHolderName: formData.cardHolderName,
-          expiryDate: formData.expiryDate,
-          cvv: formData.cvv,
-        },
-      };
-
-      const result = await updateAccount(updates);
-      setMessage(result.message);
-    } else {
-      setMessage("Please fix the errors before submitting.");
-    }
+    const updates = {
+      username: formData.username,
+      email: formData.email,
+      shippingInfo: {
+        address: formData.address,
+        state: formData.state,
+        city: formData.city,
+        zipcode: formData.zipcode,
+      },
+    };
+
+    const result = await updateAccount(updates);
+    setMessage(result.message);
     setLoading(false);
   };
 
+  const handleAddCard = async (e) => {
+    e.preventDefault();
+    setCardMessage(null);
+
+    if (!validateCard()) {
+      setCardMessage("Please fix the errors before submitting.");
+      return;
+    }
+
+    setCardLoading(true);
+    const result = await addPaymentMethod(cardData, makeDefault);
+    setCardMessage(result.message);
+    if (result.success) {
+      setCardData(emptyCard);
+      setMakeDefault(false);
+    }
+    setCardLoading(false);
+  };
+
+  const handleRemoveCard = async (paymentMethodId) => {
+    const result = await removePaymentMethod(paymentMethodId);
+    setCardMessage(result.message);
+  };
+
+  const handleMakeDefault = async (paymentMethodId) => {
+    const result = await setDefaultPaymentMethod(paymentMethodId);
+    setCardMessage(result.message);
+  };
+
   return (
     <div className="account-container">
       <form className="account-form" onSubmit={handleSubmit}>
@@ -187,16 +228,63 @@ const AccountPage = () => {
           />
         </label>
 
-        <h3>Payment Information</h3>
+        <button type="submit" className="submit-button" disabled={loading}>
+          {loading ? "Updating..." : "Update Account"}
+        </button>
+      </form>
+
+      <form className="account-form" onSubmit={handleAddCard}>
+        <h2>Payment Methods</h2>
+        {cardMessage && <p className="message">{cardMessage}</p>}
+
+        {user?.paymentMethods?.length > 0 ? (
+          <ul className="payment-method-list">
+            {user.paymentMethods.map((method) => (
+              <li key={method.id} className="payment-method">
+                <div>
+                  <span className="payment-method-brand">{method.brand}</span>{" "}
+                  •••• {method.last4}
+                  <span className="payment-method-expiry">
+                    Expires {method.expiryDate}
+                  </span>
+                </div>
+                <div className="payment-method-actions">
+                  {method.isDefault ? (
+                    <span className="payment-method-default">Default</span>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => handleMakeDefault(method.id)}
+                    >
+                      Make Default
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveCard(method.id)}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="message">No saved payment methods.</p>
+        )}
+
+        <h3>Add a Card</h3>
         <label>
           Card Number:
           <input
             className="account-form"
             type="text"
             name="cardNumber"
-            value={formData.cardNumber}
-            onChange={handleChange}
+            value={cardData.cardNumber}
+            onChange={handleCardChange}
+            autoComplete="cc-number"
           />
+          {errors.cardNumber && <p className="error">{errors.cardNumber}</p>}
         </label>
         <label>
           Card Holder Name:
@@ -204,9 +292,13 @@ const AccountPage = () => {
             className="account-form"
             type="text"
             name="cardHolderName"
-            value={formData.cardHolderName}
-            onChange={handleChange}
+            value={cardData.cardHolderName}
+            onChange={handleCardChange}
+            autoComplete="cc-name"
           />
+          {errors.cardHolderName && (
+            <p className="error">{errors.cardHolderName}</p>
+          )}
         </label>
         <label>
           Expiry Date:
@@ -214,9 +306,10 @@ const AccountPage = () => {
             className="account-form"
             type="text"
             name="expiryDate"
-            value={formData.expiryDate}
-            onChange={handleChange}
+            value={cardData.expiryDate}
+            onChange={handleCardChange}
             placeholder="MM/YY"
+            autoComplete="cc-exp"
           />
           {errors.expiryDate && <p className="error">{errors.expiryDate}</p>}
         </label>
@@ -226,14 +319,23 @@ const AccountPage = () => {
             className="account-form"
             type="text"
             name="cvv"
-            value={formData.cvv}
-            onChange={handleChange}
+            value={cardData.cvv}
+            onChange={handleCardChange}
+            autoComplete="cc-csc"
           />
           {errors.cvv && <p className="error">{errors.cvv}</p>}
         </label>
+        <label className="payment-method-checkbox">
+          <input
+            type="checkbox"
+            checked={makeDefault}
+            onChange={(e) => setMakeDefault(e.target.checked)}
+          />
+          Use as default payment method
+        </label>
 
-        <button type="submit" className="submit-button" disabled={loading}>
-          {loading ? "Updating..." : "Update Account"}
+        <button type="submit" className="submit-button" disabled={cardLoading}>
+          {cardLoading ? "Saving..." : "Add Card"}
         </button>
       </form>
     </div>
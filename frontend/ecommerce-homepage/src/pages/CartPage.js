@@ -1,21 +1,50 @@
 // src/components/CartPage.js
-import React from "react";
+import React, { useState } from "react";
 import "./CartPage.css";
 import { useCart } from "../contexts/CartContext";
+import { useWishlist } from "../contexts/WishlistContext";
+import {
+  findVariant,
+  variantPrice,
+  formatVariant,
+} from "../contexts/ProductContext";
 import { useNavigate } from "react-router-dom";
 
 const CartPage = () => {
   const {
     cartItems,
     cartTotal,
+    cartBreakdown,
     loading,
     updateCartQuantity,
+    changeCartLineVariant,
+    acknowledgePriceChange,
+    hasPriceChanges,
     removeFromCart,
+    applyCoupon,
+    removeCoupon,
     purchaseLoading,
     purchaseError,
     purchaseSuccess,
   } = useCart();
+  const { saveForLater } = useWishlist();
   const navigate = useNavigate();
+  const [couponCode, setCouponCode] = useState("");
+  const [couponMessage, setCouponMessage] = useState(null);
+
+  const handleApplyCoupon = async (e) => {
+    e.preventDefault();
+    if (!couponCode.trim()) return;
+
+    const result = await applyCoupon(couponCode.trim());
+    setCouponMessage(result.message);
+    if (result.success) setCouponCode("");
+  };
+
+  const handleRemoveCoupon = async () => {
+    await removeCoupon();
+    setCouponMessage(null);
+  };
 
   // Handle navigation to checkout or guest checkout
   const handleBuyClick = () => {
@@ -68,67 +97,187 @@ const CartPage = () => {
         </div>
       )}
 
-      {cartItems.map((item) => (
-        <div className="cart-item" key={`${item.productId}-${item.size}`}>
-          <img
-            className="cart-item-image"
-            src={item.productDetail?.imageUrl || "placeholder.jpg"}
-            alt={item.productDetail?.name || "Product Image"}
-          />
-          <div className="cart-item-details">
-            <h2 className="cart-item-name">
-              {item.productDetail?.name || "Unnamed Product"}
-            </h2>
-            {item.size && <p className="cart-item-size">Size: {item.size}</p>}
-            <p className="cart-item-price">
-              Price: ${item.productDetail?.price?.toFixed(2) || "N/A"}
-            </p>
-            <div className="cart-item-quantity">
+      {cartItems.map((item) => {
+        const variant = findVariant(item.productDetail, item.sku);
+        return (
+          <div className="cart-item" key={item._id}>
+            <img
+              className="cart-item-image"
+              src={
+                variant?.images?.[0] ||
+                item.productDetail?.imageUrl ||
+                "placeholder.jpg"
+              }
+              alt={item.productDetail?.name || "Product Image"}
+            />
+            <div className="cart-item-details">
+              <h2 className="cart-item-name">
+                {item.productDetail?.name || "Unnamed Product"}
+              </h2>
+              {item.productDetail?.variants?.length > 1 ? (
+                <label className="cart-item-variant">
+                  {item.productDetail.options
+                    .map((option) => option.name)
+                    .join(" / ")}
+                  :{" "}
+                  <select
+                    value={item.sku || ""}
+                    onChange={(e) =>
+                      changeCartLineVariant(item._id, e.target.value)
+                    }
+                  >
+                    {item.productDetail.variants.map((option) => (
+                      <option
+                        key={option.sku}
+                        value={option.sku}
+                        disabled={option.sku !== item.sku && !option.stock}
+                      >
+                        {formatVariant(option.options)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ) : (
+                formatVariant(item.options) && (
+                  <p className="cart-item-variant">
+                    {formatVariant(item.options)}
+                  </p>
+                )
+              )}
+              <p className="cart-item-price">
+                Price: $
+                {variantPrice(item.productDetail, variant)?.toFixed(2) || "N/A"}
+              </p>
+              {item.priceChange && (
+                <div
+                  className={`price-change-notice price-${item.priceChange.direction}`}
+                >
+                  <span>
+                    Price {item.priceChange.direction} from $
+                    {item.priceChange.from.toFixed(2)} to $
+                    {item.priceChange.to.toFixed(2)} since you added this item.
+                  </span>
+                  <button onClick={() => acknowledgePriceChange(item._id)}>
+                    OK
+                  </button>
+                </div>
+              )}
+              <div className="cart-item-quantity">
+                <button
+                  className="quantity-btn"
+                  onClick={() =>
+                    updateCartQuantity(item._id, item.quantity - 1)
+                  }
+                  disabled={item.quantity <= 1}
+                >
+                  -
+                </button>
+                <span className="quantity-display">
+                  Quantity: {item.quantity}
+                </span>
+                <button
+                  className="quantity-btn"
+                  onClick={() =>
+                    updateCartQuantity(item._id, item.quantity + 1)
+                  }
+                >
+                  +
+                </button>
+              </div>
               <button
-                className="quantity-btn"
-                onClick={() =>
-                  updateCartQuantity(
-                    item.productId,
-                    item.size,
-                    item.quantity - 1
-                  )
-                }
-                disabled={item.quantity <= 1}
+                className="save-for-later-btn"
+                onClick={() => saveForLater(item)}
               >
-                -
+                Save for Later
               </button>
-              <span className="quantity-display">
-                Quantity: {item.quantity}
-              </span>
               <button
-                className="quantity-btn"
-                onClick={() =>
-                  updateCartQuantity(
-                    item.productId,
-                    item.size,
-                    item.quantity + 1
-                  )
-                }
+                className="remove-item-btn"
+                onClick={() => removeFromCart(item._id)}
               >
-                +
+                Remove Item
               </button>
             </div>
-            <button
-              className="remove-item-btn"
-              onClick={() => removeFromCart(item.productId, item.size)}
-            >
-              Remove Item
-            </button>
           </div>
-        </div>
-      ))}
+        );
+      })}
+
+      {cartBreakdown ? (
+        <div className="cart-breakdown">
+          {cartBreakdown.couponCode ? (
+            <div className="cart-coupon">
+              <span>
+                Coupon <strong>{cartBreakdown.couponCode}</strong>
+              </span>
+              <button
+                className="remove-coupon-btn"
+                onClick={handleRemoveCoupon}
+              >
+                Remove
+              </button>
+            </div>
+          ) : (
+            <form className="cart-coupon" onSubmit={handleApplyCoupon}>
+              <input
+                type="text"
+                placeholder="Coupon code"
+                value={couponCode}
+                onChange={(e) => setCouponCode(e.target.value)}
+              />
+              <button type="submit" className="apply-coupon-btn">
+                Apply
+              </button>
+            </form>
+          )}
+          {cartBreakdown.couponError && (
+            <p className="coupon-error">{cartBreakdown.couponError}</p>
+          )}
+          {couponMessage && !cartBreakdown.couponError && (
+            <p className="coupon-message">{couponMessage}</p>
+          )}
 
-      <h3 className="cart-total">Total: ${Number(cartTotal).toFixed(2)}</h3>
+          <p>Subtotal: ${Number(cartBreakdown.subtotal).toFixed(2)}</p>
+          {cartBreakdown.discount > 0 && (
+            <p className="cart-discount">
+              Discount ({cartBreakdown.couponCode}): -$
+              {Number(cartBreakdown.discount).toFixed(2)}
+            </p>
+          )}
+          <p>
+            Shipping:{" "}
+            {cartBreakdown.shippingCost === 0
+              ? "Free"
+              : `$${Number(cartBreakdown.shippingCost).toFixed(2)}`}
+          </p>
+          <p>
+            Tax
+            {cartBreakdown.taxRate > 0 &&
+              ` (${(cartBreakdown.taxRate * 100)
+                .toFixed(3)
+                .replace(/\.?0+$/, "")}%)`}
+            : ${Number(cartBreakdown.tax).toFixed(2)}
+          </p>
+          <h3 className="cart-total">
+            Total: ${Number(cartBreakdown.total).toFixed(2)}
+          </h3>
+        </div>
+      ) : (
+        <div className="cart-breakdown">
+          <h3 className="cart-total">
+            Subtotal: ${Number(cartTotal).toFixed(2)}
+          </h3>
+          <p>Shipping and tax are calculated at checkout.</p>
+        </div>
+      )}
 
+      {hasPriceChanges && (
+        <p className="price-change-hint">
+          Some prices have changed. Please review them before checking out.
+        </p>
+      )}
       <button
         className="checkout-btn"
         onClick={handleBuyClick}
-        disabled={purchaseLoading}
+        disabled={purchaseLoading || hasPriceChanges}
       >
         {purchaseLoading ? "Processing..." : "Proceed to Checkout"}
       </button>
@@ -0,0 +1,130 @@
+// src/pages/CategoryPage.js
+import React, { useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import ProductCard from "../components/ProductCard";
+import { useAuth } from "../contexts/AuthContext";
+import { useProduct, useLoadMoreRef } from "../contexts/ProductContext";
+import "../App.css";
+import "./CategoryPage.css";
+
+const CategoryPage = () => {
+  const { slug } = useParams();
+  const { user } = useAuth();
+  const { useCategory, useProducts } = useProduct();
+  const [sortOrder, setSortOrder] = useState("newest");
+
+  const {
+    data: category,
+    isLoading: categoryLoading,
+    error: categoryError,
+  } = useCategory(slug);
+  // Products filed anywhere in this branch of the tree
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useProducts({ categorySlug: slug, sort: sortOrder });
+
+  const products = data?.pages.flatMap((page) => page.products) || [];
+  const total = data?.pages[0]?.total || 0;
+
+  // Load the next page when the end of the grid scrolls into view
+  const loadMoreRef = useLoadMoreRef({
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  });
+
+  if (categoryLoading) return <p>Loading category...</p>;
+  if (categoryError) {
+    return (
+      <p className="error-message">
+        {categoryError.response?.status === 404
+          ? "Category not found."
+          : "Failed to load this category."}
+      </p>
+    );
+  }
+
+  return (
+    <div className="category-page">
+      <nav className="breadcrumbs" aria-label="Breadcrumb">
+        <ol>
+          <li>
+            <Link to="/">Home</Link>
+          </li>
+          {category.breadcrumbs.map((crumb) => (
+            <li key={crumb._id}>
+              <Link to={`/category/${crumb.slug}`}>{crumb.name}</Link>
+            </li>
+          ))}
+          <li aria-current="page">{category.name}</li>
+        </ol>
+      </nav>
+
+      <h1>{category.name}</h1>
+
+      {category.children.length > 0 && (
+        <nav
+          className="subcategory-nav"
+          aria-label={`${category.name} subcategories`}
+        >
+          {category.children.map((child) => (
+            <Link
+              key={child._id}
+              to={`/category/${child.slug}`}
+              className="subcategory-link"
+            >
+              {child.name}
+            </Link>
+          ))}
+        </nav>
+      )}
+
+      <div className="sort-by">
+        <label>Sort by:</label>
+        <select
+          value={sortOrder}
+          onChange={(e) => setSortOrder(e.target.value)}
+        >
+          <option value="newest">Newest First</option>
+          <option value="price_desc">Price: High to Low</option>
+          <option value="price_asc">Price: Low to High</option>
+          <option value="rating">Top Rated</option>
+        </select>
+        <span className="product-count">
+          Showing {products.length} of {total} products
+        </span>
+      </div>
+
+      {isLoading ? (
+        <p>Loading products...</p>
+      ) : error ? (
+        <p className="error-message">Failed to fetch products.</p>
+      ) : (
+        <>
+          <div className="product-grid">
+            {products.map((product) => (
+              <ProductCard
+                key={product._id}
+                product={product}
+                isAdmin={user?.isAdmin}
+              />
+            ))}
+          </div>
+          {products.length === 0 && (
+            <p className="no-products">No products in this category yet.</p>
+          )}
+          <div ref={loadMoreRef} className="load-more">
+            {isFetchingNextPage && <p>Loading more products...</p>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CategoryPage;
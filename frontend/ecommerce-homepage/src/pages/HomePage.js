@@ -1,56 +1,100 @@
-import React, { useState, useEffect } from "react";
+import React, { useState } from "react";
 import ProductCard from "../components/ProductCard";
 import "../App.css";
 import "./AdminPage.css";
 import { useAuth } from "../contexts/AuthContext";
+import { useProduct, useLoadMoreRef } from "../contexts/ProductContext";
 import axios from "axios";
+import VariantEditor, { defaultVariants } from "../components/VariantEditor";
+import SizeChartSelect from "../components/SizeChartSelect";
+import CategorySelect from "../components/CategorySelect";
+import ImageGalleryEditor, {
+  galleryPayload,
+} from "../components/ImageGalleryEditor";
+
+// Only pass price bounds that parse as numbers
+const toPriceParam = (value) =>
+  value !== "" && !Number.isNaN(Number(value)) ? Number(value) : undefined;
+
+// Label a price bucket from GET /products/facets, e.g. "$25 – $50"
+const formatPriceBucket = ({ min, max }) => {
+  if (max === null) return `$${min}+`;
+  if (min === 0) return `Under $${max}`;
+  return `$${min} – $${max}`;
+};
 
 const HomePage = () => {
   const { user } = useAuth(); // Get current user
-  const [products, setProducts] = useState([]); // All products including recommendations
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { useProducts, useProductFacets } = useProduct();
   const [selectedTags, setSelectedTags] = useState([]);
+  const [tagMatch, setTagMatch] = useState("all"); // Products need every tag, or any of them
   const [selectedSizes, setSelectedSizes] = useState([]);
+  const [minPrice, setMinPrice] = useState("");
+  const [maxPrice, setMaxPrice] = useState("");
+  const [category, setCategory] = useState("");
+  const [minRating, setMinRating] = useState("");
   const [sortOrder, setSortOrder] = useState("newest");
   const [newProduct, setNewProduct] = useState({
     name: "",
     price: "",
     description: "",
-    imageUrl: "",
     tags: [],
-    sizes: [],
+    sizeChartId: "",
+    categoryIds: [],
   });
+  const [newProductVariants, setNewProductVariants] = useState({
+    options: [],
+    variants: defaultVariants(),
+  }); // Option axes and per-variant SKU, price and stock
+  const [newProductImages, setNewProductImages] = useState([
+    { url: "", alt: "" },
+  ]); // Gallery, main image first
   const [showAddForm, setShowAddForm] = useState(false); // State to toggle Add Product form visibility
 
-  // Fetch products including recommendations
-  useEffect(() => {
-    const fetchProducts = async () => {
-      try {
-        setIsLoading(true);
-        const token = localStorage.getItem("token");
-        const response = await axios.get("http://localhost:3001/products", {
-          headers: token ? { Authorization: `Bearer ${token}` } : {},
-        });
+  // Filtering, sorting and paging all happen on the server
+  const filters = {
+    tags: selectedTags,
+    tagMatch,
+    sizes: selectedSizes,
+    minPrice: toPriceParam(minPrice),
+    maxPrice: toPriceParam(maxPrice),
+    category: category || undefined,
+    minRating: minRating || undefined,
+    sort: sortOrder,
+  };
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useProducts(filters);
+  // The sidebar options and their counts follow the same filters
+  const { data: facets } = useProductFacets(filters);
 
-        setProducts(response.data.products); // Products sorted with recommendations on top
-      } catch (err) {
-        console.error("Error fetching products:", err);
-        setError("Failed to fetch products.");
-      } finally {
-        setIsLoading(false);
-      }
-    };
+  const products = data?.pages.flatMap((page) => page.products) || [];
+  const recommended = data?.pages[0]?.recommended || [];
+  const total = data?.pages[0]?.total || 0;
 
-    fetchProducts();
-  }, []);
+  // Load the next page when the end of the grid scrolls into view
+  const loadMoreRef = useLoadMoreRef({
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  });
 
   // Handler for adding a new product
   const handleAddProduct = async (e) => {
     e.preventDefault();
     try {
       const token = localStorage.getItem("token");
-      await axios.post("http://localhost:3001/admin/products", newProduct, {
+      const productData = {
+        ...newProduct,
+        ...newProductVariants,
+        images: galleryPayload(newProductImages, newProductVariants.variants),
+      };
+      await axios.post("http://localhost:3001/admin/products", productData, {
         headers: {
           Authorization: `Bearer ${token}`,
         },
@@ -65,7 +109,7 @@ const HomePage = () => {
   };
 
   if (isLoading) return <p>Loading products...</p>;
-  if (error) return <p className="error-message">{error}</p>;
+  if (error) return <p className="error-message">Failed to fetch products.</p>;
 
   // Toggle a tag selection
   const toggleTag = (tag) => {
@@ -76,6 +120,12 @@ const HomePage = () => {
     );
   };
 
+  // Pick a price bucket, or clear the price range if it is already picked
+  const selectPriceBucket = (bucket, isActive) => {
+    setMinPrice(isActive ? "" : String(bucket.min));
+    setMaxPrice(isActive || bucket.max === null ? "" : String(bucket.max));
+  };
+
   // Toggle a size selection
   const toggleSize = (size) => {
     setSelectedSizes((prevSizes) =>
@@ -85,33 +135,6 @@ const HomePage = () => {
     );
   };
 
-  // Filter products based on selected tags and sizes
-  const filteredProducts = products.filter((product) => {
-    const matchesTags =
-      selectedTags.length === 0 ||
-      selectedTags.every((tag) => product.tags.includes(tag));
-
-    const matchesSizes =
-      selectedSizes.length === 0 ||
-      selectedSizes.some((size) => product.sizes.includes(size));
-
-    return matchesTags && matchesSizes;
-  });
-
-  // Sort products based on sortOrder
-  const sortedProducts = [...filteredProducts].sort((a, b) => {
-    if (sortOrder === "newest") {
-      return (
-        new Date(b.creationDate).getTime() - new Date(a.creationDate).getTime()
-      );
-    } else if (sortOrder === "hightoLow") {
-      return b.price - a.price;
-    } else if (sortOrder === "lowtoHigh") {
-      return a.price - b.price;
-    }
-    return 0;
-  });
-
   return (
     <div className="homepage">
       <aside className="sidebar">
@@ -119,41 +142,111 @@ const HomePage = () => {
         <div className="filter-group">
           <label>Tags</label>
           <div className="tag-options">
-            {[
-              "leather",
-              "jacket",
-              "outerwear",
-              "dress",
-              "accessory",
-              "tags",
-              "test",
-              "testing",
-              "asdf",
-            ].map((tag) => (
+            {(facets?.tags || []).map(({ value: tag, count }) => (
               <button
                 key={tag}
                 onClick={() => toggleTag(tag)}
                 className={selectedTags.includes(tag) ? "active" : ""}
+                disabled={count === 0 && !selectedTags.includes(tag)}
               >
-                {tag}
+                {tag} <span className="facet-count">{count}</span>
               </button>
             ))}
           </div>
+          <select
+            value={tagMatch}
+            onChange={(e) => setTagMatch(e.target.value)}
+          >
+            <option value="all">Match all tags</option>
+            <option value="any">Match any tag</option>
+          </select>
         </div>
         <div className="filter-group">
           <label>Sizes</label>
           <div className="size-options">
-            {["XS", "S", "M", "L", "XL", "XXL"].map((size) => (
+            {(facets?.sizes || []).map(({ value: size, count }) => (
               <button
                 key={size}
                 onClick={() => toggleSize(size)}
                 className={selectedSizes.includes(size) ? "active" : ""}
+                disabled={count === 0 && !selectedSizes.includes(size)}
               >
-                {size}
+                {size} <span className="facet-count">{count}</span>
               </button>
             ))}
           </div>
         </div>
+        <div className="filter-group">
+          <label>Price</label>
+          <div className="price-options">
+            {(facets?.prices || []).map((bucket) => {
+              const isActive =
+                minPrice === String(bucket.min) &&
+                maxPrice === (bucket.max === null ? "" : String(bucket.max));
+              return (
+                <button
+                  key={bucket.min}
+                  onClick={() => selectPriceBucket(bucket, isActive)}
+                  className={isActive ? "active" : ""}
+                  disabled={bucket.count === 0 && !isActive}
+                >
+                  {formatPriceBucket(bucket)}{" "}
+                  <span className="facet-count">{bucket.count}</span>
+                </button>
+              );
+            })}
+          </div>
+          <div className="price-range">
+            <input
+              type="number"
+              min="0"
+              placeholder="Min"
+              value={minPrice}
+              onChange={(e) => setMinPrice(e.target.value)}
+            />
+            <input
+              type="number"
+              min="0"
+              placeholder="Max"
+              value={maxPrice}
+              onChange={(e) => setMaxPrice(e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="category-filter">Category</label>
+          <select
+            id="category-filter"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+          >
+            <option value="">All categories</option>
+            {(facets?.categories || []).map(({ value, count }) => (
+              <option
+                key={value}
+                value={value}
+                disabled={count === 0 && value !== category}
+              >
+                {value} ({count})
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="rating-filter">Rating</label>
+          <select
+            id="rating-filter"
+            value={minRating}
+            onChange={(e) => setMinRating(e.target.value)}
+          >
+            <option value="">Any rating</option>
+            {[4, 3, 2, 1].map((stars) => (
+              <option key={stars} value={stars}>
+                {stars}★ & up
+              </option>
+            ))}
+          </select>
+        </div>
       </aside>
 
       <main className="product-section">
@@ -162,11 +255,11 @@ const HomePage = () => {
         </div>
 
         {/* Recommended Section */}
-        {user && (
+        {user && recommended.length > 0 && (
           <div className="recommended-section">
             <h2>Recommended for You</h2>
             <div className="product-grid">
-              {products.slice(0, 3).map((product) => (
+              {recommended.map((product) => (
                 <ProductCard
                   key={product._id}
                   product={product}
@@ -226,18 +319,11 @@ const HomePage = () => {
                 className="form-textarea"
               />
             </div>
-            <div className="form-group">
-              <input
-                type="text"
-                placeholder="Image URL"
-                value={newProduct.imageUrl}
-                onChange={(e) =>
-                  setNewProduct({ ...newProduct, imageUrl: e.target.value })
-                }
-                required
-                className="form-input"
-              />
-            </div>
+            <ImageGalleryEditor
+              images={newProductImages}
+              variants={newProductVariants.variants}
+              onChange={setNewProductImages}
+            />
             <div className="form-group">
               <input
                 type="text"
@@ -253,21 +339,24 @@ const HomePage = () => {
                 className="form-input"
               />
             </div>
-            <div className="form-group">
-              <input
-                type="text"
-                placeholder="Sizes (comma-separated)"
-                value={newProduct.sizes}
-                onChange={(e) =>
-                  setNewProduct({
-                    ...newProduct,
-                    sizes: e.target.value.split(",").map((size) => size.trim()),
-                  })
-                }
-                required
-                className="form-input"
-              />
-            </div>
+            <SizeChartSelect
+              value={newProduct.sizeChartId}
+              onChange={(sizeChartId) =>
+                setNewProduct({ ...newProduct, sizeChartId })
+              }
+            />
+            <CategorySelect
+              value={newProduct.categoryIds}
+              onChange={(categoryIds) =>
+                setNewProduct({ ...newProduct, categoryIds })
+              }
+            />
+            <VariantEditor
+              options={newProductVariants.options}
+              variants={newProductVariants.variants}
+              skuPrefix={newProduct.name}
+              onChange={setNewProductVariants}
+            />
             <div className="form-actions">
               <button type="submit" className="btn-primary">
                 Add Product
@@ -283,13 +372,17 @@ const HomePage = () => {
             onChange={(e) => setSortOrder(e.target.value)}
           >
             <option value="newest">Newest First</option>
-            <option value="hightoLow">Price: High to Low</option>
-            <option value="lowtoHigh">Price: Low to High</option>
+            <option value="price_desc">Price: High to Low</option>
+            <option value="price_asc">Price: Low to High</option>
+            <option value="rating">Top Rated</option>
           </select>
+          <span className="product-count">
+            Showing {products.length} of {total} products
+          </span>
         </div>
 
         <div className="product-grid">
-          {sortedProducts.map((product) => (
+          {products.map((product) => (
             <ProductCard
               key={product._id}
               product={product}
@@ -297,6 +390,12 @@ const HomePage = () => {
             />
           ))}
         </div>
+        {products.length === 0 && (
+          <p className="no-products">No products match these filters.</p>
+        )}
+        <div ref={loadMoreRef} className="load-more">
+          {isFetchingNextPage && <p>Loading more products...</p>}
+        </div>
       </main>
     </div>
   );
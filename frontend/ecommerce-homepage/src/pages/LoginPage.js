@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import { useAuth } from "../contexts/AuthContext";
+import { describeCartAdjustments } from "../contexts/CartContext";
 import { useNavigate } from "react-router-dom";
 import "./LoginPage.css"; // Import the CSS file
 
@@ -20,6 +21,12 @@ const LoginPage = () => {
       const loginResponse = await login(email, password);
 
       if (loginResponse.success) {
+        if (loginResponse.cartAdjustments.length > 0) {
+          alert(
+            "Some items from your cart couldn't be added:\n" +
+              describeCartAdjustments(loginResponse.cartAdjustments)
+          );
+        }
         // Navigate to the homepage upon successful login
         navigate("/");
       } else {
@@ -80,18 +87,17 @@ const LoginPage = () => {
             {isSubmitting ? "Logging in..." : "Login"}
           </button>
           <div className="register-redirect">
-  <p>
-    Don't have an account?{" "}
-    <a href="/register" className="register-link">
-      Register here
-    </a>
-  </p>
-</div>
-
+            <p>
+              Don't have an account?{" "}
+              <a href="/register" className="register-link">
+                Register here
+              </a>
+            </p>
+          </div>
         </form>
       </div>
     </div>
   );
 };
 
-export default LoginPage;
\ No newline at end of file
+export default LoginPage;
@@ -0,0 +1,164 @@
+// src/pages/OrderDetailPage.js
+import React, { useEffect } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import axios from "axios";
+import { useAuth } from "../contexts/AuthContext";
+import { formatDeliveryWindow } from "../contexts/ShippingContext";
+import { formatVariant } from "../contexts/ProductContext";
+import "./OrdersPage.css";
+
+// Fetch a single order belonging to the current user
+const fetchOrder = async (orderId) => {
+  const token = localStorage.getItem("token");
+  const response = await axios.get(`http://localhost:3001/orders/${orderId}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data;
+};
+
+const OrderDetailPage = () => {
+  const { orderId } = useParams();
+  const { user, loading: authLoading } = useAuth();
+  const navigate = useNavigate();
+
+  const {
+    data: order,
+    isLoading,
+    error,
+  } = useQuery({
+    queryKey: ["order", orderId],
+    queryFn: () => fetchOrder(orderId),
+    enabled: !!user && !!orderId,
+  });
+
+  // Redirect to login page if there is no signed-in user
+  useEffect(() => {
+    if (!authLoading && !user) {
+      navigate("/login");
+    }
+  }, [user, authLoading, navigate]);
+
+  if (authLoading || isLoading) {
+    return <p className="orders-loading">Loading order...</p>;
+  }
+  if (error || !order) {
+    return <p className="error-message">Order not found.</p>;
+  }
+
+  return (
+    <div className="orders-container">
+      <Link to="/orders" className="order-details-link">
+        ← Back to My Orders
+      </Link>
+      <h1>Order #{order._id}</h1>
+
+      <div className="order-card">
+        <div className="order-header">
+          <p className="order-date">
+            Placed {new Date(order.createdAt).toLocaleString()}
+          </p>
+          <span className={`order-status status-${order.status}`}>
+            {order.status}
+          </span>
+        </div>
+
+        {order.products.map((item, index) => (
+          <div className="order-line" key={item._id || index}>
+            {item.imageUrl && (
+              <img src={item.imageUrl} alt={item.name || "Product Image"} />
+            )}
+            <div className="order-line-details">
+              {item.productId ? (
+                <Link
+                  to={`/product/${item.productId}`}
+                  className="order-line-name"
+                >
+                  {item.name || "Unnamed Product"}
+                </Link>
+              ) : (
+                <p className="order-line-name">
+                  {item.name || "Unnamed Product"}
+                </p>
+              )}
+              {/* Orders placed before variants only record a size */}
+              {formatVariant(item.options) ? (
+                <p>{formatVariant(item.options)}</p>
+              ) : (
+                item.size && <p>Size: {item.size}</p>
+              )}
+              <p>Quantity: {item.quantity}</p>
+              {item.price != null && (
+                <p>Price: ${Number(item.price).toFixed(2)}</p>
+              )}
+            </div>
+          </div>
+        ))}
+
+        {order.statusHistory?.length > 0 && (
+          <div className="order-timeline">
+            <h3>Order Timeline</h3>
+            <ol>
+              {order.statusHistory.map((entry, index) => (
+                <li key={entry._id || index}>
+                  <span className="order-timeline-status">{entry.status}</span>
+                  <span className="order-timeline-date">
+                    {new Date(entry.changedAt).toLocaleString()}
+                  </span>
+                  {entry.note && (
+                    <p className="order-timeline-note">{entry.note}</p>
+                  )}
+                </li>
+              ))}
+            </ol>
+            {order.trackingNumber && (
+              <p>
+                Tracking: {order.carrier ? `${order.carrier} ` : ""}
+                {order.trackingNumber}
+              </p>
+            )}
+          </div>
+        )}
+
+        {order.shippingInfo && (
+          <div className="order-shipping">
+            <h3>Shipping To</h3>
+            <p>{order.shippingInfo.address}</p>
+            <p>
+              {order.shippingInfo.city}, {order.shippingInfo.state}{" "}
+              {order.shippingInfo.zipcode}
+            </p>
+            {order.deliveryEstimate?.earliest && (
+              <p>
+                Estimated delivery:{" "}
+                {formatDeliveryWindow(order.deliveryEstimate)}
+              </p>
+            )}
+          </div>
+        )}
+
+        {order.subtotal != null && (
+          <div className="order-costs">
+            <p>Subtotal: ${Number(order.subtotal).toFixed(2)}</p>
+            {order.discount > 0 && (
+              <p>
+                Discount{order.couponCode ? ` (${order.couponCode})` : ""}: -$
+                {Number(order.discount).toFixed(2)}
+              </p>
+            )}
+            <p>
+              Shipping ({order.shippingMethod}): $
+              {Number(order.shippingCost || 0).toFixed(2)}
+            </p>
+            <p>Tax: ${Number(order.tax || 0).toFixed(2)}</p>
+          </div>
+        )}
+        <p className="order-total">
+          Total: ${Number(order.total || 0).toFixed(2)}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default OrderDetailPage;
@@ -0,0 +1,126 @@
+// src/pages/OrdersPage.js
+import React, { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
+import axios from "axios";
+import { useAuth } from "../contexts/AuthContext";
+import { formatVariant } from "../contexts/ProductContext";
+import "./OrdersPage.css";
+
+const ORDERS_PER_PAGE = 10;
+
+// Fetch one page of the current user's order history
+const fetchOrders = async (page) => {
+  const token = localStorage.getItem("token");
+  const response = await axios.get("http://localhost:3001/orders", {
+    params: { page, limit: ORDERS_PER_PAGE },
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data; // Contains { orders, page, total, totalPages }
+};
+
+const OrdersPage = () => {
+  const { user, loading: authLoading } = useAuth();
+  const navigate = useNavigate();
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ["orders", page],
+    queryFn: () => fetchOrders(page),
+    enabled: !!user,
+    placeholderData: keepPreviousData,
+  });
+
+  // Redirect to login page if there is no signed-in user
+  useEffect(() => {
+    if (!authLoading && !user) {
+      navigate("/login");
+    }
+  }, [user, authLoading, navigate]);
+
+  if (authLoading || isLoading) {
+    return <p className="orders-loading">Loading orders...</p>;
+  }
+  if (error) {
+    return <p className="error-message">Failed to load your orders.</p>;
+  }
+
+  const orders = data?.orders || [];
+  const totalPages = data?.totalPages || 1;
+
+  if (orders.length === 0) {
+    return <p className="orders-empty">You haven't placed any orders yet.</p>;
+  }
+
+  return (
+    <div className="orders-container">
+      <h1>My Orders</h1>
+
+      {orders.map((order) => (
+        <div className="order-card" key={order._id}>
+          <div className="order-header">
+            <div>
+              <p className="order-date">
+                Placed {new Date(order.createdAt).toLocaleDateString()}
+              </p>
+              <p className="order-id">Order #{order._id}</p>
+            </div>
+            <div className="order-summary">
+              <span className={`order-status status-${order.status}`}>
+                {order.status}
+              </span>
+              <p className="order-total">
+                Total: ${Number(order.total || 0).toFixed(2)}
+              </p>
+            </div>
+          </div>
+
+          {order.products.map((item, index) => (
+            <div className="order-line" key={item._id || index}>
+              {item.imageUrl && (
+                <img src={item.imageUrl} alt={item.name || "Product Image"} />
+              )}
+              <div className="order-line-details">
+                <p className="order-line-name">
+                  {item.name || "Unnamed Product"}
+                </p>
+                <p>
+                  {formatVariant(item.options)
+                    ? `${formatVariant(item.options)} · `
+                    : item.size && `Size: ${item.size} · `}
+                  Quantity: {item.quantity}
+                </p>
+              </div>
+            </div>
+          ))}
+
+          <Link to={`/orders/${order._id}`} className="order-details-link">
+            View order details
+          </Link>
+        </div>
+      ))}
+
+      {totalPages > 1 && (
+        <div className="orders-pagination">
+          <button
+            onClick={() => setPage((prev) => prev - 1)}
+            disabled={page <= 1}
+          >
+            Previous
+          </button>
+          <span>
+            Page {page} of {totalPages}
+          </span>
+          <button
+            onClick={() => setPage((prev) => prev + 1)}
+            disabled={page >= totalPages}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrdersPage;
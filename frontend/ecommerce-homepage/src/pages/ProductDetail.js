@@ -1,25 +1,38 @@
 // src/components/ProductDetail.js
 import React, { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom";
-import { useProduct } from "../contexts/ProductContext";
+import {
+  useProduct,
+  variantPrice,
+  formatVariant,
+  productImages,
+} from "../contexts/ProductContext";
 import { useCart } from "../contexts/CartContext";
 import { useAuth } from "../contexts/AuthContext";
+import { useShipping, formatDeliveryWindow } from "../contexts/ShippingContext";
+import { useWishlist } from "../contexts/WishlistContext";
+import ProductGallery from "../components/ProductGallery";
 import axios from "axios";
-import { FaStar, FaRegStar } from "react-icons/fa"; // Importing star icons
+import { FaStar, FaRegStar, FaHeart, FaRegHeart } from "react-icons/fa"; // Importing star and heart icons
 import "./ProductDetail.css";
 
+// Variants at or below this many units are flagged as low in stock
+const LOW_STOCK_THRESHOLD = 5;
+
 const ProductDetail = () => {
   const { productId } = useParams();
   const navigate = useNavigate();
-  const { useProductDetail, useProductReviews } = useProduct();
+  const { useProductDetail, useSizeChart, useProductReviews } = useProduct();
   const {
     data: product,
     isLoading: productLoading,
     error: productError,
   } = useProductDetail(productId);
+  const { data: sizeChart } = useSizeChart(product?.sizeChartId);
   const { data: reviewsData, refetch } = useProductReviews(productId);
   const { user } = useAuth();
   const { addToCart } = useCart();
+  const { isWishlisted, toggleWishlist } = useWishlist();
 
   const reviews = reviewsData?.reviews || [];
   const averageRating = reviewsData?.averageRating || 0;
@@ -32,13 +45,53 @@ const ProductDetail = () => {
 
   const [showConfirmModal, setShowConfirmModal] = useState(false);
   const [showGuestCheckout, setShowGuestCheckout] = useState(false);
-  const [deliveryDate, setDeliveryDate] = useState("");
+  const [showSizeGuide, setShowSizeGuide] = useState(false);
   const [totalPrice, setTotalPrice] = useState(0);
 
-  // New States for Size and Quantity
-  const [size, setSize] = useState("");
+  // Option values picked so far, e.g. { Color: "Black", Size: "M" }, and quantity
+  const [selectedOptions, setSelectedOptions] = useState({});
   const [quantity, setQuantity] = useState(1);
 
+  // Options with a single value need no picking
+  const productOptions = product?.options || [];
+  const variants = product?.variants || [];
+  const picks = Object.fromEntries(
+    productOptions.map(({ name, values }) => [
+      name,
+      selectedOptions[name] || (values.length === 1 ? values[0] : ""),
+    ])
+  );
+  // The variant matching every pick; a product without options has just one
+  const variant =
+    variants.find((candidate) =>
+      productOptions.every(
+        ({ name }) => candidate.options[name] === picks[name]
+      )
+    ) || null;
+  const unitPrice = variant ? variantPrice(product, variant) : product?.price;
+  const unitsLeft = variant?.stock ?? 0;
+  const variantLabel = variant ? formatVariant(variant.options) : "";
+  // Gallery: pictures of the whole product plus those of the variants that fit
+  // the picks so far, with the picked variant's own pictures first
+  const fitsPicks = (sku) =>
+    variants.some(
+      (candidate) =>
+        candidate.sku === sku &&
+        Object.entries(selectedOptions).every(
+          ([name, value]) => !value || candidate.options[name] === value
+        )
+    );
+  const ownFirst = (image) => (variant && image.sku === variant.sku ? 0 : 1);
+  const galleryImages = productImages(product)
+    .filter((image) => !image.sku || fitsPicks(image.sku))
+    .sort((a, b) => ownFirst(a) - ownFirst(b))
+    .map((image) => ({ ...image, alt: image.alt || product?.name }));
+
+  // Start over when moving to another product
+  useEffect(() => {
+    setSelectedOptions({});
+  }, [productId]);
+
   // Guest checkout information states
   const [address, setAddress] = useState("");
   const [city, setCity] = useState("");
@@ -50,27 +103,65 @@ const ProductDetail = () => {
   const [cvv, setCvv] = useState("");
   const [checkoutError, setCheckoutError] = useState(null);
 
-  // Generate delivery date and total price on component mount or when quantity changes
+  // Standard shipping to the user's saved address, or the guest's entered one
+  const { useShippingOptions } = useShipping();
+  const { data: shippingOptions } = useShippingOptions({
+    ...(user
+      ? {
+          zipcode: user.shippingInfo?.zipcode,
+          state: user.shippingInfo?.state,
+        }
+      : { zipcode: zipCode, state: stateField }),
+    itemCount: quantity,
+    subtotal: totalPrice,
+  });
+  const standardShipping = shippingOptions?.find(
+    (option) => option.method === "standard"
+  );
+  const deliveryWindow = formatDeliveryWindow(standardShipping);
+  const shippingCost = standardShipping?.cost || 0;
+
+  // Update total price on component mount or when the variant or quantity changes
   useEffect(() => {
-    const generateRandomDeliveryDate = () => {
-      const today = new Date();
-      const randomDays = Math.floor(Math.random() * 5) + 3;
-      const delivery = new Date(today);
-      delivery.setDate(today.getDate() + randomDays);
-      return delivery.toDateString();
-    };
-    setDeliveryDate(generateRandomDeliveryDate());
-
-    if (product) {
-      setTotalPrice(product.price * quantity); // Set total price based on product price and quantity
+    if (unitPrice !== undefined) {
+      setTotalPrice(unitPrice * quantity); // Set total price based on variant price and quantity
     }
-  }, [product, quantity]);
+  }, [unitPrice, quantity]);
 
   // No need for another useEffect to update totalPrice since it's handled above
 
+  const defaultPaymentMethod = user?.paymentMethods?.find(
+    (method) => method.isDefault
+  );
+
+  // Units left of the variants that have a value, given the other picks
+  // (null when no variant has that combination)
+  const getStock = (optionName, value) => {
+    const matching = variants.filter(
+      (candidate) =>
+        candidate.options[optionName] === value &&
+        productOptions.every(
+          ({ name }) =>
+            name === optionName ||
+            !picks[name] ||
+            candidate.options[name] === picks[name]
+        )
+    );
+    return matching.length > 0
+      ? matching.reduce((units, candidate) => units + candidate.stock, 0)
+      : null;
+  };
+
+  const selectOption = (name, value) => {
+    setSelectedOptions((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const onlyLeftMessage = () =>
+    `Only ${unitsLeft} left${variantLabel ? ` in ${variantLabel}` : ""}.`;
+
   const handleAddToCart = async () => {
-    if (!size) {
-      alert("Please select a size before adding to cart.");
+    if (!variant) {
+      alert("Please choose your options before adding to cart.");
       return;
     }
 
@@ -79,11 +170,16 @@ const ProductDetail = () => {
       return;
     }
 
+    if (quantity > unitsLeft) {
+      alert(onlyLeftMessage());
+      return;
+    }
+
     try {
       // Prepare the payload as per backend requirements
       const payload = {
         productId: product._id,
-        size,
+        sku: variant.sku,
         quantity,
       };
 
@@ -156,8 +252,8 @@ const ProductDetail = () => {
   };
 
   const handleBuyNowClick = () => {
-    if (!size) {
-      alert("Please select a size before purchasing.");
+    if (!variant) {
+      alert("Please choose your options before purchasing.");
       return;
     }
 
@@ -166,6 +262,11 @@ const ProductDetail = () => {
       return;
     }
 
+    if (quantity > unitsLeft) {
+      alert(onlyLeftMessage());
+      return;
+    }
+
     if (user) {
       setShowConfirmModal(true);
     } else {
@@ -180,7 +281,7 @@ const ProductDetail = () => {
         // Prepare the payload as per backend requirements
         const payload = {
           productId: product._id,
-          size,
+          sku: variant.sku,
           quantity,
         };
 
@@ -197,7 +298,19 @@ const ProductDetail = () => {
         navigate("/"); // Redirect to homepage after purchase
       } catch (error) {
         console.error("Error purchasing product:", error);
-        alert("There was an error processing your purchase. Please try again.");
+        if (error.response && error.response.status === 402) {
+          alert(`Payment declined: ${error.response.data.message}`);
+        } else if (
+          error.response &&
+          [400, 409].includes(error.response.status) &&
+          typeof error.response.data === "string"
+        ) {
+          alert(error.response.data);
+        } else {
+          alert(
+            "There was an error processing your purchase. Please try again."
+          );
+        }
       }
     }
   };
@@ -242,7 +355,7 @@ const ProductDetail = () => {
       // Prepare the payload as per backend requirements
       const payload = {
         productId: product._id,
-        size,
+        sku: variant.sku,
         quantity,
         shippingInfo: { address, city, state: stateField, zipcode: zipCode },
         paymentInfo: { cardNumber, cardHolderName, expiryDate, cvv },
@@ -253,13 +366,19 @@ const ProductDetail = () => {
         payload
       );
       alert(
-        `Purchase confirmed! Your order will be delivered on ${deliveryDate}.`
+        deliveryWindow
+          ? `Purchase confirmed! Estimated delivery: ${deliveryWindow}.`
+          : "Purchase confirmed!"
       );
       setShowGuestCheckout(false);
       navigate("/"); // Redirect to homepage after purchase
     } catch (error) {
       console.error("Error confirming guest purchase:", error);
-      if (error.response && error.response.data.errors) {
+      if (error.response && error.response.status === 402) {
+        setCheckoutError(`Payment declined: ${error.response.data.message}`);
+      } else if (error.response && error.response.status === 409) {
+        setCheckoutError(error.response.data);
+      } else if (error.response && error.response.data.errors) {
         const cardError = error.response.data.errors.find(
           (err) => err.msg === "Invalid credit card number."
         );
@@ -301,33 +420,78 @@ const ProductDetail = () => {
 
   return (
     <div className="product-detail">
-      <img
-        src={product.imageUrl}
-        alt={product.name}
-        className="product-detail-image"
+      {/* Starts over from the first picture whenever the picks change */}
+      <ProductGallery
+        key={`${productId}-${Object.values(picks).join("/")}`}
+        images={galleryImages}
       />
       <h2>{product.name}</h2>
       <p>{product.description}</p>
-      <p className="price">Price: ${product.price}</p>
-
-      {/* Size Selection */}
-      {product.sizes && product.sizes.length > 0 && (
-        <div className="size-selection">
-          <label htmlFor="size">Size:</label>
-          <select
-            id="size"
-            value={size}
-            onChange={(e) => setSize(e.target.value)}
+      <p className="price">Price: ${unitPrice}</p>
+      <button
+        type="button"
+        className="wishlist-button"
+        onClick={() => toggleWishlist(product._id, variant?.sku)}
+      >
+        {isWishlisted(product._id, variant?.sku) ? (
+          <>
+            <FaHeart /> Saved to Wishlist
+          </>
+        ) : (
+          <>
+            <FaRegHeart /> Add to Wishlist
+          </>
+        )}
+      </button>
+
+      {/* Variant Selection: one picker per option */}
+      <div className="variant-selection">
+        {productOptions.map(({ name, values }) => (
+          <div key={name} className="variant-option">
+            <label htmlFor={`option-${name}`}>{name}:</label>
+            <select
+              id={`option-${name}`}
+              value={picks[name]}
+              onChange={(e) => selectOption(name, e.target.value)}
+            >
+              <option value="">Select {name}</option>
+              {values.map((value) => {
+                const units = getStock(name, value);
+                return (
+                  <option key={value} value={value} disabled={!units}>
+                    {value}
+                    {units === null
+                      ? " (Unavailable)"
+                      : units === 0
+                      ? " (Out of stock)"
+                      : units <= LOW_STOCK_THRESHOLD
+                      ? ` (Only ${units} left)`
+                      : ""}
+                  </option>
+                );
+              })}
+            </select>
+          </div>
+        ))}
+        {sizeChart?.columns.length > 0 && (
+          <button
+            type="button"
+            className="size-guide-button"
+            onClick={() => setShowSizeGuide(true)}
           >
-            <option value="">Select Size</option>
-            {product.sizes.map((sizeOption) => (
-              <option key={sizeOption} value={sizeOption}>
-                {sizeOption}
-              </option>
-            ))}
-          </select>
-        </div>
-      )}
+            Size guide
+          </button>
+        )}
+        {variant && unitsLeft > 0 && unitsLeft <= LOW_STOCK_THRESHOLD && (
+          <p className="low-stock">
+            Hurry, only {unitsLeft} left
+            {variantLabel ? ` in ${variantLabel}` : ""}!
+          </p>
+        )}
+        {variants.every((candidate) => candidate.stock === 0) && (
+          <p className="out-of-stock">This product is currently sold out.</p>
+        )}
+      </div>
 
       {/* Quantity Selection */}
       <div className="quantity-selection">
@@ -350,15 +514,73 @@ const ProductDetail = () => {
         </button>
       </div>
 
+      {/* Size Guide Modal: the measurements behind each size on the product's chart */}
+      {showSizeGuide && sizeChart && (
+        <div className="modal-overlay" onClick={() => setShowSizeGuide(false)}>
+          <div
+            className="modal-content size-guide"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h3>{sizeChart.name} Size Guide</h3>
+            <table className="size-guide-table">
+              <thead>
+                <tr>
+                  <th>Size</th>
+                  {sizeChart.columns.map((column) => (
+                    <th key={column}>{column}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sizeChart.sizes.map(({ label, measurements }) => (
+                  <tr
+                    key={label}
+                    className={picks.Size === label ? "selected" : ""}
+                  >
+                    <td>{label}</td>
+                    {measurements.map((measurement, index) => (
+                      <td key={sizeChart.columns[index]}>{measurement}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="modal-buttons">
+              <button
+                onClick={() => setShowSizeGuide(false)}
+                className="cancel-button"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Confirmation Modal for Authenticated Users */}
       {showConfirmModal && (
         <div className="modal-overlay">
           <div className="modal-content">
             <h3>Confirm Purchase</h3>
-            <p>Total: ${totalPrice}</p>
-            <p>Estimated Delivery Date: {deliveryDate}</p>
-            <p>Size: {size}</p>
+            <p>Subtotal: ${totalPrice.toFixed(2)}</p>
+            <p>
+              Shipping:{" "}
+              {shippingCost === 0 ? "Free" : `$${shippingCost.toFixed(2)}`}
+            </p>
+            <p>Total: ${(totalPrice + shippingCost).toFixed(2)}</p>
+            <p>Estimated Delivery: {deliveryWindow || "Calculating..."}</p>
+            {productOptions.map(({ name }) => (
+              <p key={name}>
+                {name}: {picks[name]}
+              </p>
+            ))}
             <p>Quantity: {quantity}</p>
+            <p>
+              Payment:{" "}
+              {defaultPaymentMethod
+                ? `${defaultPaymentMethod.brand} •••• ${defaultPaymentMethod.last4}`
+                : "No saved card. Add one in your account."}
+            </p>
             <div className="modal-buttons">
               <button onClick={confirmPurchase} className="confirm-button">
                 Confirm
@@ -379,9 +601,18 @@ const ProductDetail = () => {
         <div className="modal-overlay">
           <div className="modal-content">
             <h3>Guest Checkout</h3>
-            <p>Total: ${totalPrice}</p>
-            <p>Estimated Delivery Date: {deliveryDate}</p>
-            <p>Size: {size}</p>
+            <p>Subtotal: ${totalPrice.toFixed(2)}</p>
+            <p>
+              Shipping:{" "}
+              {shippingCost === 0 ? "Free" : `$${shippingCost.toFixed(2)}`}
+            </p>
+            <p>Total: ${(totalPrice + shippingCost).toFixed(2)}</p>
+            <p>Estimated Delivery: {deliveryWindow || "Calculating..."}</p>
+            {productOptions.map(({ name }) => (
+              <p key={name}>
+                {name}: {picks[name]}
+              </p>
+            ))}
             <p>Quantity: {quantity}</p>
 
             <h4>Shipping Information</h4>
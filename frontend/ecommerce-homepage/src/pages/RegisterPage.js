@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import { useAuth } from "../contexts/AuthContext";
+import { describeCartAdjustments } from "../contexts/CartContext";
 import { useNavigate } from "react-router-dom";
 import "./RegisterPage.css"; // Import custom styles
 
@@ -81,8 +82,13 @@ const RegisterPage = () => {
         });
 
         if (result.success) {
+          if (result.cartAdjustments.length > 0) {
+            alert(
+              "Some items from your cart couldn't be added:\n" +
+                describeCartAdjustments(result.cartAdjustments)
+            );
+          }
           await login(email, password);
-          localStorage.removeItem("guestCart");
           navigate("/");
         } else if (result.errors) {
           setErrors(result.errors);
@@ -0,0 +1,206 @@
+// src/pages/SearchPage.js
+import React, { useState, useEffect } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { useProduct, formatPriceRange } from "../contexts/ProductContext";
+import "../App.css";
+import "./SearchPage.css";
+
+// Wrap the words the server matched (typos and prefixes included) in <mark>
+const highlightMatches = (text, matches) => {
+  if (!text || !matches?.length) return text;
+  const matched = new Set(matches);
+  return text
+    .split(/([\p{L}\p{N}]+)/u)
+    .map((part, index) =>
+      matched.has(part.toLowerCase()) ? <mark key={index}>{part}</mark> : part
+    );
+};
+
+// Keep long descriptions to a short preview
+const truncate = (text, length = 160) =>
+  text && text.length > length ? `${text.slice(0, length)}…` : text;
+
+const SearchPage = () => {
+  const [searchParams] = useSearchParams();
+  const query = searchParams.get("q") || "";
+  const { useProductSearch, useProductFacets } = useProduct();
+
+  const [page, setPage] = useState(1);
+  const [selectedSizes, setSelectedSizes] = useState([]);
+  const [minPrice, setMinPrice] = useState("");
+  const [maxPrice, setMaxPrice] = useState("");
+  const [category, setCategory] = useState("");
+  const [minRating, setMinRating] = useState("");
+
+  const filters = {
+    sizes: selectedSizes,
+    minPrice: minPrice || undefined,
+    maxPrice: maxPrice || undefined,
+    category: category || undefined,
+    minRating: minRating || undefined,
+  };
+  const { data, isLoading, error } = useProductSearch(query, filters, page);
+  const { data: facets } = useProductFacets();
+
+  // A new search or filter starts from the first page
+  useEffect(() => {
+    setPage(1);
+  }, [query, selectedSizes, minPrice, maxPrice, category, minRating]);
+
+  const toggleSize = (size) => {
+    setSelectedSizes((prevSizes) =>
+      prevSizes.includes(size)
+        ? prevSizes.filter((s) => s !== size)
+        : [...prevSizes, size]
+    );
+  };
+
+  const products = data?.products || [];
+  const total = data?.total || 0;
+  const totalPages = data?.totalPages || 1;
+
+  return (
+    <div className="search-page">
+      <aside className="sidebar">
+        <h2>Filters</h2>
+        <div className="filter-group">
+          <label>Sizes</label>
+          <div className="size-options">
+            {(facets?.sizes || []).map(({ value: size }) => (
+              <button
+                key={size}
+                onClick={() => toggleSize(size)}
+                className={selectedSizes.includes(size) ? "active" : ""}
+              >
+                {size}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="filter-group">
+          <label>Price</label>
+          <div className="price-range">
+            <input
+              type="number"
+              min="0"
+              placeholder="Min"
+              value={minPrice}
+              onChange={(e) => setMinPrice(e.target.value)}
+            />
+            <input
+              type="number"
+              min="0"
+              placeholder="Max"
+              value={maxPrice}
+              onChange={(e) => setMaxPrice(e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="search-category-filter">Category</label>
+          <select
+            id="search-category-filter"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+          >
+            <option value="">All categories</option>
+            {(facets?.categories || []).map(({ value }) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="search-rating-filter">Rating</label>
+          <select
+            id="search-rating-filter"
+            value={minRating}
+            onChange={(e) => setMinRating(e.target.value)}
+          >
+            <option value="">Any rating</option>
+            {[4, 3, 2, 1].map((stars) => (
+              <option key={stars} value={stars}>
+                {stars}★ & up
+              </option>
+            ))}
+          </select>
+        </div>
+      </aside>
+
+      <main className="search-results">
+        <h1>{query ? `Results for "${query}"` : "Search for a product"}</h1>
+
+        {!query ? null : isLoading ? (
+          <p className="search-status">Searching...</p>
+        ) : error ? (
+          <p className="error-message">Search failed. Please try again.</p>
+        ) : products.length === 0 ? (
+          <p className="search-status">
+            No products match "{query}". Try different words or fewer filters.
+          </p>
+        ) : (
+          <>
+            <p className="search-status">
+              {data?.truncated
+                ? `Showing the ${total} best matches. Add words to narrow your search.`
+                : `${total} ${total === 1 ? "product" : "products"} found`}
+            </p>
+            {products.map((product) => (
+              <Link
+                to={`/product/${product._id}`}
+                className="search-result"
+                key={product._id}
+              >
+                <img src={product.imageUrl} alt={product.name} />
+                <div className="search-result-details">
+                  <h3>{highlightMatches(product.name, product.matches)}</h3>
+                  <p className="search-result-price">
+                    {formatPriceRange(product)}
+                  </p>
+                  <p>
+                    {highlightMatches(
+                      truncate(product.description),
+                      product.matches
+                    )}
+                  </p>
+                  {product.tags?.length > 0 && (
+                    <div className="product-tags">
+                      {product.tags.map((tag) => (
+                        <span key={tag} className="tag">
+                          {highlightMatches(tag, product.matches)}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </Link>
+            ))}
+
+            {totalPages > 1 && (
+              <div className="search-pagination">
+                <button
+                  onClick={() => setPage((prev) => prev - 1)}
+                  disabled={page <= 1}
+                >
+                  Previous
+                </button>
+                <span>
+                  Page {page} of {totalPages}
+                </span>
+                <button
+                  onClick={() => setPage((prev) => prev + 1)}
+                  disabled={page >= totalPages}
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default SearchPage;
@@ -0,0 +1,127 @@
+// src/pages/WishlistPage.js
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { useWishlist } from "../contexts/WishlistContext";
+import {
+  findVariant,
+  variantPrice,
+  formatVariant,
+} from "../contexts/ProductContext";
+import "./WishlistPage.css";
+
+const WishlistPage = () => {
+  const { wishlistItems, loading, removeFromWishlist, moveToCart } =
+    useWishlist();
+  const [selectedSkus, setSelectedSkus] = useState({}); // Variant picked per item
+  const [messages, setMessages] = useState({}); // Move-to-cart errors per item
+
+  // Guest items have no _id, so key them by product and variant
+  const itemKey = (item) =>
+    item._id || `${item.productId}-${item.sku || item.size || ""}`;
+
+  // The variant picked for an item: chosen here, saved with it, or the
+  // product's only one. Guest items saved before variants only name a size.
+  const pickedSku = (item) => {
+    const variants = item.productDetail.variants || [];
+    return (
+      selectedSkus[itemKey(item)] ||
+      item.sku ||
+      (item.size &&
+        variants.find((variant) => variant.options.Size === item.size)?.sku) ||
+      (variants.length === 1 ? variants[0].sku : "")
+    );
+  };
+
+  const handleMoveToCart = async (item) => {
+    const key = itemKey(item);
+    const sku = pickedSku(item);
+    if (!sku) {
+      setMessages({ ...messages, [key]: "Please choose an option first." });
+      return;
+    }
+
+    const result = await moveToCart(item, sku);
+    setMessages({ ...messages, [key]: result.success ? null : result.message });
+  };
+
+  if (loading && wishlistItems.length === 0) {
+    return <p className="wishlist-empty">Loading your wishlist...</p>;
+  }
+
+  if (wishlistItems.length === 0) {
+    return (
+      <p className="wishlist-empty">
+        Your wishlist is empty. Tap the heart on any product to save it here.
+      </p>
+    );
+  }
+
+  return (
+    <div className="wishlist-container">
+      <h1>My Wishlist</h1>
+      {wishlistItems.map((item) => {
+        const key = itemKey(item);
+        const product = item.productDetail;
+        const variants = product.variants || [];
+        const variant = findVariant(product, pickedSku(item));
+
+        return (
+          <div className="wishlist-item" key={key}>
+            <img
+              src={variant?.images?.[0] || product.imageUrl}
+              alt={product.name}
+            />
+            <div className="wishlist-item-details">
+              <Link
+                to={`/product/${item.productId}`}
+                className="wishlist-item-name"
+              >
+                {product.name}
+              </Link>
+              <p>${Number(variantPrice(product, variant)).toFixed(2)}</p>
+              {variants.length > 1 && (
+                <select
+                  value={variant?.sku || ""}
+                  onChange={(e) =>
+                    setSelectedSkus({
+                      ...selectedSkus,
+                      [key]: e.target.value,
+                    })
+                  }
+                >
+                  <option value="">Select Option</option>
+                  {variants.map((option) => (
+                    <option
+                      key={option.sku}
+                      value={option.sku}
+                      disabled={option.stock === 0}
+                    >
+                      {formatVariant(option.options)}
+                      {option.stock === 0 ? " (Out of stock)" : ""}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {messages[key] && (
+                <p className="wishlist-error">{messages[key]}</p>
+              )}
+            </div>
+            <div className="wishlist-item-actions">
+              <button onClick={() => handleMoveToCart(item)}>
+                Move to Cart
+              </button>
+              <button
+                className="wishlist-remove-btn"
+                onClick={() => removeFromWishlist(item)}
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default WishlistPage;